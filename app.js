@@ -100,51 +100,93 @@ app.get('/api', (req, res) => {
 const Project = require('./models/project');
 const Task = require('./models/task');
 const User = require('./models/user');
+const Membership = require('./models/membership');
+const TaskDependency = require('./models/taskDependency');
+const Subtask = require('./models/subtask');
+const TaskStatusChange = require('./models/taskStatusChange');
+const DurationPrediction = require('./models/durationPrediction');
+const TaskSuggestion = require('./models/taskSuggestion');
+const ProjectCategory = require('./models/projectCategory');
+const BottleneckSnapshot = require('./models/bottleneckSnapshot');
 
 // Import middleware
-const { protect, authorize } = require('./middleware/auth');
-const { projectValidationRules, taskValidationRules, validateRequest } = require('./middleware/validation');
+const { protect, authorize, authorizeProject, loadTask } = require('./middleware/auth');
+const {
+  projectValidationRules,
+  projectUpdateValidationRules,
+  taskValidationRules,
+  taskUpdateValidationRules,
+  taskTransitionValidationRules,
+  memberValidationRules,
+  memberIdValidationRules,
+  memberRoleValidationRules,
+  projectListValidationRules,
+  taskListValidationRules,
+  dependencyValidationRules,
+  dependencyIdValidationRules,
+  subtaskValidationRules,
+  subtaskIdValidationRules,
+  duplicateCheckValidationRules,
+  validateRequest
+} = require('./middleware/validation');
+const { getProjectConditions, getTaskConditions, paginate } = require('./utils/query');
+const { findDependencyCycle, findSubtaskCycle } = require('./utils/taskGraph');
+const { DUPLICATE_THRESHOLD, findDuplicateTasks } = require('./utils/taskDuplicates');
+const { getStatusPeriods, getTimeInState } = require('./utils/taskHistory');
+const { reconcilePredictions } = require('./services/ai/predictionTracking');
+const { startDailySnapshots } = require('./services/ai/dailySnapshots');
 
 /**
  * @swagger
  * /api/projects:
  *   get:
  *     summary: Get all projects
- *     description: Retrieve a list of all projects
+ *     description: Retrieve a paginated list of projects, optionally filtered by status and searched by name/description
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/SearchParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: "Comma separated sort fields (name, status, startDate, endDate, createdAt, updatedAt), prefix with - for descending"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: "Comma separated project statuses (planning, in-progress, completed, on-hold)"
  *     responses:
  *       200:
- *         description: A list of projects
+ *         description: A page of projects
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Project'
+ *               $ref: '#/components/schemas/ProjectList'
+ *       400:
+ *         description: Invalid query parameters
  */
-app.get('/api/projects', protect, async (req, res, next) => {
+app.get('/api/projects', protect, projectListValidationRules, validateRequest, async (req, res, next) => {
   console.log('Get all projects endpoint called');
   try {
-    let query = {};
+    const conditions = getProjectConditions(req.query);
     
     // If user is not admin, only show their projects
     if (req.user.role !== 'admin') {
-      query = { 
+      conditions.push({ 
         $or: [
           { owner: req.user._id },
           { members: req.user._id }
         ]
-      };
+      });
     }
     
-    const projects = await Project.find(query);
-    console.log(`Returning ${projects.length} projects`);
-    res.json({
-      success: true,
-      count: projects.length,
-      data: projects
-    });
+    const result = await paginate(Project, conditions, req.query, { createdAt: -1 });
+    console.log(`Returning ${result.count} of ${result.total} projects`);
+    res.json(result);
   } catch (error) {
     next(error);
   }
@@ -155,7 +197,7 @@ app.get('/api/projects', protect, async (req, res, next) => {
  * /api/projects:
  *   post:
  *     summary: Create a new project
- *     description: Create a new project with the provided data
+ *     description: Create a new project with the provided data. Listed members join the project as contributors
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -176,8 +218,36 @@ app.post('/api/projects', protect, projectValidationRules, validateRequest, asyn
     // Add owner to project
     req.body.owner = req.user._id;
     
+    // Members must be existing users other than the owner, listed once
+    if (req.body.members) {
+      const memberIds = [...new Set(req.body.members.map(id => id.toString()))]
+        .filter(id => id !== req.user._id.toString());
+      const existingCount = await User.countDocuments({ _id: { $in: memberIds } });
+      if (existingCount !== memberIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'One or more members do not exist'
+        });
+      }
+      req.body.members = memberIds;
+    }
+    
     const project = new Project(req.body);
     const savedProject = await project.save();
+    
+    // Members start as contributors, as when they are added later; without their
+    // memberships the project is not kept
+    try {
+      await Membership.insertMany(savedProject.members.map(userId => ({
+        project: savedProject._id,
+        user: userId,
+        role: 'contributor'
+      })));
+    } catch (error) {
+      await Membership.deleteMany({ project: savedProject._id });
+      await savedProject.deleteOne();
+      throw error;
+    }
     console.log(`Project created with ID: ${savedProject._id}`);
     res.status(201).json({
       success: true,
@@ -209,77 +279,240 @@ app.post('/api/projects', protect, projectValidationRules, validateRequest, asyn
  *       404:
  *         description: Project not found
  */
-app.get('/api/projects/:id', protect, async (req, res, next) => {
+app.get('/api/projects/:id', protect, authorizeProject(), async (req, res, next) => {
   console.log(`Get project endpoint called for ID: ${req.params.id}`);
   try {
-    const project = await Project.findById(req.params.id);
-    if (!project) {
-      console.log(`Project not found with ID: ${req.params.id}`);
-      return res.status(404).json({ 
-        success: false,
-        message: 'Project not found' 
-      });
-    }
+    const { project } = req;
+    
+    console.log(`Returning project: ${project.name}`);
+    res.json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Project fields that can be changed after creation
+const PROJECT_UPDATABLE_FIELDS = ['name', 'description', 'startDate', 'endDate', 'status'];
+
+/**
+ * Update a project with the fields provided in the request body
+ */
+const updateProject = async (req, res, next) => {
+  console.log(`Update project endpoint called for ID: ${req.params.id}`);
+  try {
+    const { project } = req;
+    
+    PROJECT_UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        project[field] = req.body[field];
+      }
+    });
     
-    // Check if user has access to this project
-    if (req.user.role !== 'admin' && 
-        project.owner.toString() !== req.user._id.toString() && 
-        !project.members.includes(req.user._id)) {
-      return res.status(403).json({ 
+    // Dates can be changed one at a time, so check the resulting range
+    if (project.endDate <= project.startDate) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to access this project' 
+        message: 'End date must be after start date'
       });
     }
     
-    console.log(`Returning project: ${project.name}`);
+    const updatedProject = await project.save();
+    console.log(`Project updated: ${updatedProject.name}`);
     res.json({
       success: true,
-      data: project
+      data: updatedProject
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/projects/{id}:
+ *   put:
+ *     summary: Replace a project
+ *     description: Update all editable fields of a project (name, description, startDate, endDate, status). Requires the owner or manager project role
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Project'
+ *     responses:
+ *       200:
+ *         description: Project updated successfully
+ *       400:
+ *         description: Invalid request data
+ *       403:
+ *         description: Not authorized to update this project
+ *       404:
+ *         description: Project not found
+ *   patch:
+ *     summary: Update a project
+ *     description: Update only the provided fields of a project (name, description, startDate, endDate, status). Requires the owner or manager project role
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Project'
+ *     responses:
+ *       200:
+ *         description: Project updated successfully
+ *       400:
+ *         description: Invalid request data
+ *       403:
+ *         description: Not authorized to update this project
+ *       404:
+ *         description: Project not found
+ */
+app.put('/api/projects/:id', protect, projectValidationRules, validateRequest, authorizeProject('owner', 'manager'), updateProject);
+app.patch('/api/projects/:id', protect, projectUpdateValidationRules, validateRequest, authorizeProject('owner', 'manager'), updateProject);
+
+/**
+ * @swagger
+ * /api/projects/{id}:
+ *   delete:
+ *     summary: Delete a project
+ *     description: Delete a project together with all of its tasks. Only the project owner can delete a project
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project and its tasks deleted
+ *       403:
+ *         description: Not authorized to delete this project
+ *       404:
+ *         description: Project not found
+ */
+app.delete('/api/projects/:id', protect, authorizeProject('owner'), async (req, res, next) => {
+  console.log(`Delete project endpoint called for ID: ${req.params.id}`);
+  try {
+    const { project } = req;
+    
+    // Tasks cannot exist without their project, so they are deleted with it
+    const { deletedCount } = await Task.deleteMany({ project: project._id });
+    await TaskDependency.deleteMany({ project: project._id });
+    await Subtask.deleteMany({ project: project._id });
+    await TaskStatusChange.deleteMany({ project: project._id });
+    await DurationPrediction.deleteMany({ project: project._id });
+    await TaskSuggestion.deleteMany({ project: project._id });
+    await ProjectCategory.deleteMany({ project: project._id });
+    await BottleneckSnapshot.deleteMany({ project: project._id });
+    await Membership.deleteMany({ project: project._id });
+    await project.deleteOne();
+    console.log(`Project ${req.params.id} deleted along with ${deletedCount} tasks`);
+    res.json({
+      success: true,
+      data: {
+        _id: project._id,
+        deletedTasks: deletedCount
+      }
     });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * Populate the owner and members of a project without their passwords
+ * @param {Object} project - Project document
+ * @returns {Promise<Object>} Owner and member profiles, each with their project role
+ */
+const getProjectTeam = async project => {
+  await project.populate([
+    { path: 'owner', select: '-password' },
+    { path: 'members', select: '-password' }
+  ]);
+  
+  const memberships = await Membership.find({ project: project._id });
+  const rolesByUser = {};
+  memberships.forEach(membership => {
+    rolesByUser[membership.user.toString()] = membership.role;
+  });
+  
+  return {
+    owner: { ...project.owner.toObject(), role: 'owner' },
+    // Members without a membership record are contributors
+    members: project.members.map(member => ({
+      ...member.toObject(),
+      role: rolesByUser[member._id.toString()] || 'contributor'
+    }))
+  };
+};
+
+/**
+ * Check whether a user is the owner or a member of a project
+ * @param {Object} project - Project document
+ * @param {string} userId - User ID
+ * @returns {boolean} True if the user is on the project team
+ */
+const isProjectMember = (project, userId) =>
+  [project.owner, ...project.members].some(member => (member._id || member).toString() === userId.toString());
+
 /**
  * @swagger
- * /api/tasks:
+ * /api/projects/{id}/members:
  *   get:
- *     summary: Get all tasks
- *     description: Retrieve a list of all tasks
+ *     summary: Get project members
+ *     description: Retrieve the owner and member profiles of a project
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
  *     responses:
  *       200:
- *         description: A list of tasks
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Task'
+ *         description: Project owner and members
+ *       403:
+ *         description: Not authorized to access this project
+ *       404:
+ *         description: Project not found
  */
-app.get('/api/tasks', protect, async (req, res, next) => {
-  console.log('Get all tasks endpoint called');
+app.get('/api/projects/:id/members', protect, authorizeProject(), async (req, res, next) => {
+  console.log(`Get project members endpoint called for project ID: ${req.params.id}`);
   try {
-    let query = {};
-    
-    // If user is not admin, only show tasks they created or are assigned to
-    if (req.user.role !== 'admin') {
-      query = { 
-        $or: [
-          { createdBy: req.user._id },
-          { assignedTo: req.user._id }
-        ]
-      };
-    }
+    const { project } = req;
     
-    const tasks = await Task.find(query);
-    console.log(`Returning ${tasks.length} tasks`);
+    const team = await getProjectTeam(project);
+    console.log(`Returning ${team.members.length} members for project ${req.params.id}`);
     res.json({
       success: true,
-      count: tasks.length,
-      data: tasks
+      count: team.members.length,
+      data: team
     });
   } catch (error) {
     next(error);
@@ -288,55 +521,81 @@ app.get('/api/tasks', protect, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/tasks:
+ * /api/projects/{id}/members:
  *   post:
- *     summary: Create a new task
- *     description: Create a new task with the provided data
+ *     summary: Add a project member
+ *     description: Add an existing user to a project with a project role. Only the project owner or an admin can manage members
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Task'
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: ID of the user to add
+ *               role:
+ *                 type: string
+ *                 enum: [manager, contributor, viewer]
+ *                 default: contributor
+ *                 description: Project role of the new member
  *     responses:
  *       201:
- *         description: Task created successfully
+ *         description: Member added, returns the updated team
  *       400:
- *         description: Invalid request data
+ *         description: Invalid user ID or user is already part of the project
+ *       403:
+ *         description: Not authorized to manage members of this project
+ *       404:
+ *         description: Project or user not found
  */
-app.post('/api/tasks', protect, taskValidationRules, validateRequest, async (req, res, next) => {
-  console.log('Create task endpoint called');
+app.post('/api/projects/:id/members', protect, memberValidationRules, validateRequest, authorizeProject('owner'), async (req, res, next) => {
+  console.log(`Add project member endpoint called for project ID: ${req.params.id}`);
   try {
-    // Check if project exists
-    const project = await Project.findById(req.body.project);
-    if (!project) {
-      return res.status(404).json({
+    const { project } = req;
+    
+    const { userId } = req.body;
+    if (project.owner.toString() === userId || project.members.some(id => id.toString() === userId)) {
+      return res.status(400).json({
         success: false,
-        message: 'Project not found'
+        message: 'User is already part of this project'
       });
     }
     
-    // Check if user has access to this project
-    if (req.user.role !== 'admin' && 
-        project.owner.toString() !== req.user._id.toString() && 
-        !project.members.includes(req.user._id)) {
-      return res.status(403).json({ 
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        message: 'Not authorized to add tasks to this project' 
+        message: 'User not found'
       });
     }
     
-    // Add creator to task
-    req.body.createdBy = req.user._id;
+    project.members.push(user._id);
+    await project.save();
+    await Membership.findOneAndUpdate(
+      { project: project._id, user: user._id },
+      { role: req.body.role || 'contributor' },
+      { upsert: true, runValidators: true }
+    );
+    console.log(`User ${userId} added to project ${req.params.id}`);
     
-    const task = new Task(req.body);
-    const savedTask = await task.save();
-    console.log(`Task created with ID: ${savedTask._id}`);
+    const team = await getProjectTeam(project);
     res.status(201).json({
       success: true,
-      data: savedTask
+      count: team.members.length,
+      data: team
     });
   } catch (error) {
     next(error);
@@ -345,10 +604,10 @@ app.post('/api/tasks', protect, taskValidationRules, validateRequest, async (req
 
 /**
  * @swagger
- * /api/tasks/{id}:
- *   get:
- *     summary: Get a task by ID
- *     description: Retrieve a task by its ID
+ * /api/projects/{id}/members/{userId}:
+ *   patch:
+ *     summary: Change a member's project role
+ *     description: Set the project role (manager, contributor or viewer) of a member. Only the project owner or an admin can manage members
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -357,39 +616,59 @@ app.post('/api/tasks', protect, taskValidationRules, validateRequest, async (req
  *         required: true
  *         schema:
  *           type: string
- *         description: Task ID
+ *         description: Project ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the member
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [manager, contributor, viewer]
  *     responses:
  *       200:
- *         description: Task details
+ *         description: Role changed, returns the updated team
+ *       400:
+ *         description: Invalid user ID or role
+ *       403:
+ *         description: Not authorized to manage members of this project
  *       404:
- *         description: Task not found
+ *         description: Project not found or user is not a member
  */
-app.get('/api/tasks/:id', protect, async (req, res, next) => {
-  console.log(`Get task endpoint called for ID: ${req.params.id}`);
+app.patch('/api/projects/:id/members/:userId', protect, memberIdValidationRules, memberRoleValidationRules, validateRequest, authorizeProject('owner'), async (req, res, next) => {
+  console.log(`Change member role endpoint called for project ID: ${req.params.id}, user ID: ${req.params.userId}`);
   try {
-    const task = await Task.findById(req.params.id);
-    if (!task) {
-      console.log(`Task not found with ID: ${req.params.id}`);
-      return res.status(404).json({ 
-        success: false,
-        message: 'Task not found' 
-      });
-    }
+    const { project } = req;
     
-    // Check if user has access to this task
-    if (req.user.role !== 'admin' && 
-        task.createdBy.toString() !== req.user._id.toString() && 
-        task.assignedTo.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ 
+    if (!project.members.some(id => id.toString() === req.params.userId)) {
+      return res.status(404).json({
         success: false,
-        message: 'Not authorized to access this task' 
+        message: 'User is not a member of this project'
       });
     }
     
-    console.log(`Returning task: ${task.title}`);
+    await Membership.findOneAndUpdate(
+      { project: project._id, user: req.params.userId },
+      { role: req.body.role },
+      { upsert: true, runValidators: true }
+    );
+    console.log(`User ${req.params.userId} is now ${req.body.role} of project ${req.params.id}`);
+    
+    const team = await getProjectTeam(project);
     res.json({
       success: true,
-      data: task
+      count: team.members.length,
+      data: team
     });
   } catch (error) {
     next(error);
@@ -398,10 +677,10 @@ app.get('/api/tasks/:id', protect, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/projects/{id}/tasks:
- *   get:
- *     summary: Get tasks for a project
- *     description: Retrieve all tasks for a specific project
+ * /api/projects/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a project member
+ *     description: Remove a user from a project. Only the project owner or an admin can manage members
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -411,46 +690,1011 @@ app.get('/api/tasks/:id', protect, async (req, res, next) => {
  *         schema:
  *           type: string
  *         description: Project ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the member to remove
  *     responses:
  *       200:
- *         description: List of tasks for the project
- *       500:
- *         description: Server error
+ *         description: Member removed, returns the updated team
+ *       400:
+ *         description: Invalid user ID
+ *       403:
+ *         description: Not authorized to manage members of this project
+ *       404:
+ *         description: Project not found or user is not a member
  */
-app.get('/api/projects/:id/tasks', protect, async (req, res, next) => {
-  console.log(`Get tasks for project endpoint called for project ID: ${req.params.id}`);
+app.delete('/api/projects/:id/members/:userId', protect, memberIdValidationRules, validateRequest, authorizeProject('owner'), async (req, res, next) => {
+  console.log(`Remove project member endpoint called for project ID: ${req.params.id}, user ID: ${req.params.userId}`);
   try {
-    // Check if project exists and user has access
-    const project = await Project.findById(req.params.id);
-    if (!project) {
+    const { project } = req;
+    
+    const memberCount = project.members.length;
+    project.members = project.members.filter(id => id.toString() !== req.params.userId);
+    if (project.members.length === memberCount) {
       return res.status(404).json({
         success: false,
-        message: 'Project not found'
+        message: 'User is not a member of this project'
       });
     }
     
-    // Check if user has access to this project
-    if (req.user.role !== 'admin' && 
-        project.owner.toString() !== req.user._id.toString() && 
-        !project.members.includes(req.user._id)) {
-      return res.status(403).json({ 
-        success: false,
-        message: 'Not authorized to access this project' 
-      });
-    }
+    await project.save();
+    await Membership.deleteOne({ project: project._id, user: req.params.userId });
+    console.log(`User ${req.params.userId} removed from project ${req.params.id}`);
     
-    const tasks = await Task.find({ project: req.params.id });
-    console.log(`Returning ${tasks.length} tasks for project ${req.params.id}`);
+    const team = await getProjectTeam(project);
     res.json({
       success: true,
-      count: tasks.length,
-      data: tasks
+      count: team.members.length,
+      data: team
     });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * @swagger
+ * /api/tasks:
+ *   get:
+ *     summary: Get all tasks
+ *     description: Retrieve a paginated list of tasks with optional filters and free-text search on title/description
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/SearchParam'
+ *       - $ref: '#/components/parameters/TaskSortParam'
+ *       - $ref: '#/components/parameters/TaskStatusParam'
+ *       - $ref: '#/components/parameters/TaskPriorityParam'
+ *       - $ref: '#/components/parameters/AssignedToParam'
+ *       - $ref: '#/components/parameters/DueFromParam'
+ *       - $ref: '#/components/parameters/DueToParam'
+ *     responses:
+ *       200:
+ *         description: A page of tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskList'
+ *       400:
+ *         description: Invalid query parameters
+ */
+app.get('/api/tasks', protect, taskListValidationRules, validateRequest, async (req, res, next) => {
+  console.log('Get all tasks endpoint called');
+  try {
+    const conditions = getTaskConditions(req.query);
+    
+    // If user is not admin, only show tasks they created or are assigned to
+    if (req.user.role !== 'admin') {
+      conditions.push({ 
+        $or: [
+          { createdBy: req.user._id },
+          { assignedTo: req.user._id }
+        ]
+      });
+    }
+    
+    const result = await paginate(Task, conditions, req.query, { createdAt: -1 });
+    console.log(`Returning ${result.count} of ${result.total} tasks`);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks:
+ *   post:
+ *     summary: Create a new task
+ *     description: Create a new task with the provided data
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Task'
+ *     responses:
+ *       201:
+ *         description: Task created successfully
+ *       400:
+ *         description: Invalid request data or the assignee is not a member of the project
+ *       403:
+ *         description: Project viewers cannot create tasks
+ */
+app.post('/api/tasks', protect, taskValidationRules, validateRequest, authorizeProject('owner', 'manager', 'contributor'), async (req, res, next) => {
+  console.log('Create task endpoint called');
+  try {
+    // Tasks can only be assigned to people on the project
+    if (req.body.assignedTo && !isProjectMember(req.project, req.body.assignedTo)) {
+      return res.status(400).json({
+        success: false,
+        message: `Assignee is not a member of the project: ${req.body.assignedTo}`
+      });
+    }
+    
+    // Add creator to task
+    req.body.createdBy = req.user._id;
+    
+    const task = new Task(req.body);
+    const savedTask = await task.save();
+    await recordStatusChange(savedTask, null, req.user._id);
+    console.log(`Task created with ID: ${savedTask._id}`);
+    res.status(201).json({
+      success: true,
+      data: savedTask
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/duplicates:
+ *   post:
+ *     summary: Find near-duplicates of a task
+ *     description: >
+ *       Finds tasks in a project whose title is close to the given title, e.g. "Set up CI pipeline" and
+ *       "Setup CI/CD pipeline", so the create task form can warn before adding the same work twice.
+ *       Titles are compared by word stems, with words written apart or together treated alike.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - project
+ *               - title
+ *             properties:
+ *               project:
+ *                 type: string
+ *                 description: Project ID
+ *               title:
+ *                 type: string
+ *                 description: Title of the task being created or edited
+ *               excludeTask:
+ *                 type: string
+ *                 description: ID of the task being edited, so it is not reported as its own duplicate
+ *               threshold:
+ *                 type: number
+ *                 minimum: 0.1
+ *                 maximum: 1
+ *                 default: 0.7
+ *                 description: Lowest title similarity that counts as a duplicate
+ *     responses:
+ *       200:
+ *         description: Similar tasks, most similar first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       task:
+ *                         $ref: '#/components/schemas/Task'
+ *                       similarity:
+ *                         type: number
+ *                         description: Title similarity (0-1)
+ *       400:
+ *         description: Invalid request data
+ *       403:
+ *         description: Not a member of the project
+ */
+app.post('/api/tasks/duplicates', protect, duplicateCheckValidationRules, validateRequest, authorizeProject(), async (req, res, next) => {
+  console.log(`Duplicate task check called for "${req.body.title}" in project ${req.body.project}`);
+  try {
+    const conditions = { project: req.project._id };
+    if (req.body.excludeTask) {
+      conditions._id = { $ne: req.body.excludeTask };
+    }
+    const tasks = await Task.find(conditions).select('title status priority dueDate assignedTo');
+    
+    const duplicates = findDuplicateTasks(req.body.title, tasks, req.body.threshold || DUPLICATE_THRESHOLD);
+    console.log(`Found ${duplicates.length} possible duplicates`);
+    res.json({
+      success: true,
+      data: duplicates
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   get:
+ *     summary: Get a task by ID
+ *     description: Retrieve a task by its ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task details
+ *       404:
+ *         description: Task not found
+ */
+app.get('/api/tasks/:id', protect, loadTask, authorizeProject(), async (req, res, next) => {
+  console.log(`Get task endpoint called for ID: ${req.params.id}`);
+  try {
+    const { task } = req;
+    
+    console.log(`Returning task: ${task.title}`);
+    res.json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Task fields that can be changed after creation
+const TASK_UPDATABLE_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'assignedTo'];
+
+// Allowed task status transitions (todo -> in-progress -> review -> completed)
+const TASK_STATUS_TRANSITIONS = {
+  'todo': ['in-progress'],
+  'in-progress': ['todo', 'review'],
+  'review': ['in-progress', 'completed'],
+  'completed': ['in-progress']
+};
+
+/**
+ * Check whether a task is allowed to move from one status to another
+ * @param {string} from - Current task status
+ * @param {string} to - Requested task status
+ * @returns {boolean} True if the transition is allowed
+ */
+const isAllowedTaskTransition = (from, to) => (TASK_STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Add an entry to a task's status history. When the task was completed, its open
+ * duration predictions are compared with the time it actually took.
+ * @param {Object} task - Task document after the change
+ * @param {string|null} from - Previous status (null when the task was just created)
+ * @param {string} userId - User who changed the status
+ * @returns {Promise<Object>} Created TaskStatusChange document
+ */
+const recordStatusChange = async (task, from, userId) => {
+  const change = await TaskStatusChange.create({
+    project: task.project,
+    task: task._id,
+    from,
+    to: task.status,
+    changedBy: userId
+  });
+  
+  if (task.status === 'completed') {
+    await reconcilePredictions(task, change.createdAt);
+  }
+  return change;
+};
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   patch:
+ *     summary: Update a task
+ *     description: Update only the provided fields of a task. Status changes must follow the task workflow (see /api/tasks/{id}/transition). Requires the owner, manager or contributor project role
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Task'
+ *     responses:
+ *       200:
+ *         description: Task updated successfully
+ *       400:
+ *         description: Invalid request data or status transition, or the assignee is not a member of the project
+ *       403:
+ *         description: Not authorized to update this task
+ *       404:
+ *         description: Task not found
+ */
+app.patch('/api/tasks/:id', protect, taskUpdateValidationRules, validateRequest, loadTask, authorizeProject('owner', 'manager', 'contributor'), async (req, res, next) => {
+  console.log(`Update task endpoint called for ID: ${req.params.id}`);
+  try {
+    const { task } = req;
+    
+    // Status changes go through the same workflow as the transition endpoint
+    if (req.body.status !== undefined && req.body.status !== task.status &&
+        !isAllowedTaskTransition(task.status, req.body.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move task from '${task.status}' to '${req.body.status}'`
+      });
+    }
+    
+    if (req.body.assignedTo && !isProjectMember(req.project, req.body.assignedTo)) {
+      return res.status(400).json({
+        success: false,
+        message: `Assignee is not a member of the project: ${req.body.assignedTo}`
+      });
+    }
+    
+    const previousStatus = task.status;
+    TASK_UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        task[field] = req.body[field];
+      }
+    });
+    
+    const updatedTask = await task.save();
+    if (updatedTask.status !== previousStatus) {
+      await recordStatusChange(updatedTask, previousStatus, req.user._id);
+    }
+    console.log(`Task updated: ${updatedTask.title}`);
+    res.json({
+      success: true,
+      data: updatedTask
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/transition:
+ *   post:
+ *     summary: Change the status of a task
+ *     description: "Move a task through its workflow. Allowed transitions: todo -> in-progress, in-progress -> todo | review, review -> in-progress | completed, completed -> in-progress. Requires the owner, manager or contributor project role"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [todo, in-progress, review, completed]
+ *     responses:
+ *       200:
+ *         description: Task status changed
+ *       400:
+ *         description: Invalid status or transition not allowed
+ *       403:
+ *         description: Not authorized to update this task
+ *       404:
+ *         description: Task not found
+ */
+app.post('/api/tasks/:id/transition', protect, taskTransitionValidationRules, validateRequest, loadTask, authorizeProject('owner', 'manager', 'contributor'), async (req, res, next) => {
+  console.log(`Transition task endpoint called for ID: ${req.params.id} (to: ${req.body.status})`);
+  try {
+    const { task } = req;
+    
+    if (!isAllowedTaskTransition(task.status, req.body.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move task from '${task.status}' to '${req.body.status}'`,
+        allowedTransitions: TASK_STATUS_TRANSITIONS[task.status] || []
+      });
+    }
+    
+    const previousStatus = task.status;
+    task.status = req.body.status;
+    const updatedTask = await task.save();
+    await recordStatusChange(updatedTask, previousStatus, req.user._id);
+    console.log(`Task ${updatedTask._id} moved from '${previousStatus}' to '${updatedTask.status}'`);
+    res.json({
+      success: true,
+      data: updatedTask
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/history:
+ *   get:
+ *     summary: Get the status history of a task
+ *     description: Retrieve every status change of a task with the time and the user who made it, and the total days the task spent in each status
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Status changes (oldest first) and days spent in each status
+ *       403:
+ *         description: Not authorized to access this project
+ *       404:
+ *         description: Task not found
+ */
+app.get('/api/tasks/:id/history', protect, loadTask, authorizeProject(), async (req, res, next) => {
+  console.log(`Get task history endpoint called for ID: ${req.params.id}`);
+  try {
+    const { task } = req;
+    
+    const changes = await TaskStatusChange.find({ task: task._id })
+      .sort({ createdAt: 1 })
+      .populate('changedBy', 'name email');
+    const periods = getStatusPeriods(task, changes);
+    
+    console.log(`Task ${task._id} has ${changes.length} status changes`);
+    res.json({
+      success: true,
+      data: {
+        history: changes.map(change => ({
+          from: change.from,
+          to: change.to,
+          changedBy: change.changedBy,
+          changedAt: change.createdAt
+        })),
+        currentStatus: task.status,
+        currentStatusSince: periods[periods.length - 1].start,
+        timeInState: getTimeInState(periods)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   delete:
+ *     summary: Delete a task
+ *     description: Delete a task by its ID. Requires the owner or manager project role
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task deleted
+ *       403:
+ *         description: Not authorized to delete this task
+ *       404:
+ *         description: Task not found
+ */
+app.delete('/api/tasks/:id', protect, loadTask, authorizeProject('owner', 'manager'), async (req, res, next) => {
+  console.log(`Delete task endpoint called for ID: ${req.params.id}`);
+  try {
+    const { task } = req;
+    
+    await TaskDependency.deleteMany({ $or: [{ task: task._id }, { dependsOn: task._id }] });
+    // Subtasks of a deleted task become top-level tasks
+    await Subtask.deleteMany({ $or: [{ task: task._id }, { parent: task._id }] });
+    await TaskStatusChange.deleteMany({ task: task._id });
+    await DurationPrediction.deleteMany({ task: task._id });
+    await task.deleteOne();
+    console.log(`Task ${req.params.id} deleted`);
+    res.json({
+      success: true,
+      data: {
+        _id: task._id
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies:
+ *   get:
+ *     summary: Get task dependencies
+ *     description: Retrieve the tasks this task depends on (is blocked by) and the tasks it blocks
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Tasks this task depends on and tasks it blocks
+ *       403:
+ *         description: Not authorized to access this project
+ *       404:
+ *         description: Task not found
+ */
+app.get('/api/tasks/:id/dependencies', protect, loadTask, authorizeProject(), async (req, res, next) => {
+  console.log(`Get task dependencies endpoint called for ID: ${req.params.id}`);
+  try {
+    const { task } = req;
+    
+    const [dependsOn, blocks] = await Promise.all([
+      TaskDependency.find({ task: task._id }).populate('dependsOn', 'title status priority dueDate assignedTo'),
+      TaskDependency.find({ dependsOn: task._id }).populate('task', 'title status priority dueDate assignedTo')
+    ]);
+    
+    console.log(`Task ${task._id} depends on ${dependsOn.length} tasks and blocks ${blocks.length} tasks`);
+    res.json({
+      success: true,
+      data: {
+        dependsOn: dependsOn.map(dependency => dependency.dependsOn),
+        blocks: blocks.map(dependency => dependency.task)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies:
+ *   post:
+ *     summary: Add a task dependency
+ *     description: Mark the task as blocked by another task of the same project. Dependencies that would create a cycle are rejected
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dependsOn
+ *             properties:
+ *               dependsOn:
+ *                 type: string
+ *                 description: ID of the task that must be finished first
+ *     responses:
+ *       201:
+ *         description: Dependency added
+ *       400:
+ *         description: Invalid dependency (self reference, other project, duplicate or cycle)
+ *       403:
+ *         description: Not authorized to update this task
+ *       404:
+ *         description: Task not found
+ */
+app.post('/api/tasks/:id/dependencies', protect, dependencyValidationRules, validateRequest, loadTask, authorizeProject('owner', 'manager', 'contributor'), async (req, res, next) => {
+  console.log(`Add task dependency endpoint called for ID: ${req.params.id} (depends on: ${req.body.dependsOn})`);
+  try {
+    const { task } = req;
+    
+    if (task._id.toString() === req.body.dependsOn) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task cannot depend on itself'
+      });
+    }
+    
+    const dependsOnTask = await Task.findById(req.body.dependsOn);
+    if (!dependsOnTask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency task not found'
+      });
+    }
+    
+    if (dependsOnTask.project.toString() !== task.project.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tasks can only depend on tasks of the same project'
+      });
+    }
+    
+    const existingDependencies = await TaskDependency.find({ project: task.project });
+    if (existingDependencies.some(dependency =>
+      dependency.task.toString() === task._id.toString() &&
+      dependency.dependsOn.toString() === dependsOnTask._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task already depends on this task'
+      });
+    }
+    
+    const cycle = findDependencyCycle(existingDependencies, task._id.toString(), dependsOnTask._id.toString());
+    if (cycle) {
+      console.log(`Rejected dependency creating cycle: ${cycle.join(' -> ')}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Dependency would create a cycle',
+        cycle
+      });
+    }
+    
+    const dependency = await TaskDependency.create({
+      project: task.project,
+      task: task._id,
+      dependsOn: dependsOnTask._id,
+      createdBy: req.user._id
+    });
+    console.log(`Task ${task._id} now depends on task ${dependsOnTask._id}`);
+    res.status(201).json({
+      success: true,
+      data: dependency
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies/{dependsOnId}:
+ *   delete:
+ *     summary: Remove a task dependency
+ *     description: Remove the dependency of a task on another task
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: dependsOnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the task it depends on
+ *     responses:
+ *       200:
+ *         description: Dependency removed
+ *       400:
+ *         description: Invalid task ID
+ *       403:
+ *         description: Not authorized to update this task
+ *       404:
+ *         description: Task or dependency not found
+ */
+app.delete('/api/tasks/:id/dependencies/:dependsOnId', protect, dependencyIdValidationRules, validateRequest, loadTask, authorizeProject('owner', 'manager', 'contributor'), async (req, res, next) => {
+  console.log(`Remove task dependency endpoint called for ID: ${req.params.id} (depends on: ${req.params.dependsOnId})`);
+  try {
+    const { task } = req;
+    
+    const dependency = await TaskDependency.findOneAndDelete({
+      task: task._id,
+      dependsOn: req.params.dependsOnId
+    });
+    if (!dependency) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found'
+      });
+    }
+    
+    console.log(`Task ${task._id} no longer depends on task ${req.params.dependsOnId}`);
+    res.json({
+      success: true,
+      data: dependency
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/subtasks:
+ *   get:
+ *     summary: Get subtasks
+ *     description: Retrieve the parent task of this task and the tasks it is split into
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Parent task (null for a top-level task) and subtasks
+ *       403:
+ *         description: Not authorized to access this project
+ *       404:
+ *         description: Task not found
+ */
+app.get('/api/tasks/:id/subtasks', protect, loadTask, authorizeProject(), async (req, res, next) => {
+  console.log(`Get subtasks endpoint called for ID: ${req.params.id}`);
+  try {
+    const { task } = req;
+    
+    const [parent, subtasks] = await Promise.all([
+      Subtask.findOne({ task: task._id }).populate('parent', 'title status priority dueDate assignedTo'),
+      Subtask.find({ parent: task._id }).populate('task', 'title status priority dueDate assignedTo')
+    ]);
+    
+    console.log(`Task ${task._id} has ${subtasks.length} subtasks`);
+    res.json({
+      success: true,
+      data: {
+        parent: parent ? parent.parent : null,
+        subtasks: subtasks.map(subtask => subtask.task)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/subtasks:
+ *   post:
+ *     summary: Add a subtask
+ *     description: Make another task of the same project a subtask of this task. A task has at most one parent, and subtasks that would create a cycle are rejected
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subtask
+ *             properties:
+ *               subtask:
+ *                 type: string
+ *                 description: ID of the task that becomes a subtask
+ *     responses:
+ *       201:
+ *         description: Subtask added
+ *       400:
+ *         description: Invalid subtask (self reference, other project, already has a parent or cycle)
+ *       403:
+ *         description: Not authorized to update this task
+ *       404:
+ *         description: Task not found
+ */
+app.post('/api/tasks/:id/subtasks', protect, subtaskValidationRules, validateRequest, loadTask, authorizeProject('owner', 'manager', 'contributor'), async (req, res, next) => {
+  console.log(`Add subtask endpoint called for ID: ${req.params.id} (subtask: ${req.body.subtask})`);
+  try {
+    const { task } = req;
+    
+    if (task._id.toString() === req.body.subtask) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task cannot be a subtask of itself'
+      });
+    }
+    
+    const subtaskTask = await Task.findById(req.body.subtask);
+    if (!subtaskTask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found'
+      });
+    }
+    
+    if (subtaskTask.project.toString() !== task.project.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subtasks must belong to the same project'
+      });
+    }
+    
+    const existingSubtasks = await Subtask.find({ project: task.project });
+    if (existingSubtasks.some(subtask => subtask.task.toString() === subtaskTask._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task already has a parent task'
+      });
+    }
+    
+    const cycle = findSubtaskCycle(existingSubtasks, task._id.toString(), subtaskTask._id.toString());
+    if (cycle) {
+      console.log(`Rejected subtask creating cycle: ${cycle.join(' -> ')}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Subtask would create a cycle',
+        cycle
+      });
+    }
+    
+    let subtask;
+    try {
+      subtask = await Subtask.create({
+        project: task.project,
+        parent: task._id,
+        task: subtaskTask._id,
+        createdBy: req.user._id
+      });
+    } catch (error) {
+      // A concurrent request gave the task a parent after the check above
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Task already has a parent task'
+        });
+      }
+      throw error;
+    }
+    console.log(`Task ${subtaskTask._id} is now a subtask of task ${task._id}`);
+    res.status(201).json({
+      success: true,
+      data: subtask
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/subtasks/{subtaskId}:
+ *   delete:
+ *     summary: Remove a subtask
+ *     description: Detach a subtask from its parent task. The subtask itself is kept as a top-level task
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent task ID
+ *       - in: path
+ *         name: subtaskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the subtask
+ *     responses:
+ *       200:
+ *         description: Subtask removed
+ *       400:
+ *         description: Invalid task ID
+ *       403:
+ *         description: Not authorized to update this task
+ *       404:
+ *         description: Task or subtask not found
+ */
+app.delete('/api/tasks/:id/subtasks/:subtaskId', protect, subtaskIdValidationRules, validateRequest, loadTask, authorizeProject('owner', 'manager', 'contributor'), async (req, res, next) => {
+  console.log(`Remove subtask endpoint called for ID: ${req.params.id} (subtask: ${req.params.subtaskId})`);
+  try {
+    const { task } = req;
+    
+    const subtask = await Subtask.findOneAndDelete({
+      parent: task._id,
+      task: req.params.subtaskId
+    });
+    if (!subtask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found'
+      });
+    }
+    
+    console.log(`Task ${req.params.subtaskId} is no longer a subtask of task ${task._id}`);
+    res.json({
+      success: true,
+      data: subtask
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/tasks:
+ *   get:
+ *     summary: Get tasks for a project
+ *     description: Retrieve a paginated list of tasks for a specific project with optional filters and free-text search on title/description
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/SearchParam'
+ *       - $ref: '#/components/parameters/TaskSortParam'
+ *       - $ref: '#/components/parameters/TaskStatusParam'
+ *       - $ref: '#/components/parameters/TaskPriorityParam'
+ *       - $ref: '#/components/parameters/AssignedToParam'
+ *       - $ref: '#/components/parameters/DueFromParam'
+ *       - $ref: '#/components/parameters/DueToParam'
+ *     responses:
+ *       200:
+ *         description: A page of tasks for the project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskList'
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/projects/:id/tasks', protect, taskListValidationRules, validateRequest, authorizeProject(), async (req, res, next) => {
+  console.log(`Get tasks for project endpoint called for project ID: ${req.params.id}`);
+  try {
+    const conditions = [{ project: req.project._id }, ...getTaskConditions(req.query)];
+    
+    const result = await paginate(Task, conditions, req.query, { dueDate: 1 });
+    console.log(`Returning ${result.count} of ${result.total} tasks for project ${req.params.id}`);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/users:
@@ -492,6 +1736,7 @@ app.use(errorHandler);
 app.listen(port, () => {
   console.log(`Server running at http://localhost:${port}`);
   console.log(`API documentation available at http://localhost:${port}/api-docs`);
+  startDailySnapshots();
 });
 
 module.exports = app; 
\ No newline at end of file
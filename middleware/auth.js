@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/user');
+const Project = require('../models/project');
+const Task = require('../models/task');
+const Membership = require('../models/membership');
 
 /**
  * Middleware to protect routes that require authentication
@@ -70,7 +74,120 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Resolve a user's role within a project
+ * @param {Object} project - Project document
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} 'owner', the membership role, or null if the user is not part of the project
+ */
+const getProjectRole = async (project, userId) => {
+  if (project.owner.toString() === userId.toString()) {
+    return 'owner';
+  }
+
+  if (!project.members.some(id => id.toString() === userId.toString())) {
+    return null;
+  }
+
+  // Members added before project roles existed have no membership record
+  const membership = await Membership.findOne({ project: project._id, user: userId });
+  return membership ? membership.role : 'contributor';
+};
+
+/**
+ * Middleware to load the task referenced by :taskId or :id into req.task
+ */
+const loadTask = async (req, res, next) => {
+  try {
+    const taskId = req.params.taskId || req.params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(taskId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID format. Must be a valid MongoDB ObjectId'
+      });
+    }
+
+    req.task = await Task.findById(taskId);
+    if (!req.task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware to restrict routes to specific project roles (owner, manager, contributor, viewer).
+ * The project is taken from a task loaded by loadTask, :projectId, :id or the request body,
+ * and attached to the request as req.project along with the caller's req.projectRole.
+ * Without roles, any member of the project is allowed. Admins are always allowed.
+ */
+const authorizeProject = (...roles) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized to access this route'
+        });
+      }
+
+      const projectId = req.task
+        ? req.task.project
+        : req.params.projectId || req.params.id || req.body.project;
+
+      if (!mongoose.Types.ObjectId.isValid(projectId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid project ID format. Must be a valid MongoDB ObjectId'
+        });
+      }
+
+      const project = await Project.findById(projectId);
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found'
+        });
+      }
+
+      const projectRole = await getProjectRole(project, req.user._id);
+
+      if (req.user.role !== 'admin') {
+        if (!projectRole) {
+          return res.status(403).json({
+            success: false,
+            message: 'Not authorized to access this project'
+          });
+        }
+
+        if (roles.length > 0 && !roles.includes(projectRole)) {
+          return res.status(403).json({
+            success: false,
+            message: `Project role ${projectRole} is not authorized to access this route`
+          });
+        }
+      }
+
+      req.project = project;
+      req.projectRole = projectRole;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 module.exports = {
   protect,
-  authorize
-}; 
\ No newline at end of file
+  authorize,
+  authorizeProject,
+  loadTask,
+  getProjectRole
+};
\ No newline at end of file
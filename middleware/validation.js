@@ -1,4 +1,7 @@
-const { validationResult, check } = require('express-validator');
+const { validationResult, check, query, param } = require('express-validator');
+const { MAX_PAGE_SIZE, splitList } = require('../utils/query');
+const { PROJECT_PHASES } = require('../services/ai/taskTemplates');
+const { MAX_ACCURACY_DAYS } = require('../services/ai/predictionTracking');
 
 /**
  * Middleware to validate request
@@ -17,29 +20,49 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Project statuses
+const PROJECT_STATUSES = ['planning', 'in-progress', 'completed', 'on-hold'];
+
+// Task priorities
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+
+// Task workflow statuses
+const TASK_STATUSES = ['todo', 'in-progress', 'review', 'completed'];
+
+// Project and task fields list endpoints can be sorted by
+const PROJECT_SORT_FIELDS = ['name', 'status', 'startDate', 'endDate', 'createdAt', 'updatedAt'];
+const TASK_SORT_FIELDS = ['title', 'status', 'dueDate', 'createdAt', 'updatedAt'];
+
 /**
- * Project validation rules
+ * Start a validation chain, marking the field optional for partial updates
  */
-const projectValidationRules = [
-  check('name')
+const field = (name, partial) => (partial ? check(name).optional() : check(name));
+
+/**
+ * Build project validation rules
+ * @param {Object} options - Rule options
+ * @param {boolean} options.partial - Only validate fields present in the request body
+ */
+const buildProjectValidationRules = ({ partial = false } = {}) => [
+  field('name', partial)
     .trim()
     .notEmpty()
     .withMessage('Project name is required')
     .isLength({ max: 100 })
     .withMessage('Project name must be less than 100 characters'),
   
-  check('description')
+  field('description', partial)
     .trim()
     .notEmpty()
     .withMessage('Project description is required'),
   
-  check('startDate')
+  field('startDate', partial)
     .notEmpty()
     .withMessage('Start date is required')
     .isISO8601()
     .withMessage('Start date must be a valid date'),
   
-  check('endDate')
+  field('endDate', partial)
     .notEmpty()
     .withMessage('End date is required')
     .isISO8601()
@@ -51,54 +74,568 @@ const projectValidationRules = [
       return true;
     }),
   
-  check('status')
-    .isIn(['planning', 'in-progress', 'completed', 'on-hold'])
-    .withMessage('Invalid status value')
+  field('status', partial)
+    .isIn(PROJECT_STATUSES)
+    .withMessage('Invalid status value'),
+  
+  check('members')
+    .optional()
+    .isArray()
+    .withMessage('Members must be an array of user IDs'),
+  
+  check('members.*')
+    .isMongoId()
+    .withMessage('Invalid member user ID format')
 ];
 
 /**
- * Task validation rules
+ * Project validation rules
  */
-const taskValidationRules = [
-  check('title')
+const projectValidationRules = buildProjectValidationRules();
+
+/**
+ * Project partial update validation rules
+ */
+const projectUpdateValidationRules = buildProjectValidationRules({ partial: true });
+
+/**
+ * Build task validation rules
+ * @param {Object} options - Rule options
+ * @param {boolean} options.partial - Only validate fields present in the request body
+ */
+const buildTaskValidationRules = ({ partial = false } = {}) => [
+  field('title', partial)
     .trim()
     .notEmpty()
     .withMessage('Task title is required')
     .isLength({ max: 100 })
     .withMessage('Task title must be less than 100 characters'),
   
-  check('description')
+  field('description', partial)
     .trim()
     .notEmpty()
     .withMessage('Task description is required'),
   
-  check('status')
-    .isIn(['todo', 'in-progress', 'review', 'completed'])
+  field('status', partial)
+    .isIn(TASK_STATUSES)
     .withMessage('Invalid status value'),
   
-  check('priority')
-    .isIn(['low', 'medium', 'high'])
+  field('priority', partial)
+    .isIn(TASK_PRIORITIES)
     .withMessage('Invalid priority value'),
   
-  check('dueDate')
+  field('dueDate', partial)
     .notEmpty()
     .withMessage('Due date is required')
     .isISO8601()
     .withMessage('Due date must be a valid date'),
   
-  check('project')
+  field('project', partial)
     .notEmpty()
     .withMessage('Project ID is required')
     .isMongoId()
     .withMessage('Invalid project ID format'),
   
-  check('assignedTo')
+  field('assignedTo', partial)
     .notEmpty()
     .withMessage('Assigned user ID is required')
     .isMongoId()
     .withMessage('Invalid user ID format')
 ];
 
+/**
+ * Task validation rules
+ */
+const taskValidationRules = buildTaskValidationRules();
+
+/**
+ * Task partial update validation rules
+ */
+const taskUpdateValidationRules = buildTaskValidationRules({ partial: true });
+
+/**
+ * Duplicate task check validation rules
+ */
+const duplicateCheckValidationRules = [
+  check('project')
+    .exists()
+    .withMessage('Project ID is required')
+    .bail()
+    .isString()
+    .withMessage('Project ID must be a string')
+    .bail()
+    .notEmpty()
+    .withMessage('Project ID is required')
+    .isMongoId()
+    .withMessage('Invalid project ID format'),
+  
+  check('title')
+    .exists()
+    .withMessage('Task title is required')
+    .bail()
+    .isString()
+    .withMessage('Task title must be a string')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Task title is required')
+    .isLength({ max: 100 })
+    .withMessage('Task title must be less than 100 characters'),
+  
+  check('excludeTask')
+    .optional()
+    .isString()
+    .withMessage('Excluded task ID must be a string')
+    .bail()
+    .isMongoId()
+    .withMessage('Invalid task ID format'),
+  
+  check('threshold')
+    .optional()
+    .isFloat({ min: 0.1, max: 1 })
+    .withMessage('Threshold must be a number between 0.1 and 1')
+    .toFloat()
+];
+
+/**
+ * Task status transition validation rules
+ */
+const taskTransitionValidationRules = [
+  check('status')
+    .notEmpty()
+    .withMessage('Target status is required')
+    .isIn(TASK_STATUSES)
+    .withMessage('Invalid status value')
+];
+
+/**
+ * Task dependency validation rules
+ */
+const dependencyValidationRules = [
+  check('dependsOn')
+    .notEmpty()
+    .withMessage('Dependency task ID is required')
+    .isMongoId()
+    .withMessage('Invalid task ID format')
+];
+
+/**
+ * Task dependency ID (route parameter) validation rules
+ */
+const dependencyIdValidationRules = [
+  param('dependsOnId')
+    .isMongoId()
+    .withMessage('Invalid task ID format')
+];
+
+/**
+ * Subtask validation rules
+ */
+const subtaskValidationRules = [
+  check('subtask')
+    .notEmpty()
+    .withMessage('Subtask ID is required')
+    .isMongoId()
+    .withMessage('Invalid task ID format')
+];
+
+/**
+ * Subtask ID (route parameter) validation rules
+ */
+const subtaskIdValidationRules = [
+  param('subtaskId')
+    .isMongoId()
+    .withMessage('Invalid task ID format')
+];
+
+// Most subtasks a task breakdown can propose
+const MAX_BREAKDOWN_SUBTASKS = 10;
+
+/**
+ * Task breakdown validation rules
+ */
+const taskBreakdownValidationRules = [
+  check('count')
+    .optional()
+    .isInt({ min: 1, max: MAX_BREAKDOWN_SUBTASKS })
+    .withMessage(`Count must be between 1 and ${MAX_BREAKDOWN_SUBTASKS}`)
+    .toInt()
+];
+
+/**
+ * Bottleneck history validation rules
+ */
+const bottleneckHistoryValidationRules = [
+  query('from')
+    .optional()
+    .isString()
+    .withMessage('from must be given once')
+    .bail()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  
+  query('to')
+    .optional()
+    .isString()
+    .withMessage('to must be given once')
+    .bail()
+    .isISO8601()
+    .withMessage('to must be a valid date')
+    .custom((to, { req }) => {
+      if (req.query.from && new Date(to) < new Date(req.query.from)) {
+        throw new Error('to must not be before from');
+      }
+      return true;
+    })
+];
+
+/**
+ * Prediction accuracy report validation rules
+ */
+const predictionAccuracyValidationRules = [
+  query('projectId')
+    .optional()
+    .isString()
+    .withMessage('projectId must be given once')
+    .bail()
+    .isMongoId()
+    .withMessage('Invalid project ID format. Must be a valid MongoDB ObjectId'),
+  
+  query('days')
+    .optional()
+    .isString()
+    .withMessage('days must be given once')
+    .bail()
+    .isInt({ min: 1, max: MAX_ACCURACY_DAYS })
+    .withMessage(`days must be between 1 and ${MAX_ACCURACY_DAYS}`)
+    .toInt()
+];
+
+// Most suggestions that can be accepted or given feedback on in one request
+const MAX_SUGGESTIONS_PER_REQUEST = 20;
+
+/**
+ * Suggestion acceptance validation rules: a list of suggestion IDs, each with optional edits
+ */
+const suggestionAcceptValidationRules = [
+  check('suggestions')
+    .isArray({ min: 1, max: MAX_SUGGESTIONS_PER_REQUEST })
+    .withMessage(`Suggestions must be a list of 1 to ${MAX_SUGGESTIONS_PER_REQUEST} suggestions`),
+  
+  check('suggestions.*.id')
+    .isMongoId()
+    .withMessage('Invalid suggestion ID format'),
+  
+  check('suggestions.*.title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Task title must not be empty')
+    .isLength({ max: 100 })
+    .withMessage('Task title must be less than 100 characters'),
+  
+  check('suggestions.*.description')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Task description must not be empty'),
+  
+  check('suggestions.*.priority')
+    .optional()
+    .isIn(TASK_PRIORITIES)
+    .withMessage('Invalid priority value'),
+  
+  check('suggestions.*.dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  
+  check('suggestions.*.assignedTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+// Responses a team can give to a suggestion
+const SUGGESTION_FEEDBACK = ['accepted', 'dismissed', 'not-relevant'];
+
+/**
+ * Suggestion feedback validation rules: a list of suggestion IDs, each with the team's response
+ */
+const suggestionFeedbackValidationRules = [
+  check('suggestions')
+    .isArray({ min: 1, max: MAX_SUGGESTIONS_PER_REQUEST })
+    .withMessage(`Suggestions must be a list of 1 to ${MAX_SUGGESTIONS_PER_REQUEST} suggestions`),
+  
+  check('suggestions.*.id')
+    .isMongoId()
+    .withMessage('Invalid suggestion ID format'),
+  
+  check('suggestions.*.status')
+    .isIn(SUGGESTION_FEEDBACK)
+    .withMessage(`Feedback must be one of: ${SUGGESTION_FEEDBACK.join(', ')}`)
+];
+
+// Roles a project member can hold (the owner is set on the project itself)
+const MEMBER_ROLES = ['manager', 'contributor', 'viewer'];
+
+/**
+ * Project member validation rules
+ */
+const memberValidationRules = [
+  check('userId')
+    .notEmpty()
+    .withMessage('User ID is required')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  
+  check('role')
+    .optional()
+    .isIn(MEMBER_ROLES)
+    .withMessage('Invalid project role')
+];
+
+/**
+ * Project member ID (route parameter) validation rules
+ */
+const memberIdValidationRules = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+/**
+ * Project member role validation rules
+ */
+const memberRoleValidationRules = [
+  check('role')
+    .notEmpty()
+    .withMessage('Project role is required')
+    .isIn(MEMBER_ROLES)
+    .withMessage('Invalid project role')
+];
+
+// Lowercase words joined by dashes, e.g. data-science
+const CATEGORY_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Build task template validation rules
+ * @param {Object} options - Rule options
+ * @param {boolean} options.partial - Only validate fields present in the request body
+ */
+const buildTaskTemplateValidationRules = ({ partial = false } = {}) => [
+  field('projectCategory', partial)
+    .trim()
+    .toLowerCase()
+    .matches(CATEGORY_PATTERN)
+    .withMessage('Project category must be lowercase words joined by dashes, e.g. data-science'),
+  
+  field('title', partial)
+    .trim()
+    .notEmpty()
+    .withMessage('Template title is required')
+    .isLength({ max: 100 })
+    .withMessage('Template title must be less than 100 characters'),
+  
+  check('description')
+    .optional()
+    .trim(),
+  
+  field('category', partial)
+    .trim()
+    .toLowerCase()
+    .matches(CATEGORY_PATTERN)
+    .withMessage('Category must be lowercase words joined by dashes, e.g. testing'),
+  
+  check('phase')
+    .optional()
+    .isIn(PROJECT_PHASES)
+    .withMessage(`Phase must be one of: ${PROJECT_PHASES.join(', ')}`),
+  
+  check('order')
+    .optional()
+    .isInt()
+    .withMessage('Order must be an integer')
+    .toInt(),
+  
+  check('priority')
+    .optional()
+    .isIn(TASK_PRIORITIES)
+    .withMessage('Invalid priority value'),
+  
+  check('estimatedDays')
+    .optional()
+    .isFloat({ min: 0.5 })
+    .withMessage('Estimated effort must be at least half a day')
+    .toFloat()
+];
+
+/**
+ * Task template validation rules
+ */
+const taskTemplateValidationRules = buildTaskTemplateValidationRules();
+
+/**
+ * Task template partial update validation rules
+ */
+const taskTemplateUpdateValidationRules = buildTaskTemplateValidationRules({ partial: true });
+
+/**
+ * Task template list query validation rules
+ */
+const taskTemplateListValidationRules = [
+  query('projectCategory')
+    .optional()
+    .isString()
+    .withMessage('Project category must be given once')
+    .bail()
+    .trim()
+    .toLowerCase()
+];
+
+/**
+ * Project category validation rules; null clears the category
+ */
+const projectCategoryValidationRules = [
+  check('category')
+    .exists()
+    .withMessage('Category is required (null to clear it)')
+    .bail()
+    .if(category => category !== null)
+    .isString()
+    .withMessage('Category must be a string or null')
+    .bail()
+    .trim()
+    .toLowerCase()
+    .matches(CATEGORY_PATTERN)
+    .withMessage('Category must be lowercase words joined by dashes, e.g. data-science')
+];
+
+/**
+ * Model version promotion validation rules
+ */
+const modelVersionValidationRules = [
+  check('version')
+    .notEmpty()
+    .withMessage('Model version is required')
+    .isInt({ min: 1 })
+    .withMessage('Model version must be a positive integer')
+    .toInt()
+];
+
+/**
+ * Build a validator accepting a comma separated list of allowed values
+ * @param {Array<string>} allowed - Allowed values
+ */
+const isListOf = allowed => value => splitList(value).every(item => allowed.includes(item));
+
+/**
+ * Build pagination, sorting and search validation rules for list endpoints
+ * @param {Array<string>} sortFields - Fields the list can be sorted by
+ */
+const buildListValidationRules = sortFields => [
+  query('page')
+    .optional()
+    .isString()
+    .withMessage('Page must be given once')
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isString()
+    .withMessage('Limit must be given once')
+    .bail()
+    .isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+  
+  query('sort')
+    .optional()
+    .isString()
+    .withMessage('Sort must be given once')
+    .bail()
+    .custom(isListOf(sortFields.flatMap(sortField => [sortField, `-${sortField}`])))
+    .withMessage(`Sort must be a comma separated list of: ${sortFields.join(', ')} (prefix with - for descending)`),
+  
+  query('search')
+    .optional()
+    .isString()
+    .withMessage('Search text must be given once')
+    .bail()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search text must be less than 100 characters')
+];
+
+/**
+ * Project list query validation rules
+ */
+const projectListValidationRules = [
+  ...buildListValidationRules(PROJECT_SORT_FIELDS),
+  
+  query('status')
+    .optional()
+    .isString()
+    .withMessage('Status must be given once')
+    .bail()
+    .custom(isListOf(PROJECT_STATUSES))
+    .withMessage(`Status must be a comma separated list of: ${PROJECT_STATUSES.join(', ')}`)
+];
+
+/**
+ * Task list query validation rules
+ */
+const taskListValidationRules = [
+  ...buildListValidationRules(TASK_SORT_FIELDS),
+  
+  query('status')
+    .optional()
+    .isString()
+    .withMessage('Status must be given once')
+    .bail()
+    .custom(isListOf(TASK_STATUSES))
+    .withMessage(`Status must be a comma separated list of: ${TASK_STATUSES.join(', ')}`),
+  
+  query('priority')
+    .optional()
+    .isString()
+    .withMessage('Priority must be given once')
+    .bail()
+    .custom(isListOf(TASK_PRIORITIES))
+    .withMessage(`Priority must be a comma separated list of: ${TASK_PRIORITIES.join(', ')}`),
+  
+  query('assignedTo')
+    .optional()
+    .isString()
+    .withMessage('assignedTo must be given once')
+    .bail()
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  
+  query('dueFrom')
+    .optional()
+    .isString()
+    .withMessage('dueFrom must be given once')
+    .bail()
+    .isISO8601()
+    .withMessage('dueFrom must be a valid date'),
+  
+  query('dueTo')
+    .optional()
+    .isString()
+    .withMessage('dueTo must be given once')
+    .bail()
+    .isISO8601()
+    .withMessage('dueTo must be a valid date')
+    .custom((dueTo, { req }) => {
+      if (req.query.dueFrom && new Date(dueTo) < new Date(req.query.dueFrom)) {
+        throw new Error('dueTo must not be before dueFrom');
+      }
+      return true;
+    })
+];
+
 /**
  * User validation rules
  */
@@ -143,7 +680,30 @@ const loginValidationRules = [
 module.exports = {
   validateRequest,
   projectValidationRules,
+  projectUpdateValidationRules,
   taskValidationRules,
+  taskUpdateValidationRules,
+  taskTransitionValidationRules,
+  duplicateCheckValidationRules,
+  dependencyValidationRules,
+  dependencyIdValidationRules,
+  subtaskValidationRules,
+  subtaskIdValidationRules,
+  taskBreakdownValidationRules,
+  bottleneckHistoryValidationRules,
+  predictionAccuracyValidationRules,
+  suggestionAcceptValidationRules,
+  suggestionFeedbackValidationRules,
+  memberValidationRules,
+  memberIdValidationRules,
+  memberRoleValidationRules,
+  modelVersionValidationRules,
+  taskTemplateValidationRules,
+  taskTemplateUpdateValidationRules,
+  taskTemplateListValidationRules,
+  projectCategoryValidationRules,
+  projectListValidationRules,
+  taskListValidationRules,
   userValidationRules,
   loginValidationRules
 }; 
\ No newline at end of file
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * Workflow bottleneck scores of a project on one day (UTC).
+ * The last workflow analysis of the day is kept, along with the actions it recommended.
+ */
+const bottleneckSnapshotSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required']
+    },
+    date: {
+      type: Date,
+      required: [true, 'Snapshot date is required']
+    },
+    scores: {
+      resourceBottleneck: Number,
+      taskDistribution: Number,
+      workflowEfficiency: Number,
+      taskDependency: Number,
+      priorityAlignment: Number
+    },
+    method: {
+      type: String,
+      enum: ['ml', 'heuristic'],
+      required: [true, 'Analysis method is required']
+    },
+    modelVersion: {
+      type: Number,
+      default: null
+    },
+    taskCount: {
+      type: Number,
+      default: 0
+    },
+    recommendations: [String]
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One snapshot per project and day
+bottleneckSnapshotSchema.index({ project: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('BottleneckSnapshot', bottleneckSnapshotSchema);
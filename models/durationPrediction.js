@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * A task duration prediction as it was returned, with the inputs it was made from.
+ * Once the task is completed the prediction is reconciled: actualDays is the time
+ * from the prediction (createdAt) to completion and errorDays is actual minus predicted.
+ */
+const durationPredictionSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required']
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: [true, 'Task is required']
+    },
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    inputs: {
+      priority: String,
+      status: String,
+      complexity: Number,
+      assigneeExperience: Number
+    },
+    method: {
+      type: String,
+      enum: ['ml', 'heuristic'],
+      required: [true, 'Prediction method is required']
+    },
+    modelVersion: {
+      type: Number,
+      default: null
+    },
+    predictedDays: {
+      type: Number,
+      required: [true, 'Predicted days are required']
+    },
+    confidence: Number,
+    actualDays: {
+      type: Number,
+      default: null
+    },
+    errorDays: {
+      type: Number,
+      default: null
+    },
+    reconciledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+durationPredictionSchema.index({ task: 1, reconciledAt: 1 });
+durationPredictionSchema.index({ project: 1 });
+durationPredictionSchema.index({ reconciledAt: -1 });
+
+module.exports = mongoose.model('DurationPrediction', durationPredictionSchema);
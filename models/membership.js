@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * Membership of a user in a project, holding the user's project role.
+ * The project owner is stored on the project itself and has no membership record.
+ */
+const membershipSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    role: {
+      type: String,
+      enum: ['manager', 'contributor', 'viewer'],
+      default: 'contributor'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// A user can only hold one role per project
+membershipSchema.index({ project: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('Membership', membershipSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+/**
+ * One-time change to the stored data, such as seeding defaults. A change is recorded
+ * before it is applied, so only one server instance ever applies it.
+ */
+const migrationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Migration name is required'],
+      trim: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Each change is applied once
+migrationSchema.index({ name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Migration', migrationSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Category of a project as set by its owner. Task suggestions use it instead of
+ * guessing the category, and the category classifier learns from it.
+ */
+const projectCategorySchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required']
+    },
+    category: {
+      type: String,
+      required: [true, 'Category is required'],
+      trim: true,
+      lowercase: true
+    },
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// A project has one category
+projectCategorySchema.index({ project: 1 }, { unique: true });
+projectCategorySchema.index({ updatedAt: -1 });
+
+module.exports = mongoose.model('ProjectCategory', projectCategorySchema);
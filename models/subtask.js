@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * "Part of" relation between two tasks of the same project:
+ * the task is a piece of the work of its parent task.
+ */
+const subtaskSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required']
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: [true, 'Parent task is required']
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: [true, 'Task is required']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// A task has at most one parent
+subtaskSchema.index({ task: 1 }, { unique: true });
+subtaskSchema.index({ parent: 1 });
+subtaskSchema.index({ project: 1 });
+
+module.exports = mongoose.model('Subtask', subtaskSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * "Blocked by" relation between two tasks of the same project:
+ * the task cannot be finished before the task it depends on.
+ */
+const taskDependencySchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required']
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: [true, 'Task is required']
+    },
+    dependsOn: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: [true, 'Dependency task is required']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// A task can only depend on another task once
+taskDependencySchema.index({ task: 1, dependsOn: 1 }, { unique: true });
+taskDependencySchema.index({ project: 1 });
+
+module.exports = mongoose.model('TaskDependency', taskDependencySchema);
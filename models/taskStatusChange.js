@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const TASK_STATUSES = ['todo', 'in-progress', 'review', 'completed'];
+
+/**
+ * One entry of a task's status history. The entry recorded when a task is
+ * created has no previous status; createdAt is the time of the change.
+ */
+const taskStatusChangeSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required']
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: [true, 'Task is required']
+    },
+    from: {
+      type: String,
+      enum: [...TASK_STATUSES, null],
+      default: null
+    },
+    to: {
+      type: String,
+      enum: TASK_STATUSES,
+      required: [true, 'New status is required']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+taskStatusChangeSchema.index({ task: 1, createdAt: 1 });
+taskStatusChangeSchema.index({ project: 1 });
+
+module.exports = mongoose.model('TaskStatusChange', taskStatusChangeSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * A task suggested by the AI for a project, as it was shown to the user, and the team's response to it.
+ * When the suggestion is accepted through the accept endpoint, task references the task created from it.
+ */
+const taskSuggestionSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required']
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    title: {
+      type: String,
+      required: [true, 'Title is required']
+    },
+    description: String,
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high']
+    },
+    category: String,
+    phase: String,
+    estimatedDays: Number,
+    dueDate: Date,
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    confidence: Number,
+    method: {
+      type: String,
+      enum: ['ml', 'heuristic', 'owner']
+    },
+    modelVersion: {
+      type: Number,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'dismissed', 'not-relevant'],
+      default: 'pending'
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+taskSuggestionSchema.index({ project: 1, status: 1 });
+
+module.exports = mongoose.model('TaskSuggestion', taskSuggestionSchema);
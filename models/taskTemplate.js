@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * A task the AI can suggest for projects of a category
+ */
+const taskTemplateSchema = new mongoose.Schema(
+  {
+    projectCategory: {
+      type: String,
+      required: [true, 'Project category is required'],
+      trim: true,
+      lowercase: true
+    },
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [100, 'Title must be less than 100 characters']
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    category: {
+      type: String,
+      required: [true, 'Category is required'],
+      trim: true,
+      lowercase: true
+    },
+    phase: {
+      type: String,
+      enum: ['setup', 'planning', 'implementation', 'testing', 'deployment', 'closure']
+    },
+    order: {
+      type: Number,
+      default: 0
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'medium'
+    },
+    estimatedDays: {
+      type: Number,
+      min: [0.5, 'Estimated effort must be at least half a day']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+taskTemplateSchema.index({ projectCategory: 1, order: 1 });
+
+// A project category has one template per title
+taskTemplateSchema.index({ projectCategory: 1, title: 1 }, { unique: true });
+
+module.exports = mongoose.model('TaskTemplate', taskTemplateSchema);
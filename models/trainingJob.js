@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Statuses of a job that has not finished yet
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * Background job retraining one of the AI models. A finished job points to the
+ * model version it registered, which stays inactive until an admin promotes it.
+ */
+const trainingJobSchema = new mongoose.Schema(
+  {
+    model: {
+      type: String,
+      enum: ['duration', 'suggestion', 'workflow'],
+      required: [true, 'Model name is required']
+    },
+    status: {
+      type: String,
+      enum: [...ACTIVE_STATUSES, 'completed', 'failed'],
+      default: 'queued'
+    },
+    // Whether the job is queued or running, kept in step with status so the index below can use it
+    active: {
+      type: Boolean,
+      default: true
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    version: Number,
+    metrics: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    error: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+trainingJobSchema.pre('save', function(next) {
+  this.active = ACTIVE_STATUSES.includes(this.status);
+  next();
+});
+
+trainingJobSchema.index({ model: 1, createdAt: -1 });
+
+// One unfinished job per model
+trainingJobSchema.index({ model: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+module.exports = mongoose.model('TrainingJob', trainingJobSchema);
@@ -1,19 +1,84 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
+const { protect, authorize, authorizeProject, loadTask } = require('../middleware/auth');
+const {
+  modelVersionValidationRules,
+  suggestionAcceptValidationRules,
+  suggestionFeedbackValidationRules,
+  taskTemplateValidationRules,
+  taskTemplateUpdateValidationRules,
+  taskTemplateListValidationRules,
+  projectCategoryValidationRules,
+  taskBreakdownValidationRules,
+  bottleneckHistoryValidationRules,
+  predictionAccuracyValidationRules,
+  validateRequest
+} = require('../middleware/validation');
 
 // Import AI services
-const { suggestTasks } = require('../services/ai/taskSuggestion');
-const { predictTaskDuration, predictProjectTimeline } = require('../services/ai/durationPrediction');
+const {
+  suggestTasks,
+  getProjectCategory,
+  setProjectCategory
+} = require('../services/ai/taskSuggestion');
+const { acceptSuggestions, recordFeedback } = require('../services/ai/suggestionHistory');
+const {
+  listTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+} = require('../services/ai/taskTemplates');
+const {
+  predictTaskDuration,
+  predictProjectTimeline,
+  predictCriticalPathTimeline
+} = require('../services/ai/durationPrediction');
+const { DEFAULT_SUBTASK_COUNT, breakDownTask } = require('../services/ai/taskBreakdown');
 const { optimizeWorkflow } = require('../services/ai/workflowOptimization');
+const { getBottleneckHistory } = require('../services/ai/bottleneckHistory');
+const {
+  DEFAULT_ITERATIONS,
+  MIN_ITERATIONS,
+  MAX_ITERATIONS,
+  forecastProjectDelivery
+} = require('../services/ai/deliveryForecast');
+const {
+  MODEL_NAMES,
+  listModels,
+  getModel,
+  promoteVersion,
+  rollbackVersion
+} = require('../services/ai/modelRegistry');
+const { startTrainingJob, getTrainingJob, listTrainingJobs } = require('../services/ai/trainingJobs');
+const { getPredictionAccuracy } = require('../services/ai/predictionTracking');
+
+// Supported modes of the project timeline endpoint
+const TIMELINE_MODES = ['list', 'critical-path'];
+
+/**
+ * Whether the request asks for the features behind a prediction (?explain=true)
+ * @param {Object} req - Express request
+ * @returns {boolean} True if an explanation was requested
+ */
+const isExplainRequested = req => req.query.explain === 'true';
 
 console.log('AI routes initialized with TensorFlow ML models and heuristic fallbacks');
 
+// All AI routes expose project data, so they require an authenticated user
+router.use(protect);
+
 /**
  * @swagger
  * /api/ai/tasks/suggest/{projectId}:
  *   get:
  *     summary: Get AI-suggested tasks for a project
- *     description: Uses heuristics to suggest new tasks for a project based on its current state
+ *     description: >
+ *       Uses heuristics to suggest new tasks for a project based on its current state. Suggestions
+ *       the team dismissed or marked as not relevant are not offered again, and suggestions from
+ *       categories the team tends to accept come first.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: projectId
@@ -30,16 +95,26 @@ console.log('AI routes initialized with TensorFlow ML models and heuristic fallb
  *     responses:
  *       200:
  *         description: List of suggested tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TaskSuggestion'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a member of the project
  *       404:
  *         description: Project not found
  *       500:
  *         description: Server error
  */
-router.get('/tasks/suggest/:projectId', async (req, res) => {
+router.get('/tasks/suggest/:projectId', authorizeProject(), async (req, res) => {
   console.log(`Received request to suggest tasks for project: ${req.params.projectId}`);
   try {
     const count = parseInt(req.query.count) || 3;
-    const suggestions = await suggestTasks(req.params.projectId, count);
+    const suggestions = await suggestTasks(req.params.projectId, count, { requestedBy: req.user._id });
     console.log(`Returning ${suggestions.length} task suggestions`);
     res.json(suggestions);
   } catch (error) {
@@ -54,12 +129,399 @@ router.get('/tasks/suggest/:projectId', async (req, res) => {
   }
 });
 
+/**
+ * Respond to an error accepting or giving feedback on suggestions with the matching status code
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the suggestion history
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const handleSuggestionError = (res, error, fallbackMessage) => {
+  if (error.message.startsWith('Suggestion not found')) {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message.startsWith('Suggestion already')) {
+    return res.status(409).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError' ||
+      error.message.startsWith('Assignee is not a member') ||
+      error.message.startsWith('Each suggestion')) {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
+/**
+ * @swagger
+ * /api/ai/tasks/suggest/{projectId}/accept:
+ *   post:
+ *     summary: Create tasks from AI suggestions
+ *     description: >
+ *       Creates a task for each selected suggestion, with the caller as its creator. Fields given
+ *       with a suggestion replace the suggested values. Either all tasks are created or none are,
+ *       and each suggestion records the task created from it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - suggestions
+ *             properties:
+ *               suggestions:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 20
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - id
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       description: suggestionId returned by GET /api/ai/tasks/suggest/{projectId}
+ *                     title:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                     priority:
+ *                       type: string
+ *                       enum: [low, medium, high]
+ *                     dueDate:
+ *                       type: string
+ *                       format: date
+ *                     assignedTo:
+ *                       type: string
+ *                       description: User ID of the project owner or a member
+ *     responses:
+ *       201:
+ *         description: Created tasks, in the order of the suggestions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid suggestions or edits
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to create tasks in the project
+ *       404:
+ *         description: Project or suggestion not found
+ *       409:
+ *         description: Suggestion already accepted
+ *       500:
+ *         description: Server error
+ */
+router.post('/tasks/suggest/:projectId/accept', suggestionAcceptValidationRules, validateRequest, authorizeProject('owner', 'manager', 'contributor'), async (req, res) => {
+  console.log(`Received request to accept ${req.body.suggestions.length} suggestions for project: ${req.params.projectId}`);
+  try {
+    const tasks = await acceptSuggestions(req.project, req.body.suggestions, req.user._id);
+    res.status(201).json(tasks);
+  } catch (error) {
+    console.error('Error in accept suggestions endpoint:', error);
+    handleSuggestionError(res, error, 'Error accepting task suggestions');
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/tasks/suggest/{projectId}/feedback:
+ *   post:
+ *     summary: Give feedback on AI task suggestions
+ *     description: >
+ *       Marks suggestions as accepted, dismissed or not relevant to the project. Dismissed and not
+ *       relevant suggestions are not offered to the project again, and suggestions from categories
+ *       the team tends to accept are offered first. Feedback can be changed later, except on
+ *       suggestions accepted with POST /api/ai/tasks/suggest/{projectId}/accept.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - suggestions
+ *             properties:
+ *               suggestions:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 20
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - id
+ *                     - status
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       description: suggestionId returned by GET /api/ai/tasks/suggest/{projectId}
+ *                     status:
+ *                       type: string
+ *                       enum: [accepted, dismissed, not-relevant]
+ *     responses:
+ *       200:
+ *         description: Feedback recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SuggestionFeedback'
+ *       400:
+ *         description: Invalid feedback
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not allowed to create tasks in the project
+ *       404:
+ *         description: Project or suggestion not found
+ *       409:
+ *         description: Suggestion already accepted as a task, possibly by a concurrent request
+ *       500:
+ *         description: Server error
+ */
+router.post('/tasks/suggest/:projectId/feedback', suggestionFeedbackValidationRules, validateRequest, authorizeProject('owner', 'manager', 'contributor'), async (req, res) => {
+  console.log(`Received feedback on ${req.body.suggestions.length} suggestions for project: ${req.params.projectId}`);
+  try {
+    const suggestions = await recordFeedback(req.project._id, req.body.suggestions, req.user._id);
+    res.json(suggestions.map(suggestion => ({
+      suggestionId: suggestion._id,
+      title: suggestion.title,
+      category: suggestion.category,
+      status: suggestion.status,
+      respondedBy: suggestion.respondedBy,
+      respondedAt: suggestion.respondedAt
+    })));
+  } catch (error) {
+    console.error('Error in suggestion feedback endpoint:', error);
+    handleSuggestionError(res, error, 'Error recording suggestion feedback');
+  }
+});
+
+/**
+ * Respond to a task template error with the matching status code
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the template store
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const handleTemplateError = (res, error, fallbackMessage) => {
+  if (error.message === 'Task template not found') {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.message.includes('already has a template titled')) {
+    return res.status(409).json({ message: error.message });
+  }
+  res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
+/**
+ * Reject template IDs that are not valid MongoDB ObjectIds
+ */
+const checkTemplateId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.templateId)) {
+    return res.status(400).json({ message: 'Invalid template ID format. Must be a valid MongoDB ObjectId' });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /api/ai/templates:
+ *   get:
+ *     summary: List task templates
+ *     description: >
+ *       Returns the templates task suggestions are made from, by project category and in suggestion
+ *       order. An empty store is filled once with built-in templates for development, marketing and general
+ *       projects; built-in templates that are deleted stay deleted. Admin only
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: projectCategory
+ *         schema:
+ *           type: string
+ *         description: Only list templates of this project category
+ *     responses:
+ *       200:
+ *         description: Task templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TaskTemplate'
+ *       400:
+ *         description: Invalid project category
+ *       403:
+ *         description: Not an admin
+ */
+router.get('/templates', authorize('admin'), taskTemplateListValidationRules, validateRequest, async (req, res) => {
+  console.log('Received request to list task templates');
+  try {
+    res.json(await listTemplates({ projectCategory: req.query.projectCategory }));
+  } catch (error) {
+    console.error('Error in list task templates endpoint:', error);
+    res.status(500).json({ message: 'Error listing task templates', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/templates:
+ *   post:
+ *     summary: Add a task template
+ *     description: >
+ *       Adds a task to suggest for projects of a category. A new project category is added with its
+ *       first template, and projects are matched to it by the words of its name and template titles. Admin only
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaskTemplateInput'
+ *     responses:
+ *       201:
+ *         description: Task template added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskTemplate'
+ *       400:
+ *         description: Invalid template
+ *       403:
+ *         description: Not an admin
+ *       409:
+ *         description: The project category already has a template with this title
+ */
+router.post('/templates', authorize('admin'), taskTemplateValidationRules, validateRequest, async (req, res) => {
+  console.log(`Received request to add task template for ${req.body.projectCategory} projects`);
+  try {
+    res.status(201).json(await createTemplate(req.body, req.user._id));
+  } catch (error) {
+    console.error('Error in add task template endpoint:', error);
+    handleTemplateError(res, error, 'Error adding task template');
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/templates/{templateId}:
+ *   patch:
+ *     summary: Change a task template
+ *     description: Changes the given fields of a task template. Admin only
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaskTemplateInput'
+ *     responses:
+ *       200:
+ *         description: Task template changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskTemplate'
+ *       400:
+ *         description: Invalid template ID or fields
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Task template not found
+ *       409:
+ *         description: The project category already has a template with this title
+ */
+router.patch('/templates/:templateId', authorize('admin'), checkTemplateId, taskTemplateUpdateValidationRules, validateRequest, async (req, res) => {
+  console.log(`Received request to change task template: ${req.params.templateId}`);
+  try {
+    res.json(await updateTemplate(req.params.templateId, req.body));
+  } catch (error) {
+    console.error('Error in change task template endpoint:', error);
+    handleTemplateError(res, error, 'Error changing task template');
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/templates/{templateId}:
+ *   delete:
+ *     summary: Delete a task template
+ *     description: >
+ *       The template is no longer suggested. A project category is removed with its last template;
+ *       if every template is deleted, the built-in templates are restored. Admin only
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task template ID
+ *     responses:
+ *       200:
+ *         description: Task template deleted
+ *       400:
+ *         description: Invalid template ID
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Task template not found
+ */
+router.delete('/templates/:templateId', authorize('admin'), checkTemplateId, async (req, res) => {
+  console.log(`Received request to delete task template: ${req.params.templateId}`);
+  try {
+    await deleteTemplate(req.params.templateId);
+    res.json({ message: 'Task template deleted' });
+  } catch (error) {
+    console.error('Error in delete task template endpoint:', error);
+    handleTemplateError(res, error, 'Error deleting task template');
+  }
+});
+
 /**
  * @swagger
  * /api/ai/tasks/duration/{taskId}:
  *   get:
  *     summary: Predict task duration
  *     description: Uses heuristics to predict how long a task will take to complete
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: taskId
@@ -67,18 +529,32 @@ router.get('/tasks/suggest/:projectId', async (req, res) => {
  *         schema:
  *           type: string
  *         description: The task ID
+ *       - in: query
+ *         name: explain
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include how many days each feature (priority, status, complexity, assignee experience) adds to or removes from the estimate of a reference task
  *     responses:
  *       200:
  *         description: Task duration prediction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DurationPrediction'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a member of the project
  *       404:
  *         description: Task not found
  *       500:
  *         description: Server error
  */
-router.get('/tasks/duration/:taskId', async (req, res) => {
+router.get('/tasks/duration/:taskId', loadTask, authorizeProject(), async (req, res) => {
   console.log(`Received request to predict duration for task: ${req.params.taskId}`);
   try {
-    const prediction = await predictTaskDuration(req.params.taskId);
+    const prediction = await predictTaskDuration(req.params.taskId, { explain: isExplainRequested(req) });
     console.log(`Returning duration prediction for task ${req.params.taskId}`);
     res.json(prediction);
   } catch (error) {
@@ -93,12 +569,84 @@ router.get('/tasks/duration/:taskId', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/ai/tasks/{taskId}/breakdown:
+ *   post:
+ *     summary: Propose subtasks for a task
+ *     description: >
+ *       Proposes subtasks for a large task from the checklist items of its description and the
+ *       templates of the project's category that its title and description mention, or generic steps
+ *       when there are none. Work the task is already split into is not proposed again. Each subtask
+ *       gets an estimate, and the estimates of the proposed and existing open subtasks add up to the
+ *       task's predicted duration. Nothing is created; create the tasks to keep and add them with
+ *       POST /api/tasks/{id}/subtasks.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The task ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 10
+ *                 default: 5
+ *                 description: Most subtasks to propose
+ *     responses:
+ *       200:
+ *         description: Proposed subtasks and the rolled-up duration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskBreakdown'
+ *       400:
+ *         description: Invalid task ID or count
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a member of the project
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/tasks/:taskId/breakdown', taskBreakdownValidationRules, validateRequest, loadTask, authorizeProject(), async (req, res) => {
+  console.log(`Received request to break down task: ${req.params.taskId}`);
+  try {
+    const breakdown = await breakDownTask(req.task, { count: req.body.count || DEFAULT_SUBTASK_COUNT });
+    console.log(`Returning ${breakdown.subtasks.length} proposed subtasks for task ${req.params.taskId}`);
+    res.json(breakdown);
+  } catch (error) {
+    console.error('Error in task breakdown endpoint:', error);
+    if (error.message === 'Project not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error breaking down task', error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/ai/projects/timeline/{projectId}:
  *   get:
  *     summary: Predict the timeline for a project
- *     description: Uses heuristics to predict completion dates for all tasks in a project
+ *     description: |
+ *       Uses heuristics to predict completion dates for all tasks in a project.
+ *       With mode=critical-path, open tasks are scheduled after the tasks they depend on and each
+ *       assignee works on one task at a time. The response then lists earliest/latest start and finish,
+ *       slack and the critical path, and compares the projected end date with the project end date.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: projectId
@@ -106,17 +654,47 @@ router.get('/tasks/duration/:taskId', async (req, res) => {
  *         schema:
  *           type: string
  *         description: The project ID
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [list, critical-path]
+ *           default: list
+ *         description: Timeline mode
  *     responses:
  *       200:
  *         description: Project timeline prediction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/ProjectTimeline'
+ *                 - $ref: '#/components/schemas/CriticalPathTimeline'
+ *       400:
+ *         description: Invalid project ID or timeline mode
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a member of the project
  *       404:
  *         description: Project not found
  *       500:
  *         description: Server error
  */
-router.get('/projects/timeline/:projectId', async (req, res) => {
+router.get('/projects/timeline/:projectId', authorizeProject(), async (req, res) => {
   console.log(`Received request to predict timeline for project: ${req.params.projectId}`);
   try {
+    const mode = req.query.mode || 'list';
+    if (!TIMELINE_MODES.includes(mode)) {
+      return res.status(400).json({ message: `Timeline mode must be one of: ${TIMELINE_MODES.join(', ')}` });
+    }
+
+    if (mode === 'critical-path') {
+      const schedule = await predictCriticalPathTimeline(req.params.projectId);
+      console.log(`Returning critical path timeline with ${schedule.tasks.length} tasks for project ${req.params.projectId}`);
+      return res.json(schedule);
+    }
+
     const timeline = await predictProjectTimeline(req.params.projectId);
     console.log(`Returning timeline prediction with ${timeline.length} tasks for project ${req.params.projectId}`);
     res.json(timeline);
@@ -132,12 +710,85 @@ router.get('/projects/timeline/:projectId', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/ai/projects/forecast/{projectId}:
+ *   get:
+ *     summary: Forecast the delivery date of a project
+ *     description: |
+ *       Runs a Monte Carlo simulation over the durations of the open tasks, scheduled respecting
+ *       dependencies and assignee capacity. Task durations are sampled from the spread of completed
+ *       tasks in the project, or from the prediction range when there is not enough history.
+ *       The simulation stops before the requested number of runs once the P50/P80/P95 values
+ *       settle, and large projects get fewer runs so that a forecast stays fast.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: query
+ *         name: iterations
+ *         schema:
+ *           type: integer
+ *           minimum: 100
+ *           maximum: 5000
+ *           default: 1000
+ *         description: Most simulation runs
+ *     responses:
+ *       200:
+ *         description: Delivery forecast
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeliveryForecast'
+ *       400:
+ *         description: Invalid project ID or number of iterations
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a member of the project
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/projects/forecast/:projectId', authorizeProject(), async (req, res) => {
+  console.log(`Received request to forecast delivery for project: ${req.params.projectId}`);
+  try {
+    const iterations = req.query.iterations ? Number(req.query.iterations) : DEFAULT_ITERATIONS;
+    if (!Number.isInteger(iterations) || iterations < MIN_ITERATIONS || iterations > MAX_ITERATIONS) {
+      return res.status(400).json({
+        message: `Iterations must be an integer between ${MIN_ITERATIONS} and ${MAX_ITERATIONS}`
+      });
+    }
+
+    const forecast = await forecastProjectDelivery(req.params.projectId, { iterations });
+    console.log(`Returning delivery forecast for project ${req.params.projectId}`);
+    res.json(forecast);
+  } catch (error) {
+    console.error('Error in delivery forecast endpoint:', error);
+    if (error.message === 'Project not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.includes('Invalid project ID format')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error forecasting project delivery', error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/ai/projects/optimize/{projectId}:
  *   get:
  *     summary: Get workflow optimization recommendations
- *     description: Analyzes project workflow and provides optimization suggestions
+ *     description: Analyzes project workflow and provides optimization suggestions. The bottleneck scores are kept as the project's snapshot for the day, see /api/ai/projects/optimize/{projectId}/history
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: projectId
@@ -145,18 +796,32 @@ router.get('/projects/timeline/:projectId', async (req, res) => {
  *         schema:
  *           type: string
  *         description: The project ID
+ *       - in: query
+ *         name: explain
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include how much each feature (status ratios, team load balance, ...) raises or lowers each bottleneck score compared with a healthy reference workflow
  *     responses:
  *       200:
  *         description: Workflow optimization recommendations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WorkflowOptimization'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a member of the project
  *       404:
  *         description: Project not found
  *       500:
  *         description: Server error
  */
-router.get('/projects/optimize/:projectId', async (req, res) => {
+router.get('/projects/optimize/:projectId', authorizeProject(), async (req, res) => {
   console.log(`Received request to optimize workflow for project: ${req.params.projectId}`);
   try {
-    const optimization = await optimizeWorkflow(req.params.projectId);
+    const optimization = await optimizeWorkflow(req.params.projectId, { explain: isExplainRequested(req) });
     console.log(`Returning workflow optimization for project ${req.params.projectId}`);
     res.json(optimization);
   } catch (error) {
@@ -171,4 +836,544 @@ router.get('/projects/optimize/:projectId', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/ai/projects/optimize/{projectId}/history:
+ *   get:
+ *     summary: Get the history of workflow bottleneck scores
+ *     description: >
+ *       Returns the daily bottleneck scores of a project, oldest first, to see whether acting on a
+ *       recommendation lowered a bottleneck. Active projects (planning or in progress) are analyzed
+ *       once a day by the server; a day's scores are those of the last workflow analysis made that day,
+ *       including GET /api/ai/projects/optimize/{projectId}.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (default 90 days before the last day)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (default today)
+ *     responses:
+ *       200:
+ *         description: Bottleneck score history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BottleneckHistory'
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a member of the project
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/projects/optimize/:projectId/history', bottleneckHistoryValidationRules, validateRequest, authorizeProject(), async (req, res) => {
+  console.log(`Received request for bottleneck history of project: ${req.params.projectId}`);
+  try {
+    const history = await getBottleneckHistory(req.params.projectId, { from: req.query.from, to: req.query.to });
+    console.log(`Returning ${history.snapshots.length} bottleneck snapshots for project ${req.params.projectId}`);
+    res.json(history);
+  } catch (error) {
+    console.error('Error in bottleneck history endpoint:', error);
+    res.status(500).json({ message: 'Error getting bottleneck history', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/projects/category/{projectId}:
+ *   get:
+ *     summary: Get a project's category
+ *     description: >
+ *       Returns the category set by the project owner next to the category guessed from the project
+ *       name, description and task titles. Task suggestions use the owner's category when it is set.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *     responses:
+ *       200:
+ *         description: Project category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProjectCategory'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not a member of the project
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/projects/category/:projectId', authorizeProject(), async (req, res) => {
+  console.log(`Received request to get category of project: ${req.params.projectId}`);
+  try {
+    res.json(await getProjectCategory(req.params.projectId));
+  } catch (error) {
+    console.error('Error in project category endpoint:', error);
+    if (error.message === 'Project not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error getting project category', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/projects/category/{projectId}:
+ *   put:
+ *     summary: Set a project's category
+ *     description: >
+ *       Confirms the guessed category or overrides it. Task suggestions then use this category, and the
+ *       project helps the classifier recognise it in other projects. Send null to go back to the guess.
+ *       Project owner only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - category
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 nullable: true
+ *                 description: A project category with task templates
+ *     responses:
+ *       200:
+ *         description: Project category set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProjectCategory'
+ *       400:
+ *         description: Invalid or unknown category
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the project owner
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/projects/category/:projectId', projectCategoryValidationRules, validateRequest, authorizeProject('owner'), async (req, res) => {
+  console.log(`Received request to set category of project ${req.params.projectId} to ${req.body.category}`);
+  try {
+    res.json(await setProjectCategory(req.project, req.body.category, req.user._id));
+  } catch (error) {
+    console.error('Error in set project category endpoint:', error);
+    if (error.message.startsWith('Unknown project category')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error setting project category', error: error.message });
+  }
+});
+
+/**
+ * Respond to a model registry error with the matching status code
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the model registry
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const handleModelRegistryError = (res, error, fallbackMessage) => {
+  if (error.message === 'Model not found' || error.message === 'Model version not found') {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message.startsWith('No previous model version') || error.message.endsWith('cannot be served')) {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
+/**
+ * @swagger
+ * /api/ai/models:
+ *   get:
+ *     summary: List AI models and their versions
+ *     description: Returns every model in the model registry with its versions, training metadata and the version being served. Admin only
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered models
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RegisteredModel'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ */
+router.get('/models', authorize('admin'), (req, res) => {
+  console.log('Received request to list AI models');
+  try {
+    res.json(listModels());
+  } catch (error) {
+    console.error('Error in list models endpoint:', error);
+    handleModelRegistryError(res, error, 'Error listing models');
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/models/{name}:
+ *   get:
+ *     summary: Get an AI model and its versions
+ *     description: Admin only
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [duration, suggestion, workflow]
+ *         description: Model name
+ *     responses:
+ *       200:
+ *         description: Registered model
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RegisteredModel'
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Model not found
+ */
+router.get('/models/:name', authorize('admin'), (req, res) => {
+  console.log(`Received request to get AI model: ${req.params.name}`);
+  try {
+    res.json(getModel(req.params.name));
+  } catch (error) {
+    console.error('Error in get model endpoint:', error);
+    handleModelRegistryError(res, error, 'Error getting model');
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/models/{name}/promote:
+ *   post:
+ *     summary: Promote a model version
+ *     description: Loads the given version and serves it for all predictions of the model. Admin only
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [duration, suggestion, workflow]
+ *         description: Model name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - version
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Model version promoted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RegisteredModel'
+ *       400:
+ *         description: Invalid version, or a version the service cannot serve
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Model or version not found
+ */
+router.post('/models/:name/promote', authorize('admin'), modelVersionValidationRules, validateRequest, async (req, res) => {
+  console.log(`Received request to promote ${req.params.name} model to version ${req.body.version}`);
+  try {
+    const model = await promoteVersion(req.params.name, req.body.version);
+    console.log(`${req.params.name} model now serves version ${model.activeVersion}`);
+    res.json(model);
+  } catch (error) {
+    console.error('Error in promote model endpoint:', error);
+    handleModelRegistryError(res, error, 'Error promoting model version');
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/models/{name}/rollback:
+ *   post:
+ *     summary: Roll back a model to its previous version
+ *     description: Serves the version that was active before the current one. Admin only
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [duration, suggestion, workflow]
+ *         description: Model name
+ *     responses:
+ *       200:
+ *         description: Model rolled back
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RegisteredModel'
+ *       400:
+ *         description: No previous version to roll back to, or one the service cannot serve
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Model not found
+ */
+router.post('/models/:name/rollback', authorize('admin'), async (req, res) => {
+  console.log(`Received request to roll back ${req.params.name} model`);
+  try {
+    const model = await rollbackVersion(req.params.name);
+    console.log(`${req.params.name} model rolled back to version ${model.activeVersion}`);
+    res.json(model);
+  } catch (error) {
+    console.error('Error in rollback model endpoint:', error);
+    handleModelRegistryError(res, error, 'Error rolling back model version');
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/models/{name}/train:
+ *   post:
+ *     summary: Retrain a model
+ *     description: >
+ *       Starts a background job that trains a new version of the model and evaluates it on a held-out set
+ *       (mean absolute error for duration and workflow, category accuracy for suggestion) next to the active version.
+ *       The new version is registered but not served until it is promoted. Admin only
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [duration, suggestion, workflow]
+ *         description: Model name
+ *     responses:
+ *       202:
+ *         description: Training job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TrainingJob'
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Model not found
+ *       409:
+ *         description: A training job is already running for the model
+ */
+router.post('/models/:name/train', authorize('admin'), async (req, res) => {
+  console.log(`Received request to retrain ${req.params.name} model`);
+  try {
+    const job = await startTrainingJob(req.params.name, req.user._id);
+    console.log(`Queued training job ${job._id} for ${req.params.name} model`);
+    res.status(202).json(job);
+  } catch (error) {
+    console.error('Error in train model endpoint:', error);
+    if (error.message.startsWith('A training job is already running')) {
+      return res.status(409).json({ message: error.message });
+    }
+    handleModelRegistryError(res, error, 'Error starting training job');
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/jobs:
+ *   get:
+ *     summary: List model training jobs
+ *     description: Returns the 20 most recent training jobs, newest first. Admin only
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *           enum: [duration, suggestion, workflow]
+ *         description: Only jobs of this model
+ *     responses:
+ *       200:
+ *         description: Training jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TrainingJob'
+ *       400:
+ *         description: Unknown model
+ *       403:
+ *         description: Not an admin
+ */
+router.get('/jobs', authorize('admin'), async (req, res) => {
+  console.log('Received request to list training jobs');
+  try {
+    if (req.query.model && !MODEL_NAMES.includes(req.query.model)) {
+      return res.status(400).json({ message: `Model must be one of: ${MODEL_NAMES.join(', ')}` });
+    }
+
+    res.json(await listTrainingJobs(req.query.model));
+  } catch (error) {
+    console.error('Error in list training jobs endpoint:', error);
+    res.status(500).json({ message: 'Error listing training jobs', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/jobs/{jobId}:
+ *   get:
+ *     summary: Get a model training job
+ *     description: Poll a job started with POST /api/ai/models/{name}/train. Completed jobs include the new version and its evaluation metrics. Admin only
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Training job ID
+ *     responses:
+ *       200:
+ *         description: Training job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TrainingJob'
+ *       400:
+ *         description: Invalid job ID
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Training job not found
+ */
+router.get('/jobs/:jobId', authorize('admin'), async (req, res) => {
+  console.log(`Received request to get training job: ${req.params.jobId}`);
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({ message: 'Invalid job ID format. Must be a valid MongoDB ObjectId' });
+    }
+
+    res.json(await getTrainingJob(req.params.jobId));
+  } catch (error) {
+    console.error('Error in get training job endpoint:', error);
+    if (error.message === 'Training job not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error getting training job', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai/predictions/accuracy:
+ *   get:
+ *     summary: Get the accuracy of task duration predictions
+ *     description: >
+ *       Every duration prediction is saved and compared with the time the task actually took once it is completed.
+ *       Returns the distribution of prediction errors (in days) overall, per method (ml or heuristic), per project and per assignee,
+ *       for the predictions reconciled in the last days. Admin only
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only predictions for this project
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 90
+ *         description: Only predictions reconciled in this many last days
+ *     responses:
+ *       200:
+ *         description: Prediction accuracy report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PredictionAccuracy'
+ *       400:
+ *         description: Invalid project ID or number of days
+ *       403:
+ *         description: Not an admin
+ */
+router.get('/predictions/accuracy', authorize('admin'), predictionAccuracyValidationRules, validateRequest, async (req, res) => {
+  console.log('Received request for duration prediction accuracy');
+  try {
+    const report = await getPredictionAccuracy({ projectId: req.query.projectId, days: req.query.days });
+    console.log(`Returning accuracy of ${report.reconciledCount} reconciled predictions`);
+    res.json(report);
+  } catch (error) {
+    console.error('Error in prediction accuracy endpoint:', error);
+    if (error.message.includes('Invalid project ID format')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error reporting prediction accuracy', error: error.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
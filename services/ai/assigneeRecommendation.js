@@ -0,0 +1,184 @@
+const Task = require('../../models/task');
+const User = require('../../models/user');
+const Membership = require('../../models/membership');
+const { estimateTaskDays, getAssigneeExperience } = require('./durationPrediction');
+const { getWordOverlap } = require('../../utils/text');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Working hours in a day of estimated work
+const HOURS_PER_DAY = 8;
+
+// Days of remaining work at which a member's load score drops to one half
+const LOAD_HALF_DAYS = 10;
+
+// Other tasks due this close (in days) to a suggestion's due date compete with it
+const DUE_DATE_WINDOW_DAYS = 3;
+
+// Word overlap from which a past task counts as similar to a suggestion
+const SIMILARITY_THRESHOLD = 0.2;
+
+// How much each factor weighs in a candidate's score
+const SCORE_WEIGHTS = {
+  workload: 0.45,
+  similarTasks: 0.35,
+  dueDates: 0.2
+};
+
+/**
+ * Load the project members who can take on work, with their tasks across all projects
+ * @param {Object} project - Project document
+ * @returns {Promise<Object>} Candidates ({ user, role }) and their tasks
+ */
+async function loadTeam(project) {
+  const memberIds = project.members.map(member => (member._id || member).toString());
+  const [users, memberships] = await Promise.all([
+    User.find({ _id: { $in: [project.owner, ...memberIds] } }).select('name email'),
+    Membership.find({ project: project._id })
+  ]);
+
+  const rolesByUser = {};
+  memberships.forEach(membership => {
+    rolesByUser[membership.user.toString()] = membership.role;
+  });
+
+  // Viewers cannot work on tasks; members without a membership record are contributors
+  const candidates = users
+    .map(user => ({
+      user,
+      role: user._id.toString() === project.owner.toString()
+        ? 'owner'
+        : rolesByUser[user._id.toString()] || 'contributor'
+    }))
+    .filter(candidate => candidate.role !== 'viewer');
+
+  const tasks = await Task.find({ assignedTo: { $in: candidates.map(candidate => candidate.user._id) } })
+    .select('title description status priority dueDate assignedTo');
+
+  return { candidates, tasks };
+}
+
+/**
+ * Measure each candidate's current workload
+ * @param {Array} candidates - Candidates ({ user, role })
+ * @param {Array} tasks - Tasks assigned to the candidates
+ * @returns {Promise<Map>} User ID -> { openTasks, remainingDays, history }
+ */
+async function getWorkloads(candidates, tasks) {
+  const experience = await getAssigneeExperience(candidates.map(candidate => candidate.user._id));
+  const workloads = new Map(candidates.map(candidate => [
+    candidate.user._id.toString(),
+    { openTasks: [], remainingDays: 0, history: [] }
+  ]));
+
+  tasks.forEach(task => {
+    const userId = task.assignedTo.toString();
+    const workload = workloads.get(userId);
+    workload.history.push(task);
+    if (task.status !== 'completed') {
+      workload.openTasks.push(task);
+      workload.remainingDays += Math.max(0, estimateTaskDays(task, experience.get(userId)).predictedDays);
+    }
+  });
+
+  return workloads;
+}
+
+/**
+ * Format a count with a noun, e.g. "1 open task", "3 open tasks"
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun
+ * @returns {string} Count and noun
+ */
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Score a candidate for a suggested task and explain the score
+ * @param {Object} candidate - Candidate ({ user, role })
+ * @param {Object} workload - Candidate's workload, see getWorkloads
+ * @param {Object} suggestion - Suggested task (title, category, dueDate)
+ * @returns {Object} Ranked candidate entry
+ */
+function scoreCandidate(candidate, workload, suggestion) {
+  const round = value => Math.round(value * 100) / 100;
+  const reasons = [];
+
+  // Workload: estimated days of open work
+  const remainingHours = Math.round(workload.remainingDays * HOURS_PER_DAY);
+  const workloadScore = LOAD_HALF_DAYS / (LOAD_HALF_DAYS + workload.remainingDays);
+  reasons.push(workload.openTasks.length === 0
+    ? 'No open tasks'
+    : `${pluralize(workload.openTasks.length, 'open task')}, about ${pluralize(remainingHours, 'hour')} of estimated work`);
+
+  // Track record on similar tasks, smoothed towards one half while there are only a few
+  const suggestionText = `${suggestion.title} ${suggestion.category || ''}`;
+  const similarTasks = workload.history.filter(task =>
+    getWordOverlap(suggestionText, task.title) >= SIMILARITY_THRESHOLD
+  );
+  const completedSimilar = similarTasks.filter(task => task.status === 'completed').length;
+  const completionRate = similarTasks.length > 0 ? completedSimilar / similarTasks.length : null;
+  const similarTasksScore = (completedSimilar + 1) / (similarTasks.length + 2);
+  reasons.push(similarTasks.length === 0
+    ? 'No similar tasks assigned before'
+    : `Completed ${completedSimilar} of ${pluralize(similarTasks.length, 'similar task')}`);
+
+  // Other open tasks due around the same date
+  const dueDate = new Date(suggestion.dueDate);
+  const conflicts = workload.openTasks.filter(task =>
+    task.dueDate && Math.abs(new Date(task.dueDate) - dueDate) <= DUE_DATE_WINDOW_DAYS * DAY_MS
+  );
+  const dueDatesScore = 1 / (1 + conflicts.length);
+  reasons.push(conflicts.length === 0
+    ? `No other tasks due within ${DUE_DATE_WINDOW_DAYS} days of this one`
+    : `${pluralize(conflicts.length, 'other task')} due within ${DUE_DATE_WINDOW_DAYS} days of this one`);
+
+  return {
+    userId: candidate.user._id,
+    name: candidate.user.name,
+    role: candidate.role,
+    score: round(
+      workloadScore * SCORE_WEIGHTS.workload +
+      similarTasksScore * SCORE_WEIGHTS.similarTasks +
+      dueDatesScore * SCORE_WEIGHTS.dueDates
+    ),
+    openTasks: workload.openTasks.length,
+    estimatedRemainingHours: remainingHours,
+    similarTaskCompletionRate: completionRate === null ? null : round(completionRate),
+    dueDateConflicts: conflicts.length,
+    reasons
+  };
+}
+
+/**
+ * Rank the project members who could take on each suggested task. Suggestions are handled
+ * in order, and each one adds its estimated work to its best candidate's load so that
+ * several suggestions do not all land on the same person.
+ * @param {Object} project - Project document
+ * @param {Array} suggestions - Suggested tasks (title, category, priority, dueDate)
+ * @returns {Promise<Array<Array>>} Candidates for each suggestion, best first
+ */
+async function recommendAssignees(project, suggestions) {
+  const { candidates, tasks } = await loadTeam(project);
+  const workloads = await getWorkloads(candidates, tasks);
+  console.log(`Ranking ${candidates.length} candidate assignees for ${suggestions.length} suggestions`);
+
+  return suggestions.map(suggestion => {
+    const ranked = candidates
+      .map(candidate => scoreCandidate(candidate, workloads.get(candidate.user._id.toString()), suggestion))
+      .sort((a, b) => b.score - a.score);
+
+    if (ranked.length > 0) {
+      const workload = workloads.get(ranked[0].userId.toString());
+      const plannedTask = { title: suggestion.title, status: 'todo', priority: suggestion.priority, dueDate: suggestion.dueDate };
+      workload.openTasks.push(plannedTask);
+      workload.remainingDays += Math.max(0, estimateTaskDays(plannedTask).predictedDays);
+    }
+    return ranked;
+  });
+}
+
+module.exports = {
+  recommendAssignees
+};
@@ -0,0 +1,98 @@
+const BottleneckSnapshot = require('../../models/bottleneckSnapshot');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bottleneck scores of a workflow analysis that are kept in a snapshot
+const BOTTLENECK_TYPES = ['resourceBottleneck', 'taskDistribution', 'workflowEfficiency', 'taskDependency', 'priorityAlignment'];
+
+// Days of history returned when no start date is given
+const DEFAULT_HISTORY_DAYS = 90;
+
+/**
+ * Start of the (UTC) day of a date
+ * @param {Date} date - Date
+ * @returns {Date} Midnight UTC of the same day
+ */
+const startOfDay = date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const formatDate = date => date.toISOString().split('T')[0];
+
+/**
+ * Save the bottleneck scores of a workflow analysis as the project's snapshot for the day,
+ * replacing an earlier snapshot of the same day. Failing to save never fails the analysis itself.
+ * @param {string} projectId - Project ID
+ * @param {Object} analysis - Workflow analysis as returned by optimizeWorkflow
+ * @returns {Promise<Object|null>} Saved BottleneckSnapshot document, or null if it could not be saved
+ */
+async function recordBottleneckSnapshot(projectId, analysis) {
+  try {
+    const scores = {};
+    BOTTLENECK_TYPES.forEach(type => {
+      scores[type] = analysis.bottleneckAnalysis[type].score;
+    });
+
+    return await BottleneckSnapshot.findOneAndUpdate(
+      { project: projectId, date: startOfDay(new Date(analysis.analysisDate)) },
+      {
+        scores,
+        method: analysis.method,
+        modelVersion: analysis.modelVersion,
+        taskCount: Object.values(analysis.metrics.taskDistribution).reduce((sum, count) => sum + count, 0),
+        recommendations: analysis.recommendations.map(recommendation => recommendation.action)
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    console.error(`Failed to record bottleneck snapshot for project ${projectId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Get the daily bottleneck scores of a project, to see how they changed after acting on recommendations
+ * @param {string} projectId - Project ID
+ * @param {Object} options - Date range (inclusive, whole UTC days)
+ * @param {string} options.from - First day (default: 90 days before the last day)
+ * @param {string} options.to - Last day (default: today)
+ * @returns {Promise<Object>} Snapshots oldest first, and the change of each score from the first to the last snapshot
+ */
+async function getBottleneckHistory(projectId, { from, to } = {}) {
+  const end = startOfDay(to ? new Date(to) : new Date());
+  const start = from ? startOfDay(new Date(from)) : new Date(end.getTime() - (DEFAULT_HISTORY_DAYS - 1) * DAY_MS);
+
+  const snapshots = await BottleneckSnapshot.find({ project: projectId, date: { $gte: start, $lte: end } })
+    .sort({ date: 1 });
+  console.log(`Found ${snapshots.length} bottleneck snapshots for project ${projectId} from ${formatDate(start)} to ${formatDate(end)}`);
+
+  // Negative changes mean the bottleneck went down
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+  const changes = {};
+  BOTTLENECK_TYPES.forEach(type => {
+    changes[type] = snapshots.length > 1
+      ? Math.round((last.scores[type] - first.scores[type]) * 100) / 100
+      : null;
+  });
+
+  return {
+    projectId,
+    from: formatDate(start),
+    to: formatDate(end),
+    snapshots: snapshots.map(snapshot => ({
+      date: formatDate(snapshot.date),
+      scores: snapshot.scores,
+      method: snapshot.method,
+      modelVersion: snapshot.modelVersion,
+      taskCount: snapshot.taskCount,
+      recommendations: snapshot.recommendations
+    })),
+    changes
+  };
+}
+
+module.exports = {
+  DEFAULT_HISTORY_DAYS,
+  startOfDay,
+  recordBottleneckSnapshot,
+  getBottleneckHistory
+};
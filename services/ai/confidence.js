@@ -0,0 +1,68 @@
+// How many observations the prior is worth when blending it with observed evidence
+const PRIOR_WEIGHT = 10;
+
+// Confidence when there is no evidence at all
+const NO_EVIDENCE_CONFIDENCE = 0.5;
+
+/**
+ * Build the confidence fields shared by every AI response
+ * @param {number} score - Confidence (0-1)
+ * @param {string} source - What the confidence is computed from (history, model-probability, keyword-evidence, evaluation, sample-size, prior, owner)
+ * @param {number|null} sampleSize - Number of observations behind the confidence (null when it is not counted from observations)
+ * @returns {Object} { confidence, confidenceBasis: { source, sampleSize } }
+ */
+function buildConfidence(score, source, sampleSize = null) {
+  return {
+    confidence: Math.round(Math.min(1, Math.max(0, score)) * 100) / 100,
+    confidenceBasis: { source, sampleSize }
+  };
+}
+
+/**
+ * Confidence from how often past predictions turned out right, pulled towards the prior
+ * while there are only a few of them
+ * @param {number} hits - Past predictions that turned out right
+ * @param {number} sampleSize - Past predictions checked
+ * @param {number} prior - Confidence to assume without history
+ * @returns {Object} Confidence fields, see buildConfidence
+ */
+function fromHitRate(hits, sampleSize, prior = NO_EVIDENCE_CONFIDENCE) {
+  if (sampleSize === 0) {
+    return buildConfidence(prior, 'prior', 0);
+  }
+  return buildConfidence((hits + prior * PRIOR_WEIGHT) / (sampleSize + PRIOR_WEIGHT), 'history', sampleSize);
+}
+
+/**
+ * Confidence in a category picked by keyword counts, smoothed so a single match is not taken as certainty
+ * @param {number} score - Keyword matches of the picked category
+ * @param {number} totalScore - Keyword matches of all categories
+ * @param {number} categoryCount - Number of categories
+ * @returns {Object} Confidence fields, see buildConfidence
+ */
+function fromKeywordEvidence(score, totalScore, categoryCount) {
+  const prior = 1 / categoryCount;
+  const smoothing = categoryCount;
+  return buildConfidence((score + prior * smoothing) / (totalScore + smoothing), 'keyword-evidence', totalScore);
+}
+
+/**
+ * Confidence in ratios measured on a number of items: one minus twice the largest
+ * standard error a ratio measured on that many items can have
+ * @param {number} sampleSize - Number of items the ratios were measured on
+ * @returns {Object} Confidence fields, see buildConfidence
+ */
+function fromSampleSize(sampleSize) {
+  if (sampleSize === 0) {
+    return buildConfidence(0, 'sample-size', 0);
+  }
+  return buildConfidence(1 - 1 / Math.sqrt(sampleSize + 1), 'sample-size', sampleSize);
+}
+
+module.exports = {
+  NO_EVIDENCE_CONFIDENCE,
+  buildConfidence,
+  fromHitRate,
+  fromKeywordEvidence,
+  fromSampleSize
+};
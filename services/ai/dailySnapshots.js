@@ -0,0 +1,76 @@
+const Project = require('../../models/project');
+const BottleneckSnapshot = require('../../models/bottleneckSnapshot');
+const { optimizeWorkflow } = require('./workflowOptimization');
+const { startOfDay } = require('./bottleneckHistory');
+
+// Projects whose workflow is still changing
+const ACTIVE_PROJECT_STATUSES = ['planning', 'in-progress'];
+
+// How often projects are checked for a missing snapshot of the day. Checking more often than
+// daily means a restart or a failed analysis only delays the day's snapshot.
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let running = false;
+
+/**
+ * Analyze the workflow of every active project that has no bottleneck snapshot for today yet,
+ * one project at a time. Analyzing a project records its snapshot.
+ * @returns {Promise<number>} Number of snapshots recorded
+ */
+async function recordMissingSnapshots() {
+  const today = startOfDay(new Date());
+  const [projects, snapshotProjectIds] = await Promise.all([
+    Project.find({ status: { $in: ACTIVE_PROJECT_STATUSES } }).select('_id'),
+    BottleneckSnapshot.distinct('project', { date: today })
+  ]);
+  const done = new Set(snapshotProjectIds.map(projectId => projectId.toString()));
+  const missing = projects.filter(project => !done.has(project._id.toString()));
+
+  let recorded = 0;
+  for (const project of missing) {
+    try {
+      await optimizeWorkflow(project._id.toString());
+      recorded++;
+    } catch (error) {
+      console.error(`Failed to record daily bottleneck snapshot for project ${project._id}:`, error);
+    }
+    // Let requests through between projects
+    await new Promise(setImmediate);
+  }
+
+  if (missing.length > 0) {
+    console.log(`Recorded ${recorded} of ${missing.length} missing daily bottleneck snapshots`);
+  }
+  return recorded;
+}
+
+/**
+ * Run recordMissingSnapshots in the background unless a run is still going
+ */
+function runInBackground() {
+  if (running) {
+    return;
+  }
+  running = true;
+  recordMissingSnapshots()
+    .catch(error => {
+      console.error('Failed to record daily bottleneck snapshots:', error);
+    })
+    .finally(() => {
+      running = false;
+    });
+}
+
+/**
+ * Start taking a daily bottleneck snapshot of every active project, inside the server process
+ */
+function startDailySnapshots() {
+  setImmediate(runInBackground);
+  setInterval(runInBackground, CHECK_INTERVAL_MS).unref();
+  console.log('Daily bottleneck snapshots scheduled');
+}
+
+module.exports = {
+  recordMissingSnapshots,
+  startDailySnapshots
+};
@@ -0,0 +1,270 @@
+const Task = require('../../models/task');
+const Project = require('../../models/project');
+const TaskDependency = require('../../models/taskDependency');
+const TaskStatusChange = require('../../models/taskStatusChange');
+const { estimateTaskDays, getAssigneeExperience, getAssigneeId } = require('./durationPrediction');
+const { scheduleTasks } = require('../../utils/taskGraph');
+const { groupChangesByTask, getStatusPeriods, getDaysToCompletion } = require('../../utils/taskHistory');
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number of simulation runs used when none is requested, and the allowed range
+const DEFAULT_ITERATIONS = 1000;
+const MIN_ITERATIONS = 100;
+const MAX_ITERATIONS = 5000;
+
+// Longest the simulation runs before letting other requests through
+const MAX_BLOCKING_MS = 50;
+
+// Most tasks scheduled over all runs of one forecast (runs x open tasks); large projects get fewer runs
+const MAX_SCHEDULED_TASKS = 500000;
+
+// Runs between checks of whether the percentiles have settled, and how little they may still move
+// (a share of their value, at least a twentieth of a day) for the simulation to stop early
+const CONVERGENCE_CHECK_RUNS = 100;
+const CONVERGENCE_TOLERANCE = 0.005;
+const CONVERGENCE_MIN_DAYS = 0.05;
+const FORECAST_PERCENTILES = [50, 80, 95];
+
+// Completed tasks needed before their spread is trusted over the model's range
+const MIN_HISTORY_SIZE = 5;
+
+// Range around the predicted duration when there is not enough history (matches predictTaskDuration)
+const MODEL_SPREAD = {
+  ml: { best: 0.7, worst: 1.3 },
+  heuristic: { best: 0.7, worst: 1.5 }
+};
+
+/**
+ * Sample a value from a triangular distribution
+ * @param {number} min - Lowest value
+ * @param {number} mode - Most likely value
+ * @param {number} max - Highest value
+ * @returns {number} Sampled value
+ */
+function sampleTriangular(min, mode, max) {
+  const u = Math.random();
+  const split = (mode - min) / (max - min);
+  if (u < split) {
+    return min + Math.sqrt(u * (max - min) * (mode - min));
+  }
+  return max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+/**
+ * Sample a value from a standard normal distribution (Box-Muller transform)
+ * @returns {number} Sampled value
+ */
+function sampleStandardNormal() {
+  const u = 1 - Math.random(); // Avoid log(0)
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Measure how far actual durations of completed tasks strayed from their predictions.
+ * A task's duration runs from the first status recorded in its history to its completion;
+ * tasks without a recorded completion are left out.
+ * @param {Array} completedTasks - Completed tasks of the project
+ * @param {Array} changes - TaskStatusChange documents of those tasks, oldest first
+ * @returns {Object|null} Median ratio and log-normal sigma of actual/predicted days, or null without enough history
+ */
+function getHistoricalSpread(completedTasks, changes) {
+  const changesByTask = groupChangesByTask(changes);
+  const logRatios = [];
+  completedTasks.forEach(task => {
+    const taskChanges = changesByTask.get(task._id.toString());
+    const daysToCompletion = taskChanges ? getDaysToCompletion(getStatusPeriods(task, taskChanges)) : null;
+    if (!daysToCompletion || Object.keys(daysToCompletion).length === 0) {
+      return;
+    }
+    
+    // Compare with what would have been predicted when the task entered its first status
+    const [status, actualDays] = Object.entries(daysToCompletion)[0];
+    const { predictedDays } = estimateTaskDays({ priority: task.priority, status });
+    logRatios.push(Math.log(Math.max(0.1, actualDays) / Math.max(0.5, predictedDays)));
+  });
+  
+  if (logRatios.length < MIN_HISTORY_SIZE) {
+    return null;
+  }
+  
+  const mean = logRatios.reduce((sum, value) => sum + value, 0) / logRatios.length;
+  const variance = logRatios.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (logRatios.length - 1);
+  
+  return {
+    sampleSize: logRatios.length,
+    medianRatio: Math.exp(mean),
+    sigma: Math.sqrt(variance)
+  };
+}
+
+/**
+ * Get the value below which the given share of sorted samples fall
+ * @param {Array<number>} sorted - Samples in ascending order
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} Percentile value
+ */
+function getPercentile(sorted, percentile) {
+  const index = Math.min(sorted.length - 1, Math.ceil((percentile / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+/**
+ * Forecast when a project will be delivered with a Monte Carlo simulation.
+ * Each run samples a duration for every open task and schedules them respecting dependencies
+ * and assignee capacity; the spread of finish dates gives the confidence levels. Fewer runs than
+ * requested are made on large projects and once the P50/P80/P95 values stop moving.
+ * @param {string} projectId - Project ID
+ * @param {Object} options - Simulation options
+ * @param {number} options.iterations - Most simulation runs
+ * @returns {Promise<Object>} P50/P80/P95 completion dates and the probability of meeting the project end date
+ */
+async function forecastProjectDelivery(projectId, { iterations = DEFAULT_ITERATIONS } = {}) {
+  console.log(`Forecasting delivery for project ID: ${projectId} (${iterations} iterations)`);
+  try {
+    // Validate MongoDB ObjectId
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      console.error(`Invalid project ID format: ${projectId}`);
+      throw new Error('Invalid project ID format. Must be a valid MongoDB ObjectId');
+    }
+    
+    const project = await Project.findById(projectId);
+    if (!project) {
+      console.error(`Project not found with ID: ${projectId}`);
+      throw new Error('Project not found');
+    }
+    
+    const [tasks, dependencies] = await Promise.all([
+      Task.find({ project: projectId }),
+      TaskDependency.find({ project: projectId })
+    ]);
+    const openTasks = tasks.filter(task => task.status !== 'completed');
+    console.log(`Found ${openTasks.length} open tasks and ${dependencies.length} dependencies`);
+    
+    // Per-task duration distributions: historical spread when available, otherwise the model's range
+    const completedTasks = tasks.filter(task => task.status === 'completed');
+    const completedChanges = await TaskStatusChange.find({ task: { $in: completedTasks.map(task => task._id) } })
+      .sort({ createdAt: 1 });
+    const history = getHistoricalSpread(completedTasks, completedChanges);
+    console.log(history
+      ? `Using historical spread from ${history.sampleSize} completed tasks (sigma ${history.sigma.toFixed(2)})`
+      : 'Not enough completed tasks, using the model range for task durations');
+    
+    const experience = await getAssigneeExperience(openTasks.map(getAssigneeId));
+    const distributions = openTasks.map(task => {
+      const estimate = estimateTaskDays(task, experience.get(getAssigneeId(task)));
+      const predictedDays = Math.max(0.5, estimate.predictedDays);
+      return {
+        item: {
+          id: task._id.toString(),
+          assignee: task.assignedTo ? task.assignedTo.toString() : null,
+          priority: task.priority,
+          dueDate: task.dueDate
+        },
+        predictedDays,
+        method: estimate.method,
+        modelVersion: estimate.modelVersion
+      };
+    });
+    
+    const sampleDuration = distribution => {
+      if (history) {
+        return Math.max(0.1, distribution.predictedDays * history.medianRatio * Math.exp(history.sigma * sampleStandardNormal()));
+      }
+      const spread = MODEL_SPREAD[distribution.method];
+      return sampleTriangular(
+        distribution.predictedDays * spread.best,
+        distribution.predictedDays,
+        distribution.predictedDays * spread.worst
+      );
+    };
+    
+    // Run the simulation. Each run schedules every open task, so the number of runs is capped by
+    // the project size, the runs stop once the percentiles settle, and they are spread over several
+    // turns of the event loop instead of blocking it.
+    const maxRuns = Math.min(iterations, Math.max(1, Math.floor(MAX_SCHEDULED_TASKS / Math.max(1, openTasks.length))));
+    const totals = [];
+    let converged = false;
+    let previousPercentiles = null;
+    let lastYield = Date.now();
+    while (totals.length < maxRuns && !converged) {
+      if (Date.now() - lastYield >= MAX_BLOCKING_MS) {
+        await new Promise(setImmediate);
+        lastYield = Date.now();
+      }
+      const items = distributions.map(distribution => ({
+        ...distribution.item,
+        duration: sampleDuration(distribution)
+      }));
+      totals.push(scheduleTasks(items, dependencies).totalDuration);
+      
+      if (totals.length >= MIN_ITERATIONS && totals.length % CONVERGENCE_CHECK_RUNS === 0) {
+        const sorted = [...totals].sort((a, b) => a - b);
+        const percentiles = FORECAST_PERCENTILES.map(percentile => getPercentile(sorted, percentile));
+        converged = previousPercentiles !== null && percentiles.every((value, index) =>
+          Math.abs(value - previousPercentiles[index]) <= Math.max(CONVERGENCE_MIN_DAYS, value * CONVERGENCE_TOLERANCE)
+        );
+        previousPercentiles = percentiles;
+      }
+    }
+    totals.sort((a, b) => a - b);
+    const runs = totals.length;
+    console.log(`Simulated ${runs} of ${iterations} runs${converged ? ' (percentiles settled)' : ''}`);
+    
+    const now = new Date();
+    const toDate = days => new Date(now.getTime() + days * DAY_MS).toISOString().split('T')[0];
+    const toPercentile = percentile => {
+      const days = Math.round(getPercentile(totals, percentile) * 10) / 10;
+      return { days, date: toDate(days) };
+    };
+    
+    // A run meets the deadline when it finishes by the end of the project's end date
+    // (a project without open work has already met it)
+    let probabilityOnTime = null;
+    let plannedEndDate = null;
+    if (project.endDate) {
+      plannedEndDate = project.endDate.toISOString().split('T')[0];
+      const daysAvailable = (new Date(`${plannedEndDate}T23:59:59.999Z`) - now) / DAY_MS;
+      const onTime = totals.filter(total => total === 0 || total <= daysAvailable).length;
+      probabilityOnTime = Math.round((onTime / runs) * 1000) / 1000;
+    }
+    
+    const mean = totals.reduce((sum, total) => sum + total, 0) / runs;
+    const methods = new Set(distributions.map(distribution => distribution.method));
+    const mlDistribution = distributions.find(distribution => distribution.method === 'ml');
+    
+    console.log(`Forecast complete: P50 ${toPercentile(50).date}, P95 ${toPercentile(95).date}, on-time probability ${probabilityOnTime}`);
+    
+    return {
+      projectId: project._id,
+      projectName: project.name,
+      iterations: runs,
+      requestedIterations: iterations,
+      converged,
+      openTasks: openTasks.length,
+      plannedEndDate,
+      probabilityOnTime,
+      meanDays: Math.round(mean * 10) / 10,
+      p50: toPercentile(50),
+      p80: toPercentile(80),
+      p95: toPercentile(95),
+      distribution: history ? 'historical' : 'model',
+      historySize: history ? history.sampleSize : 0,
+      method: methods.has('ml') ? 'ml' : 'heuristic',
+      modelVersion: mlDistribution ? mlDistribution.modelVersion : null,
+      generatedAt: now
+    };
+  } catch (error) {
+    console.error('Error forecasting project delivery:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_ITERATIONS,
+  MIN_ITERATIONS,
+  MAX_ITERATIONS,
+  forecastProjectDelivery
+};
@@ -13,6 +13,17 @@ try {
 
 const Task = require('../../models/task');
 const User = require('../../models/user');
+const Project = require('../../models/project');
+const TaskDependency = require('../../models/taskDependency');
+const Subtask = require('../../models/subtask');
+const TaskStatusChange = require('../../models/taskStatusChange');
+const { scheduleTasks } = require('../../utils/taskGraph');
+const { getShapleyValues } = require('../../utils/featureAttribution');
+const { groupChangesByTask, getStatusPeriods, getDaysToCompletion, getCompletedAt } = require('../../utils/taskHistory');
+const { getVersionPath, saveModelVersion, importLegacyModel, getActiveVersion, onActivate } = require('./modelRegistry');
+const { splitTrainingData, meanAbsoluteError } = require('./modelEvaluation');
+const { PREDICTION_RANGES, getDurationCalibration, recordPrediction } = require('./predictionTracking');
+const { fromHitRate } = require('./confidence');
 const mongoose = require('mongoose');
 const fs = require('fs');
 const path = require('path');
@@ -21,6 +32,10 @@ const path = require('path');
 const MODEL_DIR = path.join(__dirname, '../../models/ai');
 const DURATION_MODEL_PATH = path.join(MODEL_DIR, 'duration_model');
 
+// Name of the model in the model registry and the features it is trained on, in order
+const MODEL_NAME = 'duration';
+const FEATURE_SCHEMA = ['priority', 'status', 'complexity', 'assigneeExperience'];
+
 // Ensure the model directory exists
 if (!fs.existsSync(MODEL_DIR)) {
   fs.mkdirSync(MODEL_DIR, { recursive: true });
@@ -31,13 +46,40 @@ if (!fs.existsSync(MODEL_DIR)) {
 const PRIORITY_MAP = { 'low': 0, 'medium': 0.5, 'high': 1 };
 const STATUS_MAP = { 'todo': 0, 'in-progress': 0.5, 'review': 0.75, 'completed': 1 };
 
-// Model instance
+// Model instance and its registry version
 let durationModel;
+let durationModelVersion = null;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Completed tasks needed before the model is trained on real history instead of synthetic data
+const MIN_HISTORY_SIZE = 30;
+
+// Completed tasks after which an assignee counts as fully experienced
+const EXPERIENCED_TASK_COUNT = 20;
+
+// Feature values used when a task has no description or no assignee
+const DEFAULT_COMPLEXITY = 0.5;
+const DEFAULT_EXPERIENCE = 0.5;
+
+// Task that explanations are relative to: each feature's contribution is how far it moves the estimate from this one
+const REFERENCE_TASK = {
+  priority: 'medium',
+  status: 'todo',
+  complexity: DEFAULT_COMPLEXITY,
+  assigneeExperience: DEFAULT_EXPERIENCE
+};
+
+// Words in a task that usually mean more work than its length suggests
+const COMPLEXITY_KEYWORDS = [
+  'architect', 'integrat', 'migrat', 'refactor', 'security', 'performance',
+  'database', 'api', 'research', 'investigat', 'optimi', 'multiple'
+];
 
 /**
  * Create and train a task duration prediction model
  * @param {Array} trainingData - Array of task data for training
- * @returns {Promise<tf.LayersModel>} Trained TensorFlow model
+ * @returns {Promise<Object>} Trained TensorFlow model, number of training records and final loss
  */
 async function createAndTrainModel(trainingData) {
   console.log('Creating and training duration prediction model...');
@@ -81,7 +123,7 @@ async function createAndTrainModel(trainingData) {
   const epochs = 100;
   const batchSize = 32;
   
-  await model.fit(xs, ys, {
+  const history = await model.fit(xs, ys, {
     epochs,
     batchSize,
     callbacks: {
@@ -93,8 +135,243 @@ async function createAndTrainModel(trainingData) {
     }
   });
   
+  xs.dispose();
+  ys.dispose();
+  
   console.log('Model training completed');
-  return model;
+  return {
+    model,
+    dataSize: trainingData.length,
+    loss: history.history.loss[history.history.loss.length - 1]
+  };
+}
+
+/**
+ * Estimate how complex a task is from its description
+ * @param {Object} task - Task with title and description
+ * @returns {number} Complexity on a 0-1 scale
+ */
+function getTaskComplexity(task) {
+  if (!task.description) {
+    return DEFAULT_COMPLEXITY;
+  }
+  
+  const text = `${task.title || ''} ${task.description}`.toLowerCase();
+  
+  // Longer descriptions, technical keywords and checklists all point to more work
+  const wordCount = text.split(/\s+/).filter(Boolean).length;
+  const keywordCount = COMPLEXITY_KEYWORDS.filter(keyword => text.includes(keyword)).length;
+  const listItemCount = (task.description.match(/^\s*([-*]|\d+\.)\s/gm) || []).length;
+  
+  const complexity = Math.min(1, wordCount / 120) * 0.5 +
+    Math.min(1, keywordCount / 3) * 0.3 +
+    Math.min(1, listItemCount / 5) * 0.2;
+  
+  return Math.round(complexity * 100) / 100;
+}
+
+/**
+ * Calculate an assignee's experience from the tasks they completed
+ * @param {Array} completedTasks - Tasks the assignee completed: { dueDate, completedAt }
+ * @returns {number} Experience on a 0-1 scale
+ */
+function calculateExperience(completedTasks) {
+  if (completedTasks.length === 0) {
+    return 0;
+  }
+  
+  // A task counts as on time when it was completed by the end of its due date
+  const onTimeCount = completedTasks.filter(task =>
+    !task.dueDate || task.completedAt <= new Date(task.dueDate.getTime() + DAY_MS)
+  ).length;
+  
+  const volume = Math.min(1, completedTasks.length / EXPERIENCED_TASK_COUNT);
+  const onTimeRate = onTimeCount / completedTasks.length;
+  
+  return Math.round((volume * 0.7 + onTimeRate * 0.3) * 100) / 100;
+}
+
+/**
+ * Get the ID of the user a task is assigned to, whether or not assignedTo is populated
+ * @param {Object} task - Task object from MongoDB
+ * @returns {string|null} User ID
+ */
+function getAssigneeId(task) {
+  if (!task.assignedTo) {
+    return null;
+  }
+  return (task.assignedTo._id || task.assignedTo).toString();
+}
+
+/**
+ * Look up the experience of several assignees from their completion history
+ * @param {Array<string>} userIds - User IDs (nulls are ignored)
+ * @returns {Promise<Map<string, number>>} Experience (0-1) by user ID
+ */
+async function getAssigneeExperience(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+  const experience = new Map();
+  if (ids.length === 0) {
+    return experience;
+  }
+  
+  const completedTasks = await Task.find({ status: 'completed', assignedTo: { $in: ids } })
+    .select('assignedTo dueDate');
+  
+  // Completion times come from the status history; tasks without a recorded completion are left out
+  const changes = await TaskStatusChange.find({ task: { $in: completedTasks.map(task => task._id) } })
+    .sort({ createdAt: 1 });
+  const changesByTask = groupChangesByTask(changes);
+  const completed = completedTasks
+    .map(task => ({
+      assigneeId: task.assignedTo.toString(),
+      dueDate: task.dueDate,
+      completedAt: getCompletedAt(changesByTask.get(task._id.toString()) || [])
+    }))
+    .filter(task => task.completedAt);
+  
+  ids.forEach(id => {
+    experience.set(id, calculateExperience(completed.filter(task => task.assigneeId === id)));
+  });
+  
+  return experience;
+}
+
+/**
+ * Build training records from completed tasks in MongoDB
+ * @returns {Promise<Array>} Training records with features and the actual duration in days
+ */
+async function loadHistoricalTrainingData() {
+  console.log('Loading completed tasks for training...');
+  const completedTasks = await Task.find({ status: 'completed' })
+    .select('title description priority assignedTo dueDate createdAt');
+  
+  // Status history tells when tasks were completed and how long they took from the time they
+  // entered each status. Tasks without a recorded completion are left out.
+  const changes = await TaskStatusChange.find({ task: { $in: completedTasks.map(task => task._id) } })
+    .sort({ createdAt: 1 });
+  const changesByTask = groupChangesByTask(changes);
+  const history = completedTasks
+    .map(task => {
+      const taskChanges = changesByTask.get(task._id.toString()) || [];
+      return {
+        task,
+        completedAt: getCompletedAt(taskChanges),
+        daysToCompletion: taskChanges.length > 0 ? getDaysToCompletion(getStatusPeriods(task, taskChanges)) : null
+      };
+    })
+    .filter(entry => entry.completedAt && entry.daysToCompletion);
+  
+  // Group completions by assignee to derive their experience at the time each task started
+  const completedByAssignee = new Map();
+  history.forEach(({ task, completedAt }) => {
+    const assigneeId = getAssigneeId(task);
+    if (assigneeId) {
+      if (!completedByAssignee.has(assigneeId)) {
+        completedByAssignee.set(assigneeId, []);
+      }
+      completedByAssignee.get(assigneeId).push({ dueDate: task.dueDate, completedAt });
+    }
+  });
+  
+  const trainingData = [];
+  history.forEach(({ task, daysToCompletion }) => {
+    const assigneeId = getAssigneeId(task);
+    const previousTasks = assigneeId
+      ? completedByAssignee.get(assigneeId).filter(other => other.completedAt < task.createdAt)
+      : null;
+    
+    const features = {
+      taskId: task._id.toString(),
+      priority: task.priority,
+      complexity: getTaskComplexity(task),
+      assigneeExperience: previousTasks ? calculateExperience(previousTasks) : DEFAULT_EXPERIENCE
+    };
+    
+    // One record per status: the remaining time once the task was in that status
+    Object.entries(daysToCompletion).forEach(([status, days]) => {
+      trainingData.push({ ...features, status, duration: Math.round(days * 10) / 10 });
+    });
+  });
+  
+  console.log(`Loaded ${trainingData.length} historical training records`);
+  return trainingData;
+}
+
+/**
+ * Get training records from completed task history, or synthetic ones when there is too little history
+ * @returns {Promise<Object>} Training records and their source ('history' or 'synthetic')
+ */
+async function loadTrainingData() {
+  let trainingData = [];
+  try {
+    trainingData = await loadHistoricalTrainingData();
+  } catch (error) {
+    console.error('Error loading historical training data:', error);
+  }
+  
+  if (trainingData.length < MIN_HISTORY_SIZE) {
+    console.log(`Only ${trainingData.length} completed tasks (need ${MIN_HISTORY_SIZE}), using synthetic data`);
+    return { trainingData: generateSyntheticTrainingData(), dataSource: 'synthetic' };
+  }
+  
+  return { trainingData, dataSource: 'history' };
+}
+
+/**
+ * Train a duration model on completed task history, or on synthetic data when there is too little history
+ * @returns {Promise<Object>} Trained TensorFlow model with its training metadata (dataSize, loss, dataSource)
+ */
+async function trainModelFromHistory() {
+  const { trainingData, dataSource } = await loadTrainingData();
+  console.log(`Training duration model on ${trainingData.length} ${dataSource} records`);
+  const result = await createAndTrainModel(trainingData);
+  return { ...result, dataSource };
+}
+
+/**
+ * Mean absolute error (in days) of a model on training records it has not seen
+ * @param {tf.LayersModel} model - TensorFlow model
+ * @param {Array} testData - Held-out training records
+ * @returns {number} Mean absolute error in days
+ */
+function evaluateModel(model, testData) {
+  const { xs, ys } = prepareTrainingData(testData);
+  const prediction = model.predict(xs);
+  const mae = meanAbsoluteError(Array.from(prediction.dataSync()), Array.from(ys.dataSync()));
+  
+  xs.dispose();
+  ys.dispose();
+  prediction.dispose();
+  
+  return mae;
+}
+
+/**
+ * Train a new model version and evaluate it on a held-out set, next to the version being served.
+ * The new version is registered inactive so an admin can compare and promote it.
+ * @returns {Promise<Object>} Registered version record with its evaluation metrics
+ */
+async function retrainModel() {
+  if (!useTensorFlow) {
+    throw new Error('TensorFlow is not available, models cannot be trained');
+  }
+  
+  const { trainingData, dataSource } = await loadTrainingData();
+  // A task gives one record per status it went through; they are held out together
+  const { train, test } = splitTrainingData(trainingData, { getGroup: record => record.taskId });
+  console.log(`Retraining duration model on ${train.length} ${dataSource} records, holding out ${test.length}`);
+  
+  const { model, dataSize, loss } = await createAndTrainModel(train);
+  const metrics = {
+    testSize: test.length,
+    mae: evaluateModel(model, test),
+    activeVersion: durationModel ? durationModelVersion : null,
+    activeVersionMae: durationModel ? evaluateModel(durationModel, test) : null
+  };
+  console.log(`New duration model MAE: ${metrics.mae} days (active version: ${metrics.activeVersionMae})`);
+  
+  return saveModel(model, { dataSize, loss, dataSource, metrics }, { activate: false });
 }
 
 /**
@@ -158,10 +435,10 @@ function prepareTrainingData(tasks) {
   tasks.forEach(task => {
     // Features: priority, status, complexity, assignee experience
     features.push([
-      PRIORITY_MAP[task.priority] || 0.5,
-      STATUS_MAP[task.status] || 0,
-      task.complexity || 0.5,
-      task.assigneeExperience || 0.5
+      PRIORITY_MAP[task.priority] ?? 0.5,
+      STATUS_MAP[task.status] ?? 0,
+      task.complexity ?? DEFAULT_COMPLEXITY,
+      task.assigneeExperience ?? DEFAULT_EXPERIENCE
     ]);
     
     // Target: duration in days
@@ -176,18 +453,43 @@ function prepareTrainingData(tasks) {
 }
 
 /**
- * Save model to disk
+ * Save model as a new version in the model registry
  * @param {tf.LayersModel} model - TensorFlow model to save
- * @returns {Promise<void>}
+ * @param {Object} metadata - Training metadata (dataSize, loss, dataSource)
+ * @param {Object} options - Registry options (activate)
+ * @returns {Promise<Object>} Version record
  */
-async function saveModel(model) {
-  console.log(`Saving duration prediction model to ${DURATION_MODEL_PATH}...`);
-  await model.save(`file://${DURATION_MODEL_PATH}`);
+async function saveModel(model, metadata = {}, options) {
+  const record = await saveModelVersion(MODEL_NAME, model, { ...metadata, featureSchema: FEATURE_SCHEMA }, options);
   console.log('Model saved successfully');
+  return record;
+}
+
+/**
+ * Load a model version from the registry
+ * @param {Object} record - Version record
+ * @returns {Promise<tf.LayersModel>} TensorFlow model
+ */
+async function loadModelVersion(record) {
+  const model = await tf.loadLayersModel(`file://${getVersionPath(MODEL_NAME, record.version)}/model.json`);
+  durationModelVersion = record.version;
+  console.log(`Duration model version ${record.version} loaded successfully`);
+  return model;
 }
 
 /**
- * Load model from disk or create a new one if not found
+ * Train a new model and serve it
+ * @returns {Promise<tf.LayersModel>} TensorFlow model
+ */
+async function trainAndSaveModel() {
+  const { model, ...metadata } = await trainModelFromHistory();
+  const record = await saveModel(model, metadata);
+  durationModelVersion = record.version;
+  return model;
+}
+
+/**
+ * Load the active model version or create a new one if not found
  * @returns {Promise<tf.LayersModel>} TensorFlow model
  */
 async function loadOrCreateModel() {
@@ -198,26 +500,31 @@ async function loadOrCreateModel() {
   }
   
   try {
-    console.log(`Attempting to load model from ${DURATION_MODEL_PATH}...`);
-    if (fs.existsSync(`${DURATION_MODEL_PATH}/model.json`)) {
-      const model = await tf.loadLayersModel(`file://${DURATION_MODEL_PATH}/model.json`);
-      console.log('Model loaded successfully');
-      return model;
+    // A model saved before the registry existed becomes version 1
+    importLegacyModel(MODEL_NAME, DURATION_MODEL_PATH, { featureSchema: FEATURE_SCHEMA });
+    
+    const activeVersion = getActiveVersion(MODEL_NAME);
+    if (activeVersion && JSON.stringify(activeVersion.featureSchema) === JSON.stringify(FEATURE_SCHEMA)) {
+      console.log(`Attempting to load model version ${activeVersion.version}...`);
+      return await loadModelVersion(activeVersion);
     } else {
-      console.log('No existing model found, creating a new one...');
-      const model = await createAndTrainModel();
-      await saveModel(model);
-      return model;
+      console.log('No compatible model found, creating a new one...');
+      return await trainAndSaveModel();
     }
   } catch (error) {
     console.error('Error loading model:', error);
     console.log('Creating a new model instead...');
-    const model = await createAndTrainModel();
-    await saveModel(model);
-    return model;
+    return trainAndSaveModel();
   }
 }
 
+// Serve the version an admin promotes or rolls back to
+onActivate(MODEL_NAME, async record => {
+  if (useTensorFlow) {
+    durationModel = await loadModelVersion(record);
+  }
+});
+
 // Initialize model on module load
 (async () => {
   try {
@@ -231,32 +538,72 @@ async function loadOrCreateModel() {
 /**
  * Extract features from a task for prediction
  * @param {Object} task - Task object from MongoDB
+ * @param {number} assigneeExperience - Experience (0-1) of the assignee, see getAssigneeExperience
  * @returns {tf.Tensor2d} Tensor of task features
  */
-function extractTaskFeatures(task) {
-  // Default values if some properties are missing
-  const defaultComplexity = 0.5;
-  const defaultExperience = 0.5;
-  
-  // Extract features
-  const priorityValue = PRIORITY_MAP[task.priority] || 0.5;
-  const statusValue = STATUS_MAP[task.status] || 0;
-  
-  // For now, we use default values for complexity and assignee experience
-  // In a real system, these would come from historical data
-  const complexity = defaultComplexity;
-  const assigneeExperience = defaultExperience;
-  
-  // Create a tensor with these features
-  return tf.tensor2d([[priorityValue, statusValue, complexity, assigneeExperience]]);
+function extractTaskFeatures(task, assigneeExperience = DEFAULT_EXPERIENCE) {
+  // Create a tensor with the task's features
+  return tf.tensor2d([encodeTaskFeatures({
+    priority: task.priority,
+    status: task.status,
+    complexity: getTaskComplexity(task),
+    assigneeExperience
+  })]);
+}
+
+/**
+ * Normalize task feature values into model input, in FEATURE_SCHEMA order
+ * @param {Object} features - priority, status, complexity and assigneeExperience
+ * @returns {Array<number>} Model input row
+ */
+function encodeTaskFeatures(features) {
+  return [
+    PRIORITY_MAP[features.priority] ?? 0.5,
+    STATUS_MAP[features.status] ?? 0,
+    features.complexity,
+    features.assigneeExperience
+  ];
+}
+
+/**
+ * Explain a duration estimate: how many days each feature adds to or removes from the
+ * estimate of the reference task, with the method currently serving predictions
+ * @param {Object} inputs - Feature values of the task (priority, status, complexity, assigneeExperience)
+ * @returns {Object} Reference task with its estimate, and the feature contributions in days, largest first
+ */
+function explainTaskDuration(inputs) {
+  const predict = rows => {
+    if (!(useTensorFlow && durationModel)) {
+      return rows.map(row => getHeuristicDays(row.priority, row.status));
+    }
+    const features = tf.tensor2d(rows.map(encodeTaskFeatures));
+    const prediction = durationModel.predict(features);
+    const days = Array.from(prediction.dataSync());
+    features.dispose();
+    prediction.dispose();
+    return days;
+  };
+  
+  const { reference, contributions } = getShapleyValues(predict, inputs, REFERENCE_TASK, FEATURE_SCHEMA);
+  const round = value => Math.round(value * 10) / 10;
+  
+  return {
+    reference: { ...REFERENCE_TASK, predictedDays: round(reference[0]) },
+    contributions: FEATURE_SCHEMA
+      .map(feature => ({ feature, value: inputs[feature], days: round(contributions[feature][0]) }))
+      .filter(contribution => contribution.days !== 0)
+      .sort((a, b) => Math.abs(b.days) - Math.abs(a.days))
+  };
 }
 
 /**
  * Predict the number of days a task will take to complete using TensorFlow
  * @param {string} taskId - Task ID to predict duration for
+ * @param {Object} options - Options
+ * @param {boolean} options.explain - Include the contribution of each feature to the prediction
  * @returns {Promise<Object>} Prediction results
  */
-async function predictTaskDuration(taskId) {
+async function predictTaskDuration(taskId, { explain = false } = {}) {
   console.log(`Predicting duration for task ID: ${taskId}`);
   try {
     // Validate MongoDB ObjectId
@@ -274,11 +621,22 @@ async function predictTaskDuration(taskId) {
     }
     console.log(`Found task: ${task.title}`);
     
+    // Inputs are saved with the prediction to compare it with the actual outcome later
+    const experience = await getAssigneeExperience([getAssigneeId(task)]);
+    const inputs = {
+      priority: task.priority,
+      status: task.status,
+      complexity: getTaskComplexity(task),
+      assigneeExperience: experience.get(getAssigneeId(task)) ?? DEFAULT_EXPERIENCE
+    };
+    const calibration = await getDurationCalibration();
+    
     // Use TensorFlow if available, otherwise use heuristic approach
+    let result;
     if (useTensorFlow && durationModel) {
       console.log('Using TensorFlow prediction model...');
       // Extract features from task
-      const features = extractTaskFeatures(task);
+      const features = extractTaskFeatures(task, inputs.assigneeExperience);
       
       // Make prediction
       console.log('Running TensorFlow prediction...');
@@ -287,8 +645,8 @@ async function predictTaskDuration(taskId) {
       
       // Round to reasonable values
       const roundedPrediction = Math.round(predictedDays * 10) / 10; // Round to 1 decimal place
-      const bestCase = Math.max(0.5, Math.round(predictedDays * 0.7 * 10) / 10);
-      const worstCase = Math.round(predictedDays * 1.3 * 10) / 10;
+      const bestCase = Math.max(0.5, Math.round(predictedDays * PREDICTION_RANGES.ml.best * 10) / 10);
+      const worstCase = Math.round(predictedDays * PREDICTION_RANGES.ml.worst * 10) / 10;
       
       // Calculate estimated completion date
       const now = new Date();
@@ -301,15 +659,16 @@ async function predictTaskDuration(taskId) {
       
       console.log(`ML prediction for task "${task.title}": ${roundedPrediction} days`);
       
-      return {
+      result = {
         taskId: task._id,
         taskTitle: task.title,
         predictedDays: roundedPrediction,
         bestCase,
         worstCase,
         estimatedCompletionDate: estimatedCompletionDate.toISOString().split('T')[0],
-        confidence: 0.8, // Simplified - would normally be calculated from model
-        modelVersion: '1.0',
+        // Share of past ML predictions whose actual duration fell between best and worst case
+        ...calibration.ml,
+        modelVersion: durationModelVersion,
         method: 'ml'
       };
     } else {
@@ -343,8 +702,8 @@ async function predictTaskDuration(taskId) {
       
       // Round to reasonable values
       const predictedDays = Math.round(adjustedPrediction * 10) / 10; // Round to 1 decimal place
-      const bestCase = Math.max(0.5, Math.round(predictedDays * 0.7 * 10) / 10);
-      const worstCase = Math.round(predictedDays * 1.5 * 10) / 10;
+      const bestCase = Math.max(0.5, Math.round(predictedDays * PREDICTION_RANGES.heuristic.best * 10) / 10);
+      const worstCase = Math.round(predictedDays * PREDICTION_RANGES.heuristic.worst * 10) / 10;
       
       console.log(`Final heuristic prediction: ${predictedDays} days (best case: ${bestCase}, worst case: ${worstCase})`);
       
@@ -353,23 +712,174 @@ async function predictTaskDuration(taskId) {
       const estimatedCompletionDate = new Date(now);
       estimatedCompletionDate.setDate(now.getDate() + predictedDays);
       
-      return {
+      result = {
         taskId: task._id,
         taskTitle: task.title,
         predictedDays,
         bestCase,
         worstCase,
         estimatedCompletionDate: estimatedCompletionDate.toISOString().split('T')[0],
-        confidence: 0.75, // Simulated confidence score
+        // Share of past heuristic predictions whose actual duration fell between best and worst case
+        ...calibration.heuristic,
+        modelVersion: null,
         method: 'heuristic'
       };
     }
+    
+    // A task split into subtasks is done when its open subtasks are, so their estimates add up to its duration
+    const rollup = await estimateSubtaskDays(task);
+    if (rollup.subtasks.length > 0) {
+      const range = PREDICTION_RANGES[result.method];
+      const estimatedCompletionDate = new Date();
+      estimatedCompletionDate.setDate(estimatedCompletionDate.getDate() + rollup.predictedDays);
+      
+      console.log(`Rolled up ${rollup.subtasks.length} open subtasks of task "${task.title}": ${rollup.predictedDays} days`);
+      Object.assign(result, {
+        predictedDays: rollup.predictedDays,
+        bestCase: Math.max(0.5, Math.round(rollup.predictedDays * range.best * 10) / 10),
+        worstCase: Math.round(rollup.predictedDays * range.worst * 10) / 10,
+        estimatedCompletionDate: estimatedCompletionDate.toISOString().split('T')[0],
+        subtasks: rollup.subtasks
+      });
+    } else {
+      // Accuracy is tracked for the model's own estimates, which a roll-up is not
+      await recordPrediction(task, result, inputs);
+    }
+    if (explain) {
+      result.explanation = explainTaskDuration(inputs);
+    }
+    return result;
   } catch (error) {
     console.error('Error predicting task duration:', error);
     throw error;
   }
 }
 
+/**
+ * Estimate the remaining days for a task with the ML model, or heuristics when it is unavailable
+ * @param {Object} task - Task object from MongoDB
+ * @param {number} assigneeExperience - Experience (0-1) of the assignee, see getAssigneeExperience
+ * @param {Object} calibration - Confidence by method, see getDurationCalibration (default: no history)
+ * @returns {Object} Predicted days, confidence, method and model version used
+ */
+function estimateTaskDays(task, assigneeExperience, calibration = {}) {
+  if (useTensorFlow && durationModel) {
+    // Extract features
+    const features = extractTaskFeatures(task, assigneeExperience);
+    
+    // Make prediction
+    const prediction = durationModel.predict(features);
+    const predictedDays = prediction.dataSync()[0];
+    
+    // Cleanup tensors
+    features.dispose();
+    prediction.dispose();
+    
+    return { predictedDays, ...(calibration.ml || fromHitRate(0, 0)), method: 'ml', modelVersion: durationModelVersion };
+  }
+  
+  const predictedDays = getHeuristicDays(task.priority, task.status);
+  return { predictedDays, ...(calibration.heuristic || fromHitRate(0, 0)), method: 'heuristic', modelVersion: null };
+}
+
+/**
+ * Estimate the open subtasks of a task. A subtask that is split up itself counts as its open subtasks together.
+ * @param {Object} task - Parent task document
+ * @returns {Promise<Object>} Open subtasks (taskId, taskTitle, status, predictedDays) and the days they add up to
+ */
+async function estimateSubtaskDays(task) {
+  if (!await Subtask.exists({ parent: task._id })) {
+    return { subtasks: [], predictedDays: 0 };
+  }
+  
+  const [relations, openTasks] = await Promise.all([
+    Subtask.find({ project: task.project }),
+    Task.find({ project: task.project, status: { $ne: 'completed' } })
+  ]);
+  const openTasksById = new Map(openTasks.map(openTask => [openTask._id.toString(), openTask]));
+  const experience = await getAssigneeExperience(openTasks.map(getAssigneeId));
+  
+  // Parent task ID -> IDs of its open subtasks
+  const childMap = new Map();
+  relations
+    .filter(relation => openTasksById.has(relation.task.toString()))
+    .forEach(relation => {
+      const parentId = relation.parent.toString();
+      if (!childMap.has(parentId)) {
+        childMap.set(parentId, []);
+      }
+      childMap.get(parentId).push(relation.task.toString());
+    });
+  
+  const round = value => Math.round(value * 10) / 10;
+  const rolledUpDays = new Map();
+  const getRolledUpDays = (taskId, visiting = new Set()) => {
+    if (rolledUpDays.has(taskId)) return rolledUpDays.get(taskId);
+    if (visiting.has(taskId)) return 0; // Guard against cycles in inconsistent data
+    visiting.add(taskId);
+    const childIds = childMap.get(taskId) || [];
+    const openTask = openTasksById.get(taskId);
+    const days = childIds.length > 0
+      ? childIds.reduce((sum, childId) => sum + getRolledUpDays(childId, visiting), 0)
+      : round(Math.max(0, estimateTaskDays(openTask, experience.get(getAssigneeId(openTask))).predictedDays));
+    visiting.delete(taskId);
+    rolledUpDays.set(taskId, days);
+    return days;
+  };
+  
+  const subtasks = (childMap.get(task._id.toString()) || []).map(childId => {
+    const subtask = openTasksById.get(childId);
+    return {
+      taskId: subtask._id,
+      taskTitle: subtask.title,
+      status: subtask.status,
+      predictedDays: round(getRolledUpDays(childId))
+    };
+  });
+  
+  return {
+    subtasks,
+    predictedDays: round(subtasks.reduce((sum, subtask) => sum + subtask.predictedDays, 0))
+  };
+}
+
+/**
+ * Heuristic estimate of the remaining days for a task
+ * @param {string} priority - Task priority
+ * @param {string} status - Task status
+ * @returns {number} Remaining days
+ */
+function getHeuristicDays(priority, status) {
+  // Base prediction using heuristics
+  let predictedDays = 0;
+  if (priority === 'high') {
+    predictedDays = 3; // High priority tasks typically take 3 days
+  } else if (priority === 'medium') {
+    predictedDays = 5; // Medium priority tasks typically take 5 days
+  } else {
+    predictedDays = 7; // Low priority tasks typically take 7 days
+  }
+  
+  // Apply adjustments based on status
+  if (status === 'in-progress') {
+    predictedDays *= 0.7; // 30% less time if already started
+  } else if (status === 'review') {
+    predictedDays *= 0.3; // 70% less time if in review
+  }
+  
+  return predictedDays;
+}
+
+/**
+ * Format a date as YYYY-MM-DD, offset by a number of (possibly fractional) days
+ * @param {Date} from - Start date
+ * @param {number} days - Days to add
+ * @returns {string} Formatted date
+ */
+function addDays(from, days) {
+  return new Date(from.getTime() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
 /**
  * Predict durations for all tasks in a project using TensorFlow
  * @param {string} projectId - Project ID
@@ -390,24 +900,22 @@ async function predictProjectTimeline(projectId) {
     console.log(`Found ${tasks.length} tasks for project`);
     
     // Make sure model is loaded
-    if (!durationModel) {
+    if (!durationModel && useTensorFlow) {
       console.log('Model not initialized, loading now...');
       durationModel = await loadOrCreateModel();
     }
     
     const predictions = [];
+    const experience = await getAssigneeExperience(tasks.map(getAssigneeId));
+    const calibration = await getDurationCalibration();
     
     // For each task, predict duration
-    console.log('Generating ML predictions for each task...');
+    console.log(`Generating predictions for each task using ${useTensorFlow && durationModel ? 'ML' : 'heuristic'} approach...`);
     for (const task of tasks) {
       console.log(`Calculating duration for task: ${task.title}`);
       
-      // Extract features
-      const features = extractTaskFeatures(task);
-      
-      // Make prediction
-      const prediction = durationModel.predict(features);
-      const predictedDays = prediction.dataSync()[0];
+      const { predictedDays, confidence, confidenceBasis, method, modelVersion } =
+        estimateTaskDays(task, experience.get(getAssigneeId(task)), calibration);
       const roundedPrediction = Math.round(predictedDays * 10) / 10;
       
       // Calculate estimated completion date
@@ -420,14 +928,13 @@ async function predictProjectTimeline(projectId) {
         taskTitle: task.title,
         predictedDays: roundedPrediction,
         estimatedCompletionDate: estimatedCompletionDate.toISOString().split('T')[0],
-        confidence: 0.8 // Simplified
+        confidence,
+        confidenceBasis,
+        method,
+        modelVersion
       });
       
-      console.log(`Task "${task.title}" ML prediction: ${roundedPrediction} days, completion: ${estimatedCompletionDate.toISOString().split('T')[0]}`);
-      
-      // Cleanup tensors
-      features.dispose();
-      prediction.dispose();
+      console.log(`Task "${task.title}" ${method} prediction: ${roundedPrediction} days, completion: ${estimatedCompletionDate.toISOString().split('T')[0]}`);
     }
     
     // Sort predictions by completion date
@@ -435,7 +942,7 @@ async function predictProjectTimeline(projectId) {
       new Date(a.estimatedCompletionDate) - new Date(b.estimatedCompletionDate)
     );
     
-    console.log(`Generated ML timeline predictions for ${predictions.length} tasks`);
+    console.log(`Generated timeline predictions for ${predictions.length} tasks`);
     return predictions;
   } catch (error) {
     console.error('Error predicting project timeline:', error);
@@ -443,10 +950,136 @@ async function predictProjectTimeline(projectId) {
   }
 }
 
+/**
+ * Predict a project schedule with the critical path method. Open tasks are scheduled after the
+ * tasks they depend on, and each assignee works on one task at a time.
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object>} Task schedule with slack, the critical path and the projected end date
+ */
+async function predictCriticalPathTimeline(projectId) {
+  console.log(`Predicting critical path timeline for project ID: ${projectId}`);
+  try {
+    // Validate MongoDB ObjectId
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      console.error(`Invalid project ID format: ${projectId}`);
+      throw new Error('Invalid project ID format. Must be a valid MongoDB ObjectId');
+    }
+    
+    const project = await Project.findById(projectId);
+    if (!project) {
+      console.error(`Project not found with ID: ${projectId}`);
+      throw new Error('Project not found');
+    }
+    
+    // Completed tasks are done, so only open tasks need scheduling
+    const [tasks, dependencies] = await Promise.all([
+      Task.find({ project: projectId, status: { $ne: 'completed' } }),
+      TaskDependency.find({ project: projectId })
+    ]);
+    console.log(`Found ${tasks.length} open tasks and ${dependencies.length} dependencies`);
+    
+    // Make sure model is loaded
+    if (!durationModel && useTensorFlow) {
+      console.log('Model not initialized, loading now...');
+      durationModel = await loadOrCreateModel();
+    }
+    
+    const experience = await getAssigneeExperience(tasks.map(getAssigneeId));
+    const calibration = await getDurationCalibration();
+    const estimates = new Map(tasks.map(task => [
+      task._id.toString(),
+      estimateTaskDays(task, experience.get(getAssigneeId(task)), calibration)
+    ]));
+    const items = tasks.map(task => ({
+      id: task._id.toString(),
+      // Negative or tiny model outputs would collapse the schedule
+      duration: Math.max(0.5, Math.round(estimates.get(task._id.toString()).predictedDays * 10) / 10),
+      assignee: task.assignedTo ? task.assignedTo.toString() : null,
+      priority: task.priority,
+      dueDate: task.dueDate
+    }));
+    
+    const { schedule, criticalPath, totalDuration } = scheduleTasks(items, dependencies);
+    console.log(`Scheduled ${items.length} tasks, critical path of ${criticalPath.length} tasks over ${totalDuration.toFixed(1)} days`);
+    
+    const now = new Date();
+    const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+    const round = value => Math.round(value * 10) / 10;
+    
+    const scheduledTasks = items
+      .map(item => {
+        const task = tasksById.get(item.id);
+        const entry = schedule.get(item.id);
+        return {
+          taskId: task._id,
+          taskTitle: task.title,
+          status: task.status,
+          assignedTo: task.assignedTo,
+          predictedDays: item.duration,
+          earliestStart: addDays(now, entry.earliestStart),
+          earliestFinish: addDays(now, entry.earliestFinish),
+          latestStart: addDays(now, entry.latestStart),
+          latestFinish: addDays(now, entry.latestFinish),
+          slackDays: round(entry.slack),
+          critical: entry.critical,
+          confidence: estimates.get(item.id).confidence,
+          confidenceBasis: estimates.get(item.id).confidenceBasis,
+          method: estimates.get(item.id).method,
+          modelVersion: estimates.get(item.id).modelVersion
+        };
+      })
+      .sort((a, b) => new Date(a.earliestStart) - new Date(b.earliestStart));
+    
+    // Compare the projected end with the planned project end date
+    const projectedEndDate = addDays(now, totalDuration);
+    const plannedEndDate = project.endDate ? project.endDate.toISOString().split('T')[0] : null;
+    const varianceDays = plannedEndDate
+      ? Math.round((new Date(projectedEndDate) - new Date(plannedEndDate)) / (24 * 60 * 60 * 1000))
+      : null;
+    
+    const methods = new Set([...estimates.values()].map(estimate => estimate.method));
+    const mlEstimate = [...estimates.values()].find(estimate => estimate.method === 'ml');
+    const method = methods.has('ml') ? 'ml' : 'heuristic';
+    
+    console.log(`Projected end date: ${projectedEndDate} (planned: ${plannedEndDate})`);
+    
+    return {
+      projectId: project._id,
+      projectName: project.name,
+      startDate: addDays(now, 0),
+      projectedEndDate,
+      plannedEndDate,
+      varianceDays,
+      onSchedule: varianceDays === null ? null : varianceDays <= 0,
+      totalDays: round(totalDuration),
+      criticalPath: criticalPath.map(id => ({
+        taskId: tasksById.get(id)._id,
+        taskTitle: tasksById.get(id).title
+      })),
+      tasks: scheduledTasks,
+      ...calibration[method],
+      method,
+      modelVersion: mlEstimate ? mlEstimate.modelVersion : null
+    };
+  } catch (error) {
+    console.error('Error predicting critical path timeline:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   predictTaskDuration,
   predictProjectTimeline,
+  predictCriticalPathTimeline,
+  estimateTaskDays,
+  estimateSubtaskDays,
+  getAssigneeExperience,
+  getAssigneeId,
   // Export these for testing/training purposes
   createAndTrainModel,
+  trainModelFromHistory,
+  retrainModel,
+  loadHistoricalTrainingData,
+  getTaskComplexity,
   saveModel
 }; 
\ No newline at end of file
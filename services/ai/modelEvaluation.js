@@ -0,0 +1,83 @@
+// Share of the training data held out to evaluate a newly trained model
+const TEST_SHARE = 0.2;
+
+/**
+ * Shuffle training data and split it into a training set and a held-out test set.
+ * Records of the same group (e.g. several records of one task) all land on the same side,
+ * so the test set only holds groups the model has not seen.
+ * @param {Array} data - Training records
+ * @param {Object} options - Options
+ * @param {number} options.testShare - Share of records to hold out (0-1)
+ * @param {Function} options.getGroup - Returns the group of a record; records without one are groups of their own
+ * @returns {Object} Training records (train) and held-out records (test)
+ */
+function splitTrainingData(data, { testShare = TEST_SHARE, getGroup = () => null } = {}) {
+  const groups = new Map();
+  data.forEach((record, index) => {
+    const key = getGroup(record) ?? `record:${index}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(record);
+  });
+
+  const shuffled = [...groups.values()];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  // Hold out whole groups until the test set is big enough
+  const testSize = Math.max(1, Math.round(data.length * testShare));
+  const train = [];
+  const test = [];
+  shuffled.forEach(records => {
+    (test.length < testSize ? test : train).push(...records);
+  });
+  return { train, test };
+}
+
+/**
+ * Mean absolute error between predicted and actual values
+ * @param {Array<number>} predicted - Predicted values
+ * @param {Array<number>} actual - Actual values, in the same order
+ * @returns {number} Mean absolute error, rounded to 4 decimals
+ */
+function meanAbsoluteError(predicted, actual) {
+  const total = actual.reduce((sum, value, index) => sum + Math.abs(predicted[index] - value), 0);
+  return Math.round((total / actual.length) * 10000) / 10000;
+}
+
+/**
+ * Share of rows where the predicted class (highest score) is the actual class
+ * @param {Array<number>} predicted - Predicted class scores, one row per record, flattened
+ * @param {Array<number>} actual - One-hot encoded actual classes, flattened the same way
+ * @param {number} classCount - Number of classes per row
+ * @returns {number} Accuracy (0-1), rounded to 4 decimals
+ */
+function classificationAccuracy(predicted, actual, classCount) {
+  const argMax = (values, offset) => {
+    let best = 0;
+    for (let i = 1; i < classCount; i++) {
+      if (values[offset + i] > values[offset + best]) {
+        best = i;
+      }
+    }
+    return best;
+  };
+
+  const rowCount = actual.length / classCount;
+  let correct = 0;
+  for (let row = 0; row < rowCount; row++) {
+    if (argMax(predicted, row * classCount) === argMax(actual, row * classCount)) {
+      correct++;
+    }
+  }
+  return Math.round((correct / rowCount) * 10000) / 10000;
+}
+
+module.exports = {
+  splitTrainingData,
+  meanAbsoluteError,
+  classificationAccuracy
+};
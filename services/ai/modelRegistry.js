@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+
+// All AI models and the registry file live in the model directory
+const MODEL_DIR = path.join(__dirname, '../../models/ai');
+const REGISTRY_PATH = path.join(MODEL_DIR, 'registry.json');
+
+// Models managed by the registry, one per AI service
+const MODEL_NAMES = ['duration', 'suggestion', 'workflow'];
+
+// Ensure the model directory exists
+if (!fs.existsSync(MODEL_DIR)) {
+  fs.mkdirSync(MODEL_DIR, { recursive: true });
+  console.log(`Created model directory at ${MODEL_DIR}`);
+}
+
+// Functions that load a version into the service serving it, by model name
+const activationHandlers = new Map();
+
+/**
+ * Read the registry file
+ * @returns {Object} Registry with an entry per model
+ */
+function readRegistry() {
+  if (!fs.existsSync(REGISTRY_PATH)) {
+    return { models: {} };
+  }
+  return JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+}
+
+/**
+ * Write the registry file. The file is replaced in one step so it is never left half written.
+ * @param {Object} registry - Registry to save
+ */
+function writeRegistry(registry) {
+  const tempPath = `${REGISTRY_PATH}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(registry, null, 2));
+  fs.renameSync(tempPath, REGISTRY_PATH);
+}
+
+/**
+ * Get the registry entry of a model
+ * @param {Object} registry - Registry
+ * @param {string} name - Model name
+ * @returns {Object} Active version, activation history and all versions
+ */
+function getEntry(registry, name) {
+  if (!MODEL_NAMES.includes(name)) {
+    throw new Error('Model not found');
+  }
+  if (!registry.models[name]) {
+    registry.models[name] = { activeVersion: null, history: [], versions: [] };
+  }
+  return registry.models[name];
+}
+
+/**
+ * Get the directory a model version is saved in
+ * @param {string} name - Model name
+ * @param {number} version - Version number
+ * @returns {string} Directory path
+ */
+function getVersionPath(name, version) {
+  return path.join(MODEL_DIR, name, `v${version}`);
+}
+
+/**
+ * Save a trained model as a new version
+ * @param {string} name - Model name
+ * @param {tf.LayersModel} model - Trained TensorFlow model
+ * @param {Object} metadata - Training metadata (dataSize, dataSource, loss, featureSchema)
+ * @param {Object} options - Options
+ * @param {boolean} options.activate - Serve the new version right away (default: true)
+ * @returns {Promise<Object>} Version record
+ */
+async function saveModelVersion(name, model, metadata, { activate = true } = {}) {
+  const entry = getEntry(readRegistry(), name);
+  const version = entry.versions.reduce((max, record) => Math.max(max, record.version), 0) + 1;
+
+  const versionPath = getVersionPath(name, version);
+  console.log(`Saving ${name} model version ${version} to ${versionPath}...`);
+  await model.save(`file://${versionPath}`);
+
+  // Re-read in case another version was registered while the model was being saved
+  const registry = readRegistry();
+  const current = getEntry(registry, name);
+  const record = {
+    version,
+    trainedAt: new Date().toISOString(),
+    ...metadata
+  };
+  current.versions.push(record);
+  if (activate) {
+    current.activeVersion = version;
+    current.history.push(version);
+  }
+  writeRegistry(registry);
+
+  console.log(`Registered ${name} model version ${version}${activate ? ' (active)' : ''}`);
+  return record;
+}
+
+/**
+ * Import a model saved before versioning existed as version 1
+ * @param {string} name - Model name
+ * @param {string} legacyPath - Directory the model used to be saved in
+ * @param {Object} metadata - Known metadata of the model (featureSchema)
+ * @returns {Object|null} Version record, or null if there was nothing to import
+ */
+function importLegacyModel(name, legacyPath, metadata) {
+  const registry = readRegistry();
+  const entry = getEntry(registry, name);
+  if (entry.versions.length > 0 || !fs.existsSync(path.join(legacyPath, 'model.json'))) {
+    return null;
+  }
+
+  const versionPath = getVersionPath(name, 1);
+  fs.mkdirSync(versionPath, { recursive: true });
+  fs.readdirSync(legacyPath).forEach(file => {
+    fs.copyFileSync(path.join(legacyPath, file), path.join(versionPath, file));
+  });
+
+  const record = {
+    version: 1,
+    trainedAt: fs.statSync(path.join(legacyPath, 'model.json')).mtime.toISOString(),
+    dataSize: null,
+    dataSource: 'unknown',
+    loss: null,
+    ...metadata
+  };
+  entry.versions.push(record);
+  entry.activeVersion = 1;
+  entry.history.push(1);
+  writeRegistry(registry);
+
+  console.log(`Imported existing ${name} model from ${legacyPath} as version 1`);
+  return record;
+}
+
+/**
+ * Get the version of a model that should be served
+ * @param {string} name - Model name
+ * @returns {Object|null} Version record, or null if the model has no versions yet
+ */
+function getActiveVersion(name) {
+  const entry = getEntry(readRegistry(), name);
+  return entry.versions.find(record => record.version === entry.activeVersion) || null;
+}
+
+/**
+ * Get a model's registry entry
+ * @param {string} name - Model name
+ * @returns {Object} Name, active version, activation history and all versions
+ */
+function getModel(name) {
+  const entry = getEntry(readRegistry(), name);
+  return { name, ...entry };
+}
+
+/**
+ * List all models with their versions
+ * @returns {Array<Object>} Registry entries
+ */
+function listModels() {
+  return MODEL_NAMES.map(getModel);
+}
+
+/**
+ * Register the function that loads a version into the service serving the model
+ * @param {string} name - Model name
+ * @param {Function} handler - Async function called with the version record to serve
+ */
+function onActivate(name, handler) {
+  activationHandlers.set(name, handler);
+}
+
+/**
+ * Serve a version of a model. The service loads it before the registry is updated,
+ * so a version that fails to load never becomes active.
+ * @param {string} name - Model name
+ * @param {Object} record - Version record to serve
+ * @param {Function} updateHistory - Applies the change to the model's activation history
+ * @returns {Promise<void>}
+ */
+async function activate(name, record, updateHistory) {
+  const handler = activationHandlers.get(name);
+  if (handler) {
+    await handler(record);
+  }
+
+  // Re-read in case a version was registered while the service was loading this one
+  const registry = readRegistry();
+  const entry = getEntry(registry, name);
+  updateHistory(entry.history);
+  entry.activeVersion = record.version;
+  writeRegistry(registry);
+  console.log(`${name} model version ${record.version} is now active`);
+}
+
+/**
+ * Promote a version of a model to be the one served
+ * @param {string} name - Model name
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} Updated registry entry
+ */
+async function promoteVersion(name, version) {
+  const entry = getEntry(readRegistry(), name);
+  const record = entry.versions.find(item => item.version === version);
+  if (!record) {
+    throw new Error('Model version not found');
+  }
+
+  if (entry.activeVersion !== version) {
+    await activate(name, record, history => history.push(version));
+  }
+  return getModel(name);
+}
+
+/**
+ * Go back to the version that was served before the current one
+ * @param {string} name - Model name
+ * @returns {Promise<Object>} Updated registry entry
+ */
+async function rollbackVersion(name) {
+  const entry = getEntry(readRegistry(), name);
+  if (entry.history.length < 2) {
+    throw new Error('No previous model version to roll back to');
+  }
+
+  const previousVersion = entry.history[entry.history.length - 2];
+  const record = entry.versions.find(item => item.version === previousVersion);
+  await activate(name, record, history => history.pop());
+  return getModel(name);
+}
+
+module.exports = {
+  MODEL_DIR,
+  MODEL_NAMES,
+  getVersionPath,
+  saveModelVersion,
+  importLegacyModel,
+  getActiveVersion,
+  getModel,
+  listModels,
+  onActivate,
+  promoteVersion,
+  rollbackVersion
+};
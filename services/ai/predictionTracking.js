@@ -0,0 +1,240 @@
+const DurationPrediction = require('../../models/durationPrediction');
+const { fromHitRate } = require('./confidence');
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Best and worst case of a prediction, as multiples of the predicted days, per method
+const PREDICTION_RANGES = {
+  ml: { best: 0.7, worst: 1.3 },
+  heuristic: { best: 0.7, worst: 1.5 }
+};
+
+// Most recent reconciled predictions per method used to calibrate confidence
+const CALIBRATION_SAMPLE_SIZE = 500;
+
+// How long calibrated confidence is reused before it is computed again
+const CALIBRATION_TTL_MS = 10 * 60 * 1000;
+
+// Days of reconciled predictions an accuracy report covers when none are given, and at most
+const DEFAULT_ACCURACY_DAYS = 90;
+const MAX_ACCURACY_DAYS = 365;
+
+let calibrationCache = null;
+
+/**
+ * Save a duration prediction so it can be compared with the actual outcome later.
+ * A task keeps one open prediction per method and model version: the first one is kept and
+ * later views of the same prediction are not saved again, so they cannot count more than once.
+ * Failing to save never fails the prediction itself.
+ * @param {Object} task - Task document the prediction is for
+ * @param {Object} prediction - Prediction as returned (predictedDays, confidence, method, modelVersion)
+ * @param {Object} inputs - Inputs of the prediction (priority, status, complexity, assigneeExperience)
+ * @returns {Promise<Object|null>} Open DurationPrediction document, or null if it could not be saved
+ */
+async function recordPrediction(task, prediction, inputs) {
+  try {
+    return await DurationPrediction.findOneAndUpdate(
+      {
+        task: task._id,
+        method: prediction.method,
+        modelVersion: prediction.modelVersion,
+        reconciledAt: null
+      },
+      {
+        $setOnInsert: {
+          project: task.project,
+          assignee: task.assignedTo ? task.assignedTo._id || task.assignedTo : null,
+          inputs,
+          predictedDays: prediction.predictedDays,
+          confidence: prediction.confidence
+        }
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    console.error(`Failed to record duration prediction for task ${task._id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Compare the open predictions of a task with the time it actually took to complete
+ * @param {Object} task - Task document that was just completed
+ * @param {Date} completedAt - When the task was completed (default: now)
+ * @returns {Promise<number>} Number of predictions reconciled
+ */
+async function reconcilePredictions(task, completedAt = new Date()) {
+  const predictions = await DurationPrediction.find({ task: task._id, reconciledAt: null });
+
+  await Promise.all(predictions.map(prediction => {
+    const actualDays = Math.round(((completedAt - prediction.createdAt) / DAY_MS) * 10) / 10;
+    prediction.actualDays = actualDays;
+    prediction.errorDays = Math.round((actualDays - prediction.predictedDays) * 10) / 10;
+    prediction.reconciledAt = completedAt;
+    return prediction.save();
+  }));
+
+  if (predictions.length > 0) {
+    console.log(`Reconciled ${predictions.length} duration predictions for task ${task._id}`);
+  }
+  return predictions.length;
+}
+
+/**
+ * Whether the actual duration of a reconciled prediction fell inside its best/worst case range
+ * @param {Object} prediction - Reconciled DurationPrediction document
+ * @returns {boolean} True if the prediction range held
+ */
+function isWithinRange(prediction) {
+  const range = PREDICTION_RANGES[prediction.method];
+  return prediction.actualDays >= prediction.predictedDays * range.best &&
+    prediction.actualDays <= prediction.predictedDays * range.worst;
+}
+
+/**
+ * Get the calibrated confidence of each prediction method: the share of its recent predictions
+ * whose actual duration fell inside the predicted best/worst case range
+ * @returns {Promise<Object>} Confidence fields (see confidence.js) by method
+ */
+async function getDurationCalibration() {
+  if (calibrationCache && Date.now() - calibrationCache.computedAt < CALIBRATION_TTL_MS) {
+    return calibrationCache.calibration;
+  }
+
+  const calibration = {};
+  await Promise.all(Object.keys(PREDICTION_RANGES).map(async method => {
+    const predictions = await DurationPrediction.find({ method, reconciledAt: { $ne: null } })
+      .sort({ reconciledAt: -1 })
+      .limit(CALIBRATION_SAMPLE_SIZE)
+      .select('method predictedDays actualDays');
+    calibration[method] = fromHitRate(predictions.filter(isWithinRange).length, predictions.length);
+  }));
+
+  console.log(`Calibrated duration confidence: ${Object.entries(calibration)
+    .map(([method, { confidence }]) => `${method} ${confidence}`).join(', ')}`);
+  calibrationCache = { calibration, computedAt: Date.now() };
+  return calibration;
+}
+
+/**
+ * Get a percentile of sorted values
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} Value at the percentile
+ */
+function getPercentile(sorted, percentile) {
+  const index = Math.min(sorted.length - 1, Math.ceil((percentile / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+/**
+ * Summarize the prediction errors of a group of reconciled predictions
+ * @param {Array} predictions - Reconciled DurationPrediction documents
+ * @returns {Object} Count, bias (mean error) and the distribution of absolute errors in days
+ */
+function summarizeErrors(predictions) {
+  const round = value => Math.round(value * 100) / 100;
+  const errors = predictions.map(prediction => prediction.errorDays);
+  const absoluteErrors = errors.map(Math.abs).sort((a, b) => a - b);
+
+  return {
+    count: errors.length,
+    // Positive when tasks take longer than predicted
+    meanError: round(errors.reduce((sum, value) => sum + value, 0) / errors.length),
+    meanAbsoluteError: round(absoluteErrors.reduce((sum, value) => sum + value, 0) / errors.length),
+    medianAbsoluteError: getPercentile(absoluteErrors, 50),
+    p90AbsoluteError: getPercentile(absoluteErrors, 90),
+    maxAbsoluteError: absoluteErrors[absoluteErrors.length - 1],
+    withinOneDay: round(absoluteErrors.filter(value => value <= 1).length / errors.length)
+  };
+}
+
+/**
+ * Group predictions and summarize the errors of each group
+ * @param {Array} predictions - Reconciled DurationPrediction documents
+ * @param {Function} getGroup - Returns { key, ...fields describing the group } for a prediction
+ * @returns {Array<Object>} Group fields with their error summary, largest groups first
+ */
+function summarizeGroups(predictions, getGroup) {
+  const groups = new Map();
+  predictions.forEach(prediction => {
+    const { key, ...fields } = getGroup(prediction);
+    if (!groups.has(key)) {
+      groups.set(key, { fields, predictions: [] });
+    }
+    groups.get(key).predictions.push(prediction);
+  });
+
+  return [...groups.values()]
+    .map(group => ({ ...group.fields, ...summarizeErrors(group.predictions) }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Report how far duration predictions were from the actual completion times
+ * @param {Object} options - Filters
+ * @param {string} options.projectId - Only predictions for this project (optional)
+ * @param {number} options.days - Only predictions reconciled in this many last days (default: 90)
+ * @returns {Promise<Object>} Error distributions overall, per method, per project and per assignee
+ */
+async function getPredictionAccuracy({ projectId, days = DEFAULT_ACCURACY_DAYS } = {}) {
+  console.log(`Reporting duration prediction accuracy of the last ${days} days${projectId ? ` for project ${projectId}` : ''}`);
+
+  const filter = {};
+  if (projectId) {
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      throw new Error('Invalid project ID format. Must be a valid MongoDB ObjectId');
+    }
+    filter.project = projectId;
+  }
+
+  // Only what the report needs of each prediction in the window is loaded
+  const since = new Date(Date.now() - days * DAY_MS);
+  const [predictions, pendingCount] = await Promise.all([
+    DurationPrediction.find({ ...filter, reconciledAt: { $gte: since } })
+      .select('project assignee method errorDays')
+      .populate('project', 'name')
+      .populate('assignee', 'name email')
+      .lean(),
+    DurationPrediction.countDocuments({ ...filter, reconciledAt: null })
+  ]);
+  console.log(`Found ${predictions.length} reconciled and ${pendingCount} pending predictions`);
+
+  // Populated references are null when the project or user no longer exists
+  const getId = (reference, fallback) => (reference ? reference._id.toString() : fallback);
+
+  return {
+    days,
+    since: since.toISOString().split('T')[0],
+    reconciledCount: predictions.length,
+    pendingCount,
+    overall: predictions.length > 0 ? summarizeErrors(predictions) : null,
+    byMethod: summarizeGroups(predictions, prediction => ({
+      key: prediction.method,
+      method: prediction.method
+    })),
+    byProject: summarizeGroups(predictions, prediction => ({
+      key: getId(prediction.project, 'deleted'),
+      projectId: prediction.project ? prediction.project._id : null,
+      projectName: prediction.project ? prediction.project.name : null
+    })),
+    byAssignee: summarizeGroups(predictions, prediction => ({
+      key: getId(prediction.assignee, 'unassigned'),
+      assigneeId: prediction.assignee ? prediction.assignee._id : null,
+      assigneeName: prediction.assignee ? prediction.assignee.name : null
+    })),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  PREDICTION_RANGES,
+  DEFAULT_ACCURACY_DAYS,
+  MAX_ACCURACY_DAYS,
+  getDurationCalibration,
+  recordPrediction,
+  reconcilePredictions,
+  getPredictionAccuracy,
+  summarizeErrors
+};
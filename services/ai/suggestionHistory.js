@@ -0,0 +1,225 @@
+const Task = require('../../models/task');
+const TaskStatusChange = require('../../models/taskStatusChange');
+const TaskSuggestion = require('../../models/taskSuggestion');
+
+// Fields of a suggestion the user can change when accepting it
+const EDITABLE_FIELDS = ['title', 'description', 'priority', 'dueDate', 'assignedTo'];
+
+/**
+ * Save suggestions as they are shown, so they can be accepted later and acceptance measured
+ * @param {string} projectId - Project ID
+ * @param {Array} suggestions - Suggested tasks
+ * @param {string} userId - User the suggestions were made for
+ * @returns {Promise<Array>} Saved TaskSuggestion documents, in the same order
+ */
+async function saveSuggestions(projectId, suggestions, userId) {
+  return TaskSuggestion.insertMany(suggestions.map(suggestion => ({
+    project: projectId,
+    requestedBy: userId,
+    title: suggestion.title,
+    description: suggestion.description,
+    priority: suggestion.priority,
+    category: suggestion.category,
+    phase: suggestion.phase,
+    estimatedDays: suggestion.estimatedDays,
+    dueDate: suggestion.dueDate,
+    assignedTo: suggestion.assignedTo,
+    confidence: suggestion.confidence,
+    method: suggestion.method,
+    modelVersion: suggestion.modelVersion
+  })));
+}
+
+/**
+ * Load suggestions of a project that have not been turned into tasks yet
+ * @param {string} projectId - Project ID
+ * @param {Array<string>} ids - Suggestion IDs, each listed once
+ * @returns {Promise<Map>} Suggestion ID -> TaskSuggestion document
+ */
+async function findOpenSuggestions(projectId, ids) {
+  if (new Set(ids).size !== ids.length) {
+    throw new Error('Each suggestion can only be listed once');
+  }
+
+  const suggestions = await TaskSuggestion.find({ _id: { $in: ids }, project: projectId });
+  const suggestionsById = new Map(suggestions.map(suggestion => [suggestion._id.toString(), suggestion]));
+
+  const missingId = ids.find(id => !suggestionsById.has(id));
+  if (missingId) {
+    throw new Error(`Suggestion not found: ${missingId}`);
+  }
+  const accepted = suggestions.find(suggestion => suggestion.task);
+  if (accepted) {
+    throw new Error(`Suggestion already accepted: ${accepted._id}`);
+  }
+  return suggestionsById;
+}
+
+/**
+ * Create tasks from suggestions. Either all requested suggestions become tasks or none do.
+ * @param {Object} project - Project document
+ * @param {Array} selections - Suggestions to accept: { id, ...edits } with edits of EDITABLE_FIELDS
+ * @param {string} userId - User accepting the suggestions, who becomes the creator of the tasks
+ * @returns {Promise<Array>} Created Task documents
+ */
+async function acceptSuggestions(project, selections, userId) {
+  const ids = selections.map(selection => selection.id);
+  const suggestionsById = await findOpenSuggestions(project._id, ids);
+  const suggestions = [...suggestionsById.values()];
+
+  // Tasks can only be assigned to people on the project
+  const teamIds = new Set([project.owner, ...project.members].map(member => (member._id || member).toString()));
+
+  // Build and validate every task before anything is written
+  const tasks = selections.map(selection => {
+    const suggestion = suggestionsById.get(selection.id);
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      fields[field] = selection[field] !== undefined ? selection[field] : suggestion[field];
+    });
+    if (fields.assignedTo && !teamIds.has(fields.assignedTo.toString())) {
+      throw new Error(`Assignee is not a member of the project: ${fields.assignedTo}`);
+    }
+    return new Task({
+      ...fields,
+      status: 'todo',
+      project: project._id,
+      createdBy: userId
+    });
+  });
+  await Promise.all(tasks.map(task => task.validate()));
+
+  // Claim the suggestions; a concurrent request may have accepted some of them in the meantime.
+  // Feedback given earlier is put back if the tasks cannot be created.
+  const respondedAt = new Date();
+  const claim = await TaskSuggestion.bulkWrite(selections.map((selection, index) => ({
+    updateOne: {
+      filter: { _id: selection.id, task: null },
+      update: { status: 'accepted', task: tasks[index]._id, respondedBy: userId, respondedAt }
+    }
+  })));
+
+  const releaseClaims = () => TaskSuggestion.bulkWrite(suggestions.map(suggestion => ({
+    updateOne: {
+      filter: { _id: suggestion._id, respondedAt, respondedBy: userId },
+      update: {
+        status: suggestion.status,
+        task: null,
+        respondedBy: suggestion.respondedBy || null,
+        respondedAt: suggestion.respondedAt || null
+      }
+    }
+  })));
+
+  if (claim.modifiedCount !== selections.length) {
+    await releaseClaims();
+    throw new Error('Suggestion already accepted by another request');
+  }
+
+  try {
+    await Task.insertMany(tasks);
+    await TaskStatusChange.insertMany(tasks.map(task => ({
+      project: project._id,
+      task: task._id,
+      from: null,
+      to: task.status,
+      changedBy: userId
+    })));
+  } catch (error) {
+    // Undo everything written so far
+    const taskIds = tasks.map(task => task._id);
+    await Task.deleteMany({ _id: { $in: taskIds } });
+    await TaskStatusChange.deleteMany({ task: { $in: taskIds } });
+    await releaseClaims();
+    throw error;
+  }
+
+  console.log(`Accepted ${tasks.length} suggestions for project ${project._id}`);
+  return tasks;
+}
+
+/**
+ * Record the team's response to suggestions without creating tasks, e.g. to dismiss them or to mark
+ * a suggestion as accepted when its task was created by hand. Responses can be changed later, except
+ * for suggestions that were accepted through acceptSuggestions.
+ * @param {string} projectId - Project ID
+ * @param {Array} responses - Responses: { id, status } with status accepted, dismissed or not-relevant
+ * @param {string} userId - User giving the feedback
+ * @returns {Promise<Array>} Updated TaskSuggestion documents, in the same order
+ */
+async function recordFeedback(projectId, responses, userId) {
+  const suggestionsById = await findOpenSuggestions(projectId, responses.map(response => response.id));
+
+  // Only suggestions that are still open are updated; a concurrent request may have accepted some
+  // of them in the meantime, in which case the feedback written here is put back
+  const respondedAt = new Date();
+  const result = await TaskSuggestion.bulkWrite(responses.map(response => ({
+    updateOne: {
+      filter: { _id: response.id, task: null },
+      update: { status: response.status, respondedBy: userId, respondedAt }
+    }
+  })));
+
+  if (result.matchedCount !== responses.length) {
+    await TaskSuggestion.bulkWrite([...suggestionsById.values()].map(suggestion => ({
+      updateOne: {
+        filter: { _id: suggestion._id, task: null, respondedAt, respondedBy: userId },
+        update: {
+          status: suggestion.status,
+          respondedBy: suggestion.respondedBy || null,
+          respondedAt: suggestion.respondedAt || null
+        }
+      }
+    })));
+    throw new Error('Suggestion already accepted by another request');
+  }
+
+  const updated = responses.map(response => {
+    const suggestion = suggestionsById.get(response.id);
+    suggestion.status = response.status;
+    suggestion.respondedBy = userId;
+    suggestion.respondedAt = respondedAt;
+    return suggestion;
+  });
+
+  console.log(`Recorded feedback on ${updated.length} suggestions for project ${projectId}`);
+  return updated;
+}
+
+/**
+ * Summarize the team's responses to earlier suggestions for a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object>} Lowercase titles the team turned down, and the share of suggestions
+ *   accepted per category (smoothed towards one half while there are few responses)
+ */
+async function getFeedbackSignals(projectId) {
+  const responses = await TaskSuggestion.find({ project: projectId, status: { $ne: 'pending' } })
+    .select('title category status');
+
+  const rejectedTitles = new Set();
+  const countsByCategory = {};
+  responses.forEach(response => {
+    if (response.status !== 'accepted') {
+      rejectedTitles.add(response.title.toLowerCase());
+    }
+    const counts = countsByCategory[response.category] || (countsByCategory[response.category] = { accepted: 0, total: 0 });
+    counts.total++;
+    if (response.status === 'accepted') {
+      counts.accepted++;
+    }
+  });
+
+  const categoryAcceptance = {};
+  Object.entries(countsByCategory).forEach(([category, counts]) => {
+    categoryAcceptance[category] = (counts.accepted + 1) / (counts.total + 2);
+  });
+
+  return { rejectedTitles, categoryAcceptance };
+}
+
+module.exports = {
+  saveSuggestions,
+  acceptSuggestions,
+  recordFeedback,
+  getFeedbackSignals
+};
@@ -0,0 +1,176 @@
+const Subtask = require('../../models/subtask');
+const { getProjectCategory } = require('./taskSuggestion');
+const { estimateTaskDays, estimateSubtaskDays, getAssigneeExperience, getAssigneeId } = require('./durationPrediction');
+const { getDurationCalibration } = require('./predictionTracking');
+const { PROJECT_PHASES, CATEGORY_PHASES, getTemplatesByCategory } = require('./taskTemplates');
+const { tokenize, fitTfIdf } = require('../../utils/text');
+const { findDuplicateTasks } = require('../../utils/taskDuplicates');
+
+// Subtasks proposed when the request does not say how many
+const DEFAULT_SUBTASK_COUNT = 5;
+
+// Share of a template's title words, weighted by how rare they are among templates,
+// that the task has to mention for the template to be part of its work
+const TEMPLATE_RELEVANCE_THRESHOLD = 0.5;
+
+// Steps any piece of work goes through, used when neither the description nor the templates say more
+const GENERIC_STEPS = [
+  { verb: 'Plan', category: 'planning', phase: 'planning' },
+  { verb: 'Implement', category: 'implementation', phase: 'implementation' },
+  { verb: 'Test', category: 'testing', phase: 'testing' },
+  { verb: 'Review', category: 'review', phase: 'closure' }
+];
+
+// Checklist items in a description: "- item", "* item" or "1. item"
+const LIST_ITEM_PATTERN = /^\s*(?:[-*]|\d+\.)\s+(.+)$/gm;
+
+// Longest title a task can have
+const MAX_TITLE_LENGTH = 100;
+
+const toTitle = text => text.trim().slice(0, MAX_TITLE_LENGTH).trim();
+
+/**
+ * Read the checklist items of a task description
+ * @param {string} description - Task description
+ * @returns {Array<string>} Item texts, in order
+ */
+function getChecklistItems(description) {
+  return [...String(description || '').matchAll(LIST_ITEM_PATTERN)]
+    .map(match => toTitle(match[1]))
+    .filter(Boolean);
+}
+
+/**
+ * Find the templates of a project category that describe part of a task's work
+ * @param {Object} task - Task to break down (title, description)
+ * @param {Array} templates - Task templates of the project's category
+ * @returns {Array} Relevant templates in project phase order
+ */
+function getRelevantTemplates(task, templates) {
+  const templateTokens = templates.map(template => tokenize(template.title));
+  const { terms, idf } = fitTfIdf(templateTokens);
+  const idfByTerm = new Map(terms.map((term, index) => [term, idf[index]]));
+  const taskWords = new Set(tokenize(`${task.title} ${task.description || ''}`));
+
+  const phaseIndex = template => PROJECT_PHASES.indexOf(template.phase || CATEGORY_PHASES[template.category] || 'implementation');
+
+  return templates
+    .map((template, index) => {
+      const words = [...new Set(templateTokens[index])];
+      const total = words.reduce((sum, word) => sum + idfByTerm.get(word), 0);
+      const shared = words.filter(word => taskWords.has(word)).reduce((sum, word) => sum + idfByTerm.get(word), 0);
+      return { template, relevance: total > 0 ? shared / total : 0 };
+    })
+    // A template that is the task itself is not a part of it
+    .filter(({ template, relevance }) =>
+      relevance >= TEMPLATE_RELEVANCE_THRESHOLD && findDuplicateTasks(template.title, [task]).length === 0
+    )
+    .sort((a, b) => phaseIndex(a.template) - phaseIndex(b.template) || b.relevance - a.relevance)
+    .map(({ template }) => ({
+      title: template.title,
+      description: template.description,
+      priority: template.priority,
+      category: template.category,
+      phase: PROJECT_PHASES[phaseIndex(template)],
+      estimatedDays: template.estimatedDays
+    }));
+}
+
+/**
+ * Propose subtasks for a large task: the checklist items of its description, the templates of the
+ * project's category that its title and description mention, or else generic steps (plan, implement,
+ * test, review). Nothing is created; each subtask gets an estimate, and the estimates of the proposed
+ * and the existing open subtasks add up to the predicted duration of the task.
+ * @param {Object} task - Task document
+ * @param {Object} options - Options
+ * @param {number} options.count - Most subtasks to propose (default: 5)
+ * @returns {Promise<Object>} Proposed subtasks, existing open subtasks and the rolled-up prediction
+ */
+async function breakDownTask(task, { count = DEFAULT_SUBTASK_COUNT } = {}) {
+  console.log(`Breaking down task ${task._id} into at most ${count} subtasks`);
+
+  const [projectCategory, templatesByCategory, existingSubtasks, rollup, calibration, experience] = await Promise.all([
+    getProjectCategory(task.project),
+    getTemplatesByCategory(),
+    Subtask.find({ parent: task._id }).populate('task', 'title'),
+    estimateSubtaskDays(task),
+    getDurationCalibration(),
+    getAssigneeExperience([getAssigneeId(task)])
+  ]);
+  const category = projectCategory.category || projectCategory.predicted.category;
+
+  let candidates = [
+    ...getChecklistItems(task.description).map(title => ({
+      title,
+      description: `Part of "${task.title}"`,
+      priority: task.priority,
+      category: null,
+      phase: null,
+      source: 'description'
+    })),
+    ...getRelevantTemplates(task, templatesByCategory[category] || []).map(template => ({
+      title: template.title,
+      description: template.description || `Part of "${task.title}"`,
+      priority: template.priority,
+      category: template.category,
+      phase: template.phase,
+      estimatedDays: template.estimatedDays,
+      source: 'template'
+    }))
+  ];
+  if (candidates.length === 0) {
+    candidates = GENERIC_STEPS.map(step => ({
+      title: toTitle(`${step.verb} ${task.title}`),
+      description: `${step.verb} step of "${task.title}"`,
+      priority: task.priority,
+      category: step.category,
+      phase: step.phase,
+      source: 'generic'
+    }));
+  }
+
+  // Leave out the work the task is already split into, and the same work proposed twice
+  const knownTasks = [task, ...existingSubtasks.filter(subtask => subtask.task).map(subtask => subtask.task)];
+  const proposals = [];
+  candidates.forEach(candidate => {
+    if (proposals.length < count && findDuplicateTasks(candidate.title, [...knownTasks, ...proposals]).length === 0) {
+      proposals.push(candidate);
+    }
+  });
+
+  // Effort set on a template wins over the model's estimate
+  const estimates = proposals.map(proposal =>
+    estimateTaskDays({ ...proposal, status: 'todo', assignedTo: task.assignedTo }, experience.get(getAssigneeId(task)), calibration)
+  );
+  const subtasks = proposals.map((proposal, index) => ({
+    ...proposal,
+    estimatedDays: proposal.estimatedDays || Math.max(0.5, Math.round(estimates[index].predictedDays * 10) / 10)
+  }));
+
+  const predictedDays = Math.round(
+    (subtasks.reduce((sum, subtask) => sum + subtask.estimatedDays, 0) + rollup.predictedDays) * 10
+  ) / 10;
+  const estimatedCompletionDate = new Date();
+  estimatedCompletionDate.setDate(estimatedCompletionDate.getDate() + predictedDays);
+
+  const { method, modelVersion } = estimates[0] || estimateTaskDays(task, experience.get(getAssigneeId(task)));
+
+  console.log(`Proposed ${subtasks.length} subtasks for task "${task.title}", ${predictedDays} days in total`);
+  return {
+    taskId: task._id,
+    taskTitle: task.title,
+    projectCategory: category,
+    subtasks,
+    existingSubtasks: rollup.subtasks,
+    predictedDays,
+    estimatedCompletionDate: estimatedCompletionDate.toISOString().split('T')[0],
+    ...calibration[method],
+    method,
+    modelVersion
+  };
+}
+
+module.exports = {
+  DEFAULT_SUBTASK_COUNT,
+  breakDownTask
+};
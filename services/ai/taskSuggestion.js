@@ -14,243 +14,316 @@ try {
 const Project = require('../../models/project');
 const Task = require('../../models/task');
 const User = require('../../models/user');
+const ProjectCategory = require('../../models/projectCategory');
 const mongoose = require('mongoose');
 const fs = require('fs');
 const path = require('path');
+const { getVersionPath, saveModelVersion, importLegacyModel, getActiveVersion, onActivate } = require('./modelRegistry');
+const { splitTrainingData } = require('./modelEvaluation');
+const { buildConfidence, fromKeywordEvidence } = require('./confidence');
+const { recommendAssignees } = require('./assigneeRecommendation');
+const { estimateTaskDays } = require('./durationPrediction');
+const { saveSuggestions, getFeedbackSignals } = require('./suggestionHistory');
+const { PROJECT_PHASES, CATEGORY_PHASES, getTemplatesByCategory } = require('./taskTemplates');
+const { tokenize, fitTfIdf, toTfIdfVector } = require('../../utils/text');
+const { findDuplicateTasks } = require('../../utils/taskDuplicates');
 
 // Define model directory for saving/loading models
 const MODEL_DIR = path.join(__dirname, '../../models/ai');
 const SUGGESTION_MODEL_PATH = path.join(MODEL_DIR, 'suggestion_model');
 
+// Name of the model in the model registry and the features it is trained on: the TF-IDF weights of the
+// words in a project's name, description and task titles. Each version saves its vocabulary next to it.
+const MODEL_NAME = 'suggestion';
+const FEATURE_SCHEMA = ['projectText'];
+const VECTORIZER_FILE = 'vectorizer.json';
+
+// Features of the model before it read project text; versions trained on them are not served
+const LEGACY_FEATURE_SCHEMA = ['projectStatus', 'progress', 'daysRemaining', 'teamSize', 'existingTaskCount'];
+
 // Ensure the model directory exists
 if (!fs.existsSync(MODEL_DIR)) {
   fs.mkdirSync(MODEL_DIR, { recursive: true });
   console.log(`Created model directory at ${MODEL_DIR}`);
 }
 
-// Model instance
+// Model instance, its registry version and the vocabulary and categories it was trained on
 let suggestionModel;
+let suggestionModelVersion = null;
+let suggestionVectorizer = null;
 
-// Common task templates for various project types
-const TASK_TEMPLATES = {
-  development: [
-    { title: 'Setup development environment', priority: 'high', category: 'setup' },
-    { title: 'Create project structure', priority: 'high', category: 'setup' },
-    { title: 'Setup version control', priority: 'high', category: 'setup' },
-    { title: 'Define API endpoints', priority: 'medium', category: 'planning' },
-    { title: 'Create database schema', priority: 'high', category: 'planning' },
-    { title: 'Implement authentication', priority: 'high', category: 'implementation' },
-    { title: 'Implement user management', priority: 'medium', category: 'implementation' },
-    { title: 'Create frontend components', priority: 'medium', category: 'implementation' },
-    { title: 'Setup CI/CD pipeline', priority: 'medium', category: 'infrastructure' },
-    { title: 'Write unit tests', priority: 'medium', category: 'testing' },
-    { title: 'Perform integration testing', priority: 'medium', category: 'testing' },
-    { title: 'Deploy to staging', priority: 'medium', category: 'deployment' },
-    { title: 'Deploy to production', priority: 'high', category: 'deployment' },
-    { title: 'Write documentation', priority: 'low', category: 'documentation' }
-  ],
-  
-  marketing: [
-    { title: 'Define target audience', priority: 'high', category: 'planning' },
-    { title: 'Conduct market research', priority: 'high', category: 'research' },
-    { title: 'Create marketing strategy', priority: 'high', category: 'planning' },
-    { title: 'Design marketing materials', priority: 'medium', category: 'creation' },
-    { title: 'Setup social media accounts', priority: 'medium', category: 'setup' },
-    { title: 'Create content calendar', priority: 'medium', category: 'planning' },
-    { title: 'Launch social media campaign', priority: 'high', category: 'execution' },
-    { title: 'Monitor campaign performance', priority: 'medium', category: 'monitoring' },
-    { title: 'Create analytical report', priority: 'low', category: 'reporting' }
-  ],
-  
-  general: [
-    { title: 'Define project scope', priority: 'high', category: 'planning' },
-    { title: 'Create project timeline', priority: 'high', category: 'planning' },
-    { title: 'Assign team members', priority: 'high', category: 'planning' },
-    { title: 'Schedule kick-off meeting', priority: 'medium', category: 'communication' },
-    { title: 'Create progress reporting template', priority: 'low', category: 'communication' },
-    { title: 'Conduct weekly status meetings', priority: 'medium', category: 'communication' },
-    { title: 'Review project milestones', priority: 'medium', category: 'monitoring' },
-    { title: 'Prepare final delivery', priority: 'high', category: 'execution' },
-    { title: 'Project retrospective', priority: 'low', category: 'closure' }
-  ]
-};
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-// Project feature encoding maps
-const PROJECT_STATUS_MAP = {
-  'planning': 0,
-  'in-progress': 0.5,
-  'completed': 1,
-  'on-hold': 0.25
+// Words that point to each built-in category, added to the training documents of the category
+const CATEGORY_KEYWORDS = {
+  development: ['develop', 'code', 'program', 'software', 'app', 'application', 'web', 'api', 'database', 'frontend', 'backend'],
+  marketing: ['market', 'campaign', 'content', 'social', 'brand', 'audience', 'promotion', 'advertising', 'seo', 'media'],
+  general: ['project', 'manage', 'plan', 'organize', 'schedule', 'team', 'task', 'document', 'meeting', 'report']
 };
 
-// Project categories (derived from task distribution)
-const PROJECT_CATEGORIES = ['development', 'marketing', 'general'];
+// Most projects with a confirmed category used as training documents, newest first
+const MAX_LABELED_PROJECTS = 500;
+
+// How long loaded project documents are reused before they are read again
+const LABELED_PROJECTS_TTL_MS = 10 * 60 * 1000;
+let labeledProjectsCache = null;
 
 /**
- * Create and train a task suggestion model
- * @returns {Promise<tf.LayersModel>} Trained TensorFlow model
+ * Split a project's name, description and task titles into word stems
+ * @param {Object} project - Project (name, description)
+ * @param {Array} tasks - Tasks of the project (title)
+ * @returns {Array<string>} Word stems
  */
-async function createAndTrainModel() {
-  console.log('Creating and training task suggestion model...');
+function getProjectTokens(project, tasks) {
+  return tokenize([project.name, project.description, ...tasks.map(task => task.title)].join(' '));
+}
+
+/**
+ * Load the projects whose owner set their category, as training documents
+ * @returns {Promise<Array>} Documents ({ tokens, category })
+ */
+async function getLabeledProjectDocuments() {
+  if (labeledProjectsCache && Date.now() - labeledProjectsCache.loadedAt < LABELED_PROJECTS_TTL_MS) {
+    return labeledProjectsCache.documents;
+  }
   
-  // Generate synthetic training data
-  const trainingData = generateSyntheticTrainingData();
+  // Populated projects are null when the project no longer exists
+  const labels = (await ProjectCategory.find()
+    .sort({ updatedAt: -1 })
+    .limit(MAX_LABELED_PROJECTS)
+    .populate('project', 'name description'))
+    .filter(label => label.project);
+  const tasks = await Task.find({ project: { $in: labels.map(label => label.project._id) } }).select('project title');
   
-  // Prepare training data
-  const { xs, ys } = prepareTrainingData(trainingData);
+  const tasksByProject = {};
+  tasks.forEach(task => {
+    (tasksByProject[task.project.toString()] = tasksByProject[task.project.toString()] || []).push(task);
+  });
+  const documents = labels.map(label => ({
+    tokens: getProjectTokens(label.project, tasksByProject[label.project._id.toString()] || []),
+    category: label.category
+  }));
   
-  // Define model architecture
-  const model = tf.sequential();
+  labeledProjectsCache = { documents, loadedAt: Date.now() };
+  return documents;
+}
+
+/**
+ * Build the documents the category classifier learns from: the templates of each project category,
+ * the keywords of the built-in categories and the projects whose owner set their category
+ * @param {Object} templatesByCategory - Project category -> task templates
+ * @returns {Promise<Object>} Documents ({ tokens, category }), the categories and where the documents came from
+ */
+async function loadTrainingDocuments(templatesByCategory) {
+  const categories = Object.keys(templatesByCategory).sort();
+  const documents = [];
   
-  // Input layer with 5 features (project status, progress, days remaining, team size, existing task count)
-  model.add(tf.layers.dense({
-    units: 12,
-    activation: 'relu',
-    inputShape: [5]
-  }));
+  categories.forEach(category => {
+    templatesByCategory[category].forEach(template => {
+      documents.push({
+        tokens: tokenize(`${category} ${template.title} ${template.description || ''} ${template.category}`),
+        category
+      });
+    });
+    if (CATEGORY_KEYWORDS[category]) {
+      documents.push({ tokens: tokenize(CATEGORY_KEYWORDS[category].join(' ')), category });
+    }
+  });
   
-  // Hidden layer
-  model.add(tf.layers.dense({
-    units: 8,
-    activation: 'relu'
-  }));
+  const projectDocuments = (await getLabeledProjectDocuments())
+    .filter(document => categories.includes(document.category));
+  documents.push(...projectDocuments);
+  
+  return {
+    documents,
+    categories,
+    dataSource: projectDocuments.length > 0 ? 'templates-and-projects' : 'templates'
+  };
+}
+
+/**
+ * Encode documents as TF-IDF vectors and one-hot categories
+ * @param {Array} documents - Documents ({ tokens, category })
+ * @param {Object} vectorizer - Vocabulary and categories (terms, idf, categories)
+ * @returns {Object} Object containing input tensors (xs) and output tensors (ys)
+ */
+function prepareTrainingData(documents, vectorizer) {
+  const xs = tf.tensor2d(documents.map(document => toTfIdfVector(document.tokens, vectorizer)));
+  const ys = tf.tensor2d(documents.map(document =>
+    vectorizer.categories.map(category => (category === document.category ? 1 : 0))
+  ));
+  return { xs, ys };
+}
+
+/**
+ * Create and train a project category classifier: a softmax layer over TF-IDF word weights
+ * @param {Object} trainingData - Documents and categories, see loadTrainingDocuments
+ * @returns {Promise<Object>} Trained TensorFlow model and vectorizer with its training metadata (dataSize, loss, dataSource)
+ */
+async function createAndTrainModel({ documents, categories, dataSource }) {
+  console.log(`Creating and training project category model on ${documents.length} documents...`);
+  
+  // Learn the vocabulary from the training documents
+  const vectorizer = { ...fitTfIdf(documents.map(document => document.tokens)), categories };
+  const { xs, ys } = prepareTrainingData(documents, vectorizer);
   
-  // Output layer (3 categories of project types)
+  // One weight per word and category, so the model stays readable and trains on few documents
+  const model = tf.sequential();
   model.add(tf.layers.dense({
-    units: 3,
-    activation: 'softmax'
+    units: categories.length,
+    activation: 'softmax',
+    inputShape: [vectorizer.terms.length],
+    kernelRegularizer: tf.regularizers.l2({ l2: 0.001 })
   }));
   
-  // Compile the model
   model.compile({
-    optimizer: tf.train.adam(0.01),
+    optimizer: tf.train.adam(0.05),
     loss: 'categoricalCrossentropy',
     metrics: ['accuracy']
   });
   
-  // Train the model
-  const epochs = 100;
-  const batchSize = 32;
-  
-  await model.fit(xs, ys, {
-    epochs,
-    batchSize,
+  const history = await model.fit(xs, ys, {
+    epochs: 150,
+    batchSize: 32,
+    shuffle: true,
     callbacks: {
       onEpochEnd: (epoch, logs) => {
-        if (epoch % 10 === 0) {
+        if (epoch % 25 === 0) {
           console.log(`Epoch ${epoch}: loss = ${logs.loss.toFixed(4)}, accuracy = ${logs.acc.toFixed(4)}`);
         }
       }
     }
   });
   
+  xs.dispose();
+  ys.dispose();
+  
   console.log('Model training completed');
-  return model;
+  return {
+    model,
+    vectorizer,
+    dataSize: documents.length,
+    loss: history.history.loss[history.history.loss.length - 1],
+    dataSource
+  };
 }
 
 /**
- * Generate synthetic training data for the model
- * @returns {Array} Array of synthetic training samples
+ * Category probabilities of documents
+ * @param {tf.LayersModel} model - TensorFlow model
+ * @param {Object} vectorizer - Vocabulary and categories the model was trained on
+ * @param {Array<Array<string>>} tokenLists - Tokenized documents
+ * @returns {Array<Array<number>>} Probability of each of vectorizer.categories, per document
  */
-function generateSyntheticTrainingData() {
-  console.log('Generating synthetic training data...');
-  const syntheticData = [];
-  
-  // Generate 300 random project scenarios (100 for each category)
-  for (let category of PROJECT_CATEGORIES) {
-    for (let i = 0; i < 100; i++) {
-      // Generate random project features
-      const status = ['planning', 'in-progress', 'on-hold', 'completed'][Math.floor(Math.random() * 3)];
-      const progress = Math.random(); // 0-1 scale
-      const daysRemaining = Math.floor(Math.random() * 100) + 1; // 1-100 days
-      const teamSize = Math.floor(Math.random() * 10) + 1; // 1-10 members
-      const existingTaskCount = Math.floor(Math.random() * 30); // 0-30 tasks
-      
-      // Adjust features to make them more realistic for each category
-      let adjustedFeatures = {
-        status,
-        progress,
-        daysRemaining,
-        teamSize,
-        existingTaskCount,
-        category
-      };
-      
-      if (category === 'development') {
-        // Development projects tend to have more tasks and larger teams
-        adjustedFeatures.teamSize = Math.min(adjustedFeatures.teamSize + 2, 10);
-        adjustedFeatures.existingTaskCount = Math.min(adjustedFeatures.existingTaskCount + 5, 30);
-      } else if (category === 'marketing') {
-        // Marketing projects tend to have shorter timelines
-        adjustedFeatures.daysRemaining = Math.max(1, adjustedFeatures.daysRemaining - 20);
-      }
-      
-      syntheticData.push(adjustedFeatures);
-    }
-  }
-  
-  console.log(`Generated ${syntheticData.length} synthetic training records`);
-  return syntheticData;
+function predictCategories(model, vectorizer, tokenLists) {
+  return tf.tidy(() => {
+    const xs = tf.tensor2d(tokenLists.map(tokens => toTfIdfVector(tokens, vectorizer)));
+    return model.predict(xs).arraySync();
+  });
 }
 
 /**
- * Prepare training data for TensorFlow model
- * @param {Array} projects - Array of project data
- * @returns {Object} Object containing input tensors (xs) and output tensors (ys)
+ * Category accuracy of a model on documents it has not seen. Documents of categories the model
+ * does not know count as misclassified.
+ * @param {tf.LayersModel} model - TensorFlow model
+ * @param {Object} vectorizer - Vocabulary and categories the model was trained on
+ * @param {Array} testData - Held-out documents ({ tokens, category })
+ * @returns {number} Accuracy (0-1), rounded to 4 decimals
+ */
+function evaluateModel(model, vectorizer, testData) {
+  const probabilities = predictCategories(model, vectorizer, testData.map(document => document.tokens));
+  const correct = testData.filter((document, index) => {
+    const scores = probabilities[index];
+    return vectorizer.categories[scores.indexOf(Math.max(...scores))] === document.category;
+  }).length;
+  return Math.round((correct / testData.length) * 10000) / 10000;
+}
+
+/**
+ * Train a new model version on the current templates and confirmed project categories and
+ * evaluate it on a held-out set, next to the version being served.
+ * The new version is registered inactive so an admin can compare and promote it.
+ * @returns {Promise<Object>} Registered version record with its evaluation metrics
  */
-function prepareTrainingData(projects) {
-  // Extract features and targets
-  const features = [];
-  const targets = [];
+async function retrainModel() {
+  if (!useTensorFlow) {
+    throw new Error('TensorFlow is not available, models cannot be trained');
+  }
   
-  projects.forEach(project => {
-    // Features: status, progress, days remaining, team size, existing task count
-    features.push([
-      PROJECT_STATUS_MAP[project.status] || 0,
-      project.progress,
-      normalizeValue(project.daysRemaining, 0, 100),
-      normalizeValue(project.teamSize, 1, 10),
-      normalizeValue(project.existingTaskCount, 0, 30)
-    ]);
-    
-    // Target: one-hot encoded project category
-    const categoryIndex = PROJECT_CATEGORIES.indexOf(project.category);
-    const oneHotCategory = [0, 0, 0];
-    oneHotCategory[categoryIndex] = 1;
-    targets.push(oneHotCategory);
-  });
+  const { documents, categories, dataSource } = await loadTrainingDocuments(await getTemplatesByCategory());
+  const { train, test } = splitTrainingData(documents);
+  console.log(`Retraining project category model on ${train.length} documents, holding out ${test.length}`);
   
-  // Convert to tensors
-  const xs = tf.tensor2d(features);
-  const ys = tf.tensor2d(targets);
+  const { model, vectorizer, ...metadata } = await createAndTrainModel({ documents: train, categories, dataSource });
+  const metrics = {
+    testSize: test.length,
+    accuracy: evaluateModel(model, vectorizer, test),
+    activeVersion: suggestionModel ? suggestionModelVersion : null,
+    activeVersionAccuracy: suggestionModel ? evaluateModel(suggestionModel, suggestionVectorizer, test) : null
+  };
+  console.log(`New project category model accuracy: ${metrics.accuracy} (active version: ${metrics.activeVersionAccuracy})`);
   
-  return { xs, ys };
+  return saveModel(model, vectorizer, { ...metadata, metrics }, { activate: false });
 }
 
 /**
- * Normalize a value to the range 0-1
- * @param {number} value - Value to normalize
- * @param {number} min - Minimum possible value
- * @param {number} max - Maximum possible value
- * @returns {number} Normalized value between 0-1
+ * Save model and its vocabulary as a new version in the model registry
+ * @param {tf.LayersModel} model - TensorFlow model to save
+ * @param {Object} vectorizer - Vocabulary and categories the model was trained on
+ * @param {Object} metadata - Training metadata (dataSize, loss, dataSource)
+ * @param {Object} options - Registry options (activate)
+ * @returns {Promise<Object>} Version record
  */
-function normalizeValue(value, min, max) {
-  return (value - min) / (max - min);
+async function saveModel(model, vectorizer, metadata = {}, options) {
+  const record = await saveModelVersion(
+    MODEL_NAME,
+    model,
+    { ...metadata, featureSchema: FEATURE_SCHEMA, categories: vectorizer.categories },
+    options
+  );
+  fs.writeFileSync(path.join(getVersionPath(MODEL_NAME, record.version), VECTORIZER_FILE), JSON.stringify(vectorizer));
+  console.log('Model saved successfully');
+  return record;
 }
 
 /**
- * Save model to disk
- * @param {tf.LayersModel} model - TensorFlow model to save
- * @returns {Promise<void>}
+ * Whether a registered version can be served by this code
+ * @param {Object} record - Version record
+ * @returns {boolean} True if the version reads project text
  */
-async function saveModel(model) {
-  console.log(`Saving task suggestion model to ${SUGGESTION_MODEL_PATH}...`);
-  await model.save(`file://${SUGGESTION_MODEL_PATH}`);
-  console.log('Model saved successfully');
+function isCompatibleVersion(record) {
+  return JSON.stringify(record.featureSchema) === JSON.stringify(FEATURE_SCHEMA);
+}
+
+/**
+ * Load a model version and its vocabulary from the registry
+ * @param {Object} record - Version record
+ * @returns {Promise<tf.LayersModel>} TensorFlow model
+ */
+async function loadModelVersion(record) {
+  const versionPath = getVersionPath(MODEL_NAME, record.version);
+  const model = await tf.loadLayersModel(`file://${versionPath}/model.json`);
+  suggestionVectorizer = JSON.parse(fs.readFileSync(path.join(versionPath, VECTORIZER_FILE), 'utf8'));
+  suggestionModelVersion = record.version;
+  console.log(`Project category model version ${record.version} loaded successfully`);
+  return model;
+}
+
+/**
+ * Train a new model and serve it
+ * @returns {Promise<tf.LayersModel>} TensorFlow model
+ */
+async function trainAndSaveModel() {
+  const trainingData = await loadTrainingDocuments(await getTemplatesByCategory());
+  const { model, vectorizer, ...metadata } = await createAndTrainModel(trainingData);
+  const record = await saveModel(model, vectorizer, metadata);
+  suggestionVectorizer = vectorizer;
+  suggestionModelVersion = record.version;
+  return model;
 }
 
 /**
- * Load model from disk or create a new one if not found
+ * Load the active model version or create a new one if not found
  * @returns {Promise<tf.LayersModel>} TensorFlow model
  */
 async function loadOrCreateModel() {
@@ -261,79 +334,242 @@ async function loadOrCreateModel() {
   }
   
   try {
-    console.log(`Attempting to load model from ${SUGGESTION_MODEL_PATH}...`);
-    if (fs.existsSync(`${SUGGESTION_MODEL_PATH}/model.json`)) {
-      const model = await tf.loadLayersModel(`file://${SUGGESTION_MODEL_PATH}/model.json`);
-      console.log('Task suggestion model loaded successfully');
-      return model;
+    // A model saved before the registry existed becomes version 1
+    importLegacyModel(MODEL_NAME, SUGGESTION_MODEL_PATH, { featureSchema: LEGACY_FEATURE_SCHEMA });
+    
+    const activeVersion = getActiveVersion(MODEL_NAME);
+    if (activeVersion && isCompatibleVersion(activeVersion)) {
+      console.log(`Attempting to load project category model version ${activeVersion.version}...`);
+      return await loadModelVersion(activeVersion);
     } else {
-      console.log('No existing task suggestion model found, creating a new one...');
-      const model = await createAndTrainModel();
-      await saveModel(model);
-      return model;
+      console.log('No compatible project category model found, creating a new one...');
+      return await trainAndSaveModel();
     }
   } catch (error) {
-    console.error('Error loading task suggestion model:', error);
-    console.log('Creating a new task suggestion model instead...');
-    const model = await createAndTrainModel();
-    await saveModel(model);
-    return model;
+    console.error('Error loading project category model:', error);
+    console.log('Creating a new project category model instead...');
+    return trainAndSaveModel();
   }
 }
 
+// Serve the version an admin promotes or rolls back to. A version that does not read project
+// text is refused, so the registry keeps the version that is actually served.
+onActivate(MODEL_NAME, async record => {
+  if (!useTensorFlow) {
+    return;
+  }
+  if (!isCompatibleVersion(record)) {
+    throw new Error(`Model version ${record.version} does not read project text and cannot be served`);
+  }
+  suggestionModel = await loadModelVersion(record);
+});
+
 // Initialize model on module load
 (async () => {
   try {
     suggestionModel = await loadOrCreateModel();
-    console.log('Task suggestion model initialized');
+    console.log('Project category model initialized');
   } catch (error) {
-    console.error('Failed to initialize task suggestion model:', error);
+    console.error('Failed to initialize project category model:', error);
   }
 })();
 
 /**
- * Extract features from a project for prediction
- * @param {Object} project - Project object from MongoDB
- * @param {number} existingTaskCount - Number of existing tasks
- * @returns {tf.Tensor2d} Tensor of project features
+ * Guess a project's category from the words of its name, description and task titles. Uses the
+ * TensorFlow model when it knows every category and some of the words; otherwise each word votes
+ * for the category whose training documents weigh it most.
+ * @param {Object} project - Project document
+ * @param {Array} tasks - Tasks of the project
+ * @param {Object} templatesByCategory - Project category -> task templates
+ * @returns {Promise<Object>} Category, method, modelVersion and confidence fields
  */
-function extractProjectFeatures(project, existingTaskCount) {
-  // Extract features
-  const statusValue = PROJECT_STATUS_MAP[project.status] || 0;
+async function classifyProject(project, tasks, templatesByCategory) {
+  const tokens = getProjectTokens(project, tasks);
+  const categories = Object.keys(templatesByCategory);
   
-  // Calculate progress as percentage of days elapsed
-  const startDate = new Date(project.startDate);
-  const endDate = new Date(project.endDate);
-  const now = new Date();
-  const totalDays = (endDate - startDate) / (1000 * 60 * 60 * 24);
-  const daysElapsed = (now - startDate) / (1000 * 60 * 60 * 24);
-  const progress = Math.max(0, Math.min(1, daysElapsed / totalDays));
+  // The model can only answer for categories and words it was trained on
+  const modelKnowsCategories = suggestionVectorizer &&
+    categories.every(category => suggestionVectorizer.categories.includes(category));
+  const modelKnowsWords = suggestionVectorizer && tokens.some(token => suggestionVectorizer.terms.includes(token));
+  if (useTensorFlow && suggestionModel && modelKnowsCategories && modelKnowsWords) {
+    const [scores] = predictCategories(suggestionModel, suggestionVectorizer, [tokens]);
+    const categoryIndex = scores.indexOf(Math.max(...scores));
+    return {
+      category: suggestionVectorizer.categories[categoryIndex],
+      method: 'ml',
+      modelVersion: suggestionModelVersion,
+      // The softmax output is the model's probability for the category
+      ...buildConfidence(scores[categoryIndex], 'model-probability')
+    };
+  }
+  if (useTensorFlow && suggestionModel && !modelKnowsCategories) {
+    console.log(`Project category model version ${suggestionModelVersion} does not know every category, retrain it to use it`);
+  }
   
-  // Calculate days remaining
-  const daysRemaining = Math.max(0, (endDate - now) / (1000 * 60 * 60 * 24));
+  // Weight of each word in each category's documents
+  const { documents } = await loadTrainingDocuments(templatesByCategory);
+  const vectorizer = fitTfIdf(documents.map(document => document.tokens));
+  const categoryWeights = {};
+  categories.forEach(category => {
+    const weights = new Array(vectorizer.terms.length).fill(0);
+    documents
+      .filter(document => document.category === category)
+      .forEach(document => {
+        toTfIdfVector(document.tokens, vectorizer).forEach((weight, index) => {
+          weights[index] += weight;
+        });
+      });
+    categoryWeights[category] = weights;
+  });
   
-  // Team size (including owner)
-  const teamSize = project.members.length + 1;
+  const votes = {};
+  categories.forEach(category => {
+    votes[category] = 0;
+  });
+  const termIndex = new Map(vectorizer.terms.map((term, index) => [term, index]));
+  tokens.forEach(token => {
+    const index = termIndex.get(token);
+    if (index === undefined) return;
+    const best = categories.reduce((a, b) => (categoryWeights[b][index] > categoryWeights[a][index] ? b : a));
+    votes[best]++;
+  });
+  
+  // Without any known words, fall back to general
+  const totalVotes = Object.values(votes).reduce((sum, count) => sum + count, 0);
+  const category = totalVotes > 0
+    ? categories.reduce((a, b) => (votes[b] > votes[a] ? b : a))
+    : 'general';
+  return {
+    category,
+    method: 'heuristic',
+    modelVersion: null,
+    // Confidence grows with the share and the number of words backing the category
+    ...fromKeywordEvidence(votes[category] || 0, totalVotes, Math.max(1, categories.length))
+  };
+}
+
+/**
+ * Get the category the owner set for a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<string|null>} Project category, or null when the owner has not set one
+ */
+async function getOwnerCategory(projectId) {
+  const label = await ProjectCategory.findOne({ project: projectId });
+  return label ? label.category : null;
+}
+
+/**
+ * Guess a project's category, next to the category its owner set
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object>} Project ID, the owner's category (null when not set) and the guess
+ */
+async function getProjectCategory(projectId) {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new Error('Project not found');
+  }
   
-  // Create a tensor with these features
-  return tf.tensor2d([
-    [
-      statusValue,
-      progress,
-      normalizeValue(daysRemaining, 0, 100),
-      normalizeValue(teamSize, 1, 10),
-      normalizeValue(existingTaskCount, 0, 30)
-    ]
+  const [tasks, templatesByCategory, category] = await Promise.all([
+    Task.find({ project: projectId }).select('title'),
+    getTemplatesByCategory(),
+    getOwnerCategory(projectId)
   ]);
+  return {
+    projectId: project._id,
+    category,
+    predicted: await classifyProject(project, tasks, templatesByCategory),
+    categories: Object.keys(templatesByCategory).sort()
+  };
+}
+
+/**
+ * Set the category of a project, or clear it to go back to the guess. The category must have templates.
+ * @param {Object} project - Project document
+ * @param {string|null} category - Project category
+ * @param {string} userId - User setting the category
+ * @returns {Promise<Object>} Project category, see getProjectCategory
+ */
+async function setProjectCategory(project, category, userId) {
+  if (category !== null) {
+    const templatesByCategory = await getTemplatesByCategory();
+    if (!templatesByCategory[category]) {
+      throw new Error(`Unknown project category: ${category}. Must be one of: ${Object.keys(templatesByCategory).sort().join(', ')}`);
+    }
+  }
+  
+  if (category === null) {
+    await ProjectCategory.deleteOne({ project: project._id });
+  } else {
+    await ProjectCategory.findOneAndUpdate(
+      { project: project._id },
+      { category, setBy: userId },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+  
+  // The project is a training document for its category from now on
+  labeledProjectsCache = null;
+  console.log(`Category of project ${project._id} set to ${category}`);
+  return getProjectCategory(project._id);
+}
+
+/**
+ * Plan due dates for suggested tasks. Suggestions are ordered by project phase; each one is due
+ * at the end of its phase's share of the project, but no earlier than the team can finish it
+ * after the project's open work, given the estimated effort of each task (or its predicted duration) and the team size.
+ * @param {Object} project - Project document
+ * @param {Array} templates - Task templates to plan
+ * @param {Array} existingTasks - Tasks already in the project
+ * @returns {Array<Object>} Templates in phase order with phase, estimatedDays and dueDate
+ */
+function planDueDates(project, templates, existingTasks) {
+  const now = new Date();
+  const projectStart = new Date(project.startDate);
+  const projectEnd = new Date(project.endDate);
+  const projectDays = Math.max(0, (projectEnd - projectStart) / DAY_MS);
+  
+  // Members and the owner work in parallel
+  const teamSize = project.members.length + 1;
+  
+  // The team first has to get through the open tasks already in the project
+  let plannedWorkDays = existingTasks
+    .filter(task => task.status !== 'completed')
+    .reduce((sum, task) => sum + Math.max(0, estimateTaskDays(task).predictedDays), 0);
+  const firstDay = Math.max(now.getTime(), projectStart.getTime());
+  
+  const phaseIndex = template => PROJECT_PHASES.indexOf(template.phase || CATEGORY_PHASES[template.category] || 'implementation');
+  
+  return [...templates]
+    .sort((a, b) => phaseIndex(a) - phaseIndex(b))
+    .map(template => {
+      const estimatedDays = template.estimatedDays ||
+        Math.max(0.5, Math.round(estimateTaskDays({ ...template, status: 'todo' }).predictedDays * 10) / 10);
+      plannedWorkDays += estimatedDays;
+      
+      const earliestDue = firstDay + (plannedWorkDays / teamSize) * DAY_MS;
+      const phaseEnd = projectStart.getTime() + ((phaseIndex(template) + 1) / PROJECT_PHASES.length) * projectDays * DAY_MS;
+      
+      // Past the project end only when the team cannot make it in time
+      const dueTime = Math.max(earliestDue, Math.min(phaseEnd, projectEnd.getTime()));
+      
+      return {
+        ...template,
+        phase: PROJECT_PHASES[phaseIndex(template)],
+        estimatedDays,
+        dueDate: new Date(Math.ceil(dueTime / DAY_MS) * DAY_MS)
+      };
+    });
 }
 
 /**
- * Generate task suggestions for a project using TensorFlow
+ * Generate task suggestions for a project from the templates of its category
  * @param {string} projectId - Project ID
  * @param {number} count - Number of tasks to suggest (default: 3)
- * @returns {Promise<Array>} Array of suggested tasks
+ * @param {Object} options - Options
+ * @param {string} options.requestedBy - User the suggestions are made for
+ * @returns {Promise<Array>} Array of suggested tasks, each with the suggestionId to accept it by
  */
-async function suggestTasks(projectId, count = 3) {
+async function suggestTasks(projectId, count = 3, { requestedBy } = {}) {
   console.log(`Suggesting ${count} tasks for project ID: ${projectId}`);
   try {
     // Validate MongoDB ObjectId
@@ -355,103 +591,50 @@ async function suggestTasks(projectId, count = 3) {
     console.log('Fetching existing tasks...');
     const existingTasks = await Task.find({ project: projectId });
     console.log(`Found ${existingTasks.length} existing tasks`);
-    const existingTaskTitles = new Set(existingTasks.map(t => t.title.toLowerCase()));
     
-    let predictedCategory = 'general';
-    let categoryConfidence = 0;
-    let method = 'ml';
+    // Get the task templates of each project category
+    const [templatesByCategory, ownerCategory] = await Promise.all([
+      getTemplatesByCategory(),
+      getOwnerCategory(projectId)
+    ]);
     
-    // Use TensorFlow if available
-    if (useTensorFlow && suggestionModel) {
-      console.log('Using TensorFlow prediction model...');
-      
-      // Make sure model is loaded
-      if (!suggestionModel) {
-        console.log('Model not initialized, loading now...');
-        suggestionModel = await loadOrCreateModel();
-      }
-      
-      // Extract features from project
-      const features = extractProjectFeatures(project, existingTasks.length);
-      
-      // Make prediction to determine project category
-      console.log('Running TensorFlow prediction for project category...');
-      const prediction = suggestionModel.predict(features);
-      const categoryScores = prediction.dataSync();
-      
-      // Get predicted category index
-      const categoryIndex = categoryScores.indexOf(Math.max(...categoryScores));
-      predictedCategory = PROJECT_CATEGORIES[categoryIndex];
-      categoryConfidence = categoryScores[categoryIndex];
-      console.log(`ML predicted project category: ${predictedCategory} (confidence: ${(categoryConfidence * 100).toFixed(2)}%)`);
-      
-      // Cleanup tensors
-      features.dispose();
-      prediction.dispose();
+    // An explicit category set by the project owner wins over the guess
+    let predictedCategory;
+    let categoryConfidence;
+    let method;
+    let modelVersion = null;
+    if (ownerCategory && templatesByCategory[ownerCategory]) {
+      predictedCategory = ownerCategory;
+      categoryConfidence = buildConfidence(1, 'owner');
+      method = 'owner';
+      console.log(`Using project category set by the owner: ${predictedCategory}`);
     } else {
-      console.log('Using heuristic fallback for task suggestions...');
-      method = 'heuristic';
-      
-      // Use a simple keyword-based approach to determine project category
-      const projectDescription = (project.description || '').toLowerCase();
-      const projectName = project.name.toLowerCase();
-      
-      // Count occurrences of category-related keywords
-      const categoryKeywords = {
-        development: ['develop', 'code', 'program', 'software', 'app', 'application', 'web', 'api', 'database', 'frontend', 'backend'],
-        marketing: ['market', 'campaign', 'content', 'social', 'brand', 'audience', 'promotion', 'advertis', 'seo', 'media'],
-        general: ['project', 'manage', 'plan', 'organiz', 'schedule', 'team', 'task', 'document', 'meet', 'report']
-      };
-      
-      const scores = {};
-      for (const [category, keywords] of Object.entries(categoryKeywords)) {
-        scores[category] = keywords.reduce((score, keyword) => {
-          const nameMatches = (projectName.match(new RegExp(keyword, 'g')) || []).length;
-          const descMatches = (projectDescription.match(new RegExp(keyword, 'g')) || []).length;
-          return score + nameMatches * 2 + descMatches; // Name matches count double
-        }, 0);
-      }
-      
-      // Also factor in existing task titles
-      const existingTaskNames = existingTasks.map(t => t.title.toLowerCase()).join(' ');
-      for (const [category, keywords] of Object.entries(categoryKeywords)) {
-        const taskMatches = keywords.reduce((score, keyword) => {
-          const matches = (existingTaskNames.match(new RegExp(keyword, 'g')) || []).length;
-          return score + matches;
-        }, 0);
-        scores[category] += taskMatches;
-      }
-      
-      // Find the category with the highest score
-      let highestScore = 0;
-      for (const [category, score] of Object.entries(scores)) {
-        if (score > highestScore) {
-          highestScore = score;
-          predictedCategory = category;
-        }
-      }
-      
-      // If all scores are 0 or equal, default to general
-      if (highestScore === 0) {
-        predictedCategory = 'general';
+      if (ownerCategory) {
+        console.log(`Project category ${ownerCategory} has no templates anymore, guessing instead...`);
       }
-      
-      // Calculate a simulated confidence
-      const totalScore = Object.values(scores).reduce((sum, score) => sum + score, 0);
-      categoryConfidence = totalScore > 0 ? scores[predictedCategory] / totalScore : 0.5;
-      
-      console.log(`Heuristic predicted project category: ${predictedCategory} (confidence: ${(categoryConfidence * 100).toFixed(2)}%)`);
+      const guess = await classifyProject(project, existingTasks, templatesByCategory);
+      ({ category: predictedCategory, method, modelVersion, ...categoryConfidence } = guess);
+      console.log(`Predicted project category with ${method}: ${predictedCategory} (confidence: ${categoryConfidence.confidence})`);
     }
     
     // Get task templates for predicted category and general tasks
-    const categoryTasks = TASK_TEMPLATES[predictedCategory] || [];
-    const generalTasks = TASK_TEMPLATES.general;
-    const allTaskTemplates = [...categoryTasks, ...generalTasks];
+    const categoryTasks = templatesByCategory[predictedCategory] || [];
+    const generalTasks = predictedCategory === 'general' ? [] : templatesByCategory.general || [];
+    const allTaskTemplates = [...categoryTasks, ...generalTasks].map(template => ({
+      title: template.title,
+      description: template.description,
+      priority: template.priority,
+      category: template.category,
+      phase: template.phase,
+      estimatedDays: template.estimatedDays
+    }));
     
-    // Filter out existing tasks
-    console.log('Filtering out existing tasks...');
+    // Filter out tasks the project already has under a similar title and suggestions the team dismissed or found not relevant
+    console.log('Filtering out existing tasks and rejected suggestions...');
+    const { rejectedTitles, categoryAcceptance } = await getFeedbackSignals(projectId);
     const newTaskTemplates = allTaskTemplates.filter(task => 
-      !existingTaskTitles.has(task.title.toLowerCase())
+      findDuplicateTasks(task.title, existingTasks).length === 0 &&
+      !rejectedTitles.has(task.title.toLowerCase())
     );
     console.log(`${newTaskTemplates.length} new task templates available after filtering`);
     
@@ -468,35 +651,37 @@ async function suggestTasks(projectId, count = 3) {
       console.log(`Added ${genericTasks.length} generic tasks`);
     }
     
+    // Offer templates from categories the team tends to accept first; categories without feedback rank at one half
+    const getAcceptance = task => categoryAcceptance[task.category] || 0.5;
+    newTaskTemplates.sort((a, b) => getAcceptance(b) - getAcceptance(a));
+    
     // Select tasks and enhance with project-specific details
     console.log('Generating final task suggestions...');
-    const suggestedTasks = newTaskTemplates.slice(0, count).map(template => {
-      // Calculate a due date between start and end date
-      const startDate = new Date(project.startDate);
-      const endDate = new Date(project.endDate);
-      const randomDays = Math.floor(Math.random() * 
-        (endDate.getTime() - startDate.getTime()) / (1000 * 60 * 60 * 24));
-      
-      const dueDate = new Date(startDate);
-      dueDate.setDate(dueDate.getDate() + randomDays);
-      
-      // Randomly assign to a team member
-      const assignedTo = project.members.length > 0 
-        ? project.members[Math.floor(Math.random() * project.members.length)]._id
-        : project.owner;
-      
+    const suggestedTasks = planDueDates(project, newTaskTemplates.slice(0, count), existingTasks).map(template => {
       return {
         ...template,
-        description: `AI-suggested task: ${template.title} for project "${project.name}"`,
-        dueDate,
+        description: template.description || `AI-suggested task: ${template.title} for project "${project.name}"`,
         project: projectId,
-        assignedTo,
         createdBy: project.owner,
-        confidence: (categoryConfidence * 100).toFixed(2),
-        method
+        ...categoryConfidence,
+        method,
+        modelVersion
       };
     });
     
+    // Assign each suggestion to the best placed team member, keeping the other candidates
+    const candidates = await recommendAssignees(project, suggestedTasks);
+    suggestedTasks.forEach((task, index) => {
+      task.assignedTo = candidates[index].length > 0 ? candidates[index][0].userId : project.owner;
+      task.assigneeCandidates = candidates[index];
+    });
+    
+    // Keep the suggestions so they can be accepted and acceptance can be measured
+    const savedSuggestions = await saveSuggestions(projectId, suggestedTasks, requestedBy);
+    suggestedTasks.forEach((task, index) => {
+      task.suggestionId = savedSuggestions[index]._id;
+    });
+    
     console.log(`Generated ${suggestedTasks.length} task suggestions for project ${project.name} using ${method}`);
     suggestedTasks.forEach((task, index) => {
       console.log(`Task ${index + 1}: ${task.title} (Due: ${task.dueDate.toISOString().split('T')[0]})`);
@@ -511,7 +696,10 @@ async function suggestTasks(projectId, count = 3) {
 
 module.exports = {
   suggestTasks,
+  getProjectCategory,
+  setProjectCategory,
   // Export for testing/training
   createAndTrainModel,
+  retrainModel,
   saveModel
 }; 
\ No newline at end of file
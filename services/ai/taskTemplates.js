@@ -0,0 +1,237 @@
+const TaskTemplate = require('../../models/taskTemplate');
+const Migration = require('../../models/migration');
+
+// Templates the store starts with, by project category
+const DEFAULT_TASK_TEMPLATES = {
+  development: [
+    { title: 'Setup development environment', priority: 'high', category: 'setup' },
+    { title: 'Create project structure', priority: 'high', category: 'setup' },
+    { title: 'Setup version control', priority: 'high', category: 'setup' },
+    { title: 'Define API endpoints', priority: 'medium', category: 'planning' },
+    { title: 'Create database schema', priority: 'high', category: 'planning' },
+    { title: 'Implement authentication', priority: 'high', category: 'implementation' },
+    { title: 'Implement user management', priority: 'medium', category: 'implementation' },
+    { title: 'Create frontend components', priority: 'medium', category: 'implementation' },
+    { title: 'Setup CI/CD pipeline', priority: 'medium', category: 'infrastructure' },
+    { title: 'Write unit tests', priority: 'medium', category: 'testing' },
+    { title: 'Perform integration testing', priority: 'medium', category: 'testing' },
+    { title: 'Deploy to staging', priority: 'medium', category: 'deployment' },
+    { title: 'Deploy to production', priority: 'high', category: 'deployment' },
+    { title: 'Write documentation', priority: 'low', category: 'documentation' }
+  ],
+  
+  marketing: [
+    { title: 'Define target audience', priority: 'high', category: 'planning' },
+    { title: 'Conduct market research', priority: 'high', category: 'research' },
+    { title: 'Create marketing strategy', priority: 'high', category: 'planning' },
+    { title: 'Design marketing materials', priority: 'medium', category: 'creation' },
+    { title: 'Setup social media accounts', priority: 'medium', category: 'setup' },
+    { title: 'Create content calendar', priority: 'medium', category: 'planning' },
+    { title: 'Launch social media campaign', priority: 'high', category: 'execution' },
+    { title: 'Monitor campaign performance', priority: 'medium', category: 'monitoring' },
+    { title: 'Create analytical report', priority: 'low', category: 'reporting' }
+  ],
+  
+  general: [
+    { title: 'Define project scope', priority: 'high', category: 'planning' },
+    { title: 'Create project timeline', priority: 'high', category: 'planning' },
+    { title: 'Assign team members', priority: 'high', category: 'planning' },
+    { title: 'Schedule kick-off meeting', priority: 'medium', category: 'communication' },
+    { title: 'Create progress reporting template', priority: 'low', category: 'communication' },
+    { title: 'Conduct weekly status meetings', priority: 'medium', category: 'communication' },
+    { title: 'Review project milestones', priority: 'medium', category: 'monitoring' },
+    { title: 'Prepare final delivery', priority: 'high', category: 'execution' },
+    { title: 'Project retrospective', priority: 'low', category: 'closure' }
+  ]
+};
+
+// Phases a project goes through, in order (as the template schema allows them), and the phase of each task template category
+const PROJECT_PHASES = TaskTemplate.schema.path('phase').enumValues;
+const CATEGORY_PHASES = {
+  setup: 'setup',
+  planning: 'planning',
+  research: 'planning',
+  communication: 'planning',
+  implementation: 'implementation',
+  creation: 'implementation',
+  infrastructure: 'implementation',
+  milestone: 'implementation',
+  meeting: 'implementation',
+  testing: 'testing',
+  review: 'testing',
+  deployment: 'deployment',
+  execution: 'deployment',
+  monitoring: 'closure',
+  reporting: 'closure',
+  documentation: 'closure',
+  closure: 'closure'
+};
+
+// Template fields admins can set
+const TEMPLATE_FIELDS = ['projectCategory', 'title', 'description', 'category', 'phase', 'order', 'priority', 'estimatedDays'];
+
+/**
+ * Keep only the template fields admins can set
+ * @param {Object} fields - Requested fields
+ * @returns {Object} Settable fields
+ */
+function pickTemplateFields(fields) {
+  const picked = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) {
+      picked[field] = fields[field];
+    }
+  });
+  return picked;
+}
+
+// Name under which seeding the default templates is recorded
+const SEED_MIGRATION = 'default-task-templates';
+
+// Seeding check shared by concurrent callers; once it succeeds it is not repeated
+let seeding = null;
+
+/**
+ * Fill the store with the default templates the first time it is used, so suggestions work out of
+ * the box. Seeding is recorded, so templates an admin deletes later stay deleted; a store that
+ * already has templates is not seeded.
+ * @returns {Promise<void>}
+ */
+async function ensureDefaultTemplates() {
+  if (!seeding) {
+    seeding = (async () => {
+      // Only the instance that records the migration seeds
+      try {
+        await Migration.create({ name: SEED_MIGRATION });
+      } catch (error) {
+        if (error.code === 11000) {
+          return;
+        }
+        throw error;
+      }
+
+      try {
+        if (await TaskTemplate.countDocuments() > 0) {
+          return;
+        }
+        const templates = Object.entries(DEFAULT_TASK_TEMPLATES).flatMap(([projectCategory, categoryTemplates]) =>
+          categoryTemplates.map((template, index) => ({
+            ...template,
+            projectCategory,
+            phase: CATEGORY_PHASES[template.category] || 'implementation',
+            order: index
+          }))
+        );
+        await TaskTemplate.insertMany(templates);
+        console.log(`Seeded ${templates.length} default task templates`);
+      } catch (error) {
+        // Let the next call try again
+        await Migration.deleteOne({ name: SEED_MIGRATION });
+        throw error;
+      }
+    })().catch(error => {
+      seeding = null;
+      throw error;
+    });
+  }
+  return seeding;
+}
+
+/**
+ * Save a template, reporting a title its project category already has
+ * @param {Object} template - TaskTemplate document
+ * @returns {Promise<void>}
+ */
+async function saveTemplate(template) {
+  try {
+    await template.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new Error(`Project category ${template.projectCategory} already has a template titled "${template.title}"`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List task templates in suggestion order
+ * @param {Object} filter - Filter
+ * @param {string} filter.projectCategory - Only templates of this project category
+ * @returns {Promise<Array>} Task templates
+ */
+async function listTemplates({ projectCategory } = {}) {
+  await ensureDefaultTemplates();
+  const filter = projectCategory ? { projectCategory: projectCategory.toLowerCase() } : {};
+  return TaskTemplate.find(filter).sort({ projectCategory: 1, order: 1, createdAt: 1 });
+}
+
+/**
+ * Get the task templates of every project category
+ * @returns {Promise<Object>} Project category -> templates in suggestion order
+ */
+async function getTemplatesByCategory() {
+  const templates = await listTemplates();
+  const templatesByCategory = {};
+  templates.forEach(template => {
+    (templatesByCategory[template.projectCategory] = templatesByCategory[template.projectCategory] || []).push(template);
+  });
+  return templatesByCategory;
+}
+
+/**
+ * Add a task template. A new project category is added with its first template.
+ * Without a phase, the template is planned in the usual phase of its category.
+ * @param {Object} fields - Template fields
+ * @param {string} userId - Admin adding the template
+ * @returns {Promise<Object>} Created template
+ */
+async function createTemplate(fields, userId) {
+  await ensureDefaultTemplates();
+  const template = new TaskTemplate({ ...pickTemplateFields(fields), createdBy: userId });
+  if (!template.phase) {
+    template.phase = CATEGORY_PHASES[template.category] || 'implementation';
+  }
+  await saveTemplate(template);
+  console.log(`Created task template "${template.title}" for ${template.projectCategory} projects`);
+  return template;
+}
+
+/**
+ * Change a task template
+ * @param {string} templateId - Template ID
+ * @param {Object} fields - Fields to change
+ * @returns {Promise<Object>} Updated template
+ */
+async function updateTemplate(templateId, fields) {
+  const template = await TaskTemplate.findById(templateId);
+  if (!template) {
+    throw new Error('Task template not found');
+  }
+  template.set(pickTemplateFields(fields));
+  await saveTemplate(template);
+  console.log(`Updated task template ${templateId}`);
+  return template;
+}
+
+/**
+ * Delete a task template. A project category is gone once its last template is deleted.
+ * @param {string} templateId - Template ID
+ * @returns {Promise<void>}
+ */
+async function deleteTemplate(templateId) {
+  const template = await TaskTemplate.findByIdAndDelete(templateId);
+  if (!template) {
+    throw new Error('Task template not found');
+  }
+  console.log(`Deleted task template ${templateId}`);
+}
+
+module.exports = {
+  PROJECT_PHASES,
+  CATEGORY_PHASES,
+  listTemplates,
+  getTemplatesByCategory,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+};
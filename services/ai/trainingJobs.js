@@ -0,0 +1,111 @@
+const TrainingJob = require('../../models/trainingJob');
+const { retrainModel: retrainDurationModel } = require('./durationPrediction');
+const { retrainModel: retrainSuggestionModel } = require('./taskSuggestion');
+const { retrainModel: retrainWorkflowModel } = require('./workflowOptimization');
+
+// Function retraining each model; each resolves with the registered (inactive) version record
+const TRAINERS = {
+  duration: retrainDurationModel,
+  suggestion: retrainSuggestionModel,
+  workflow: retrainWorkflowModel
+};
+
+// Jobs only run inside the server process, so any job left unfinished was interrupted by a restart
+TrainingJob.updateMany(
+  { status: { $in: ['queued', 'running'] } },
+  { status: 'failed', active: false, error: 'Interrupted by a server restart', finishedAt: new Date() }
+).catch(error => {
+  console.error('Failed to clean up interrupted training jobs:', error);
+});
+
+/**
+ * Run a training job and record its outcome
+ * @param {Object} job - TrainingJob document
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  try {
+    job.status = 'running';
+    job.startedAt = new Date();
+    await job.save();
+    console.log(`Training job ${job._id} started for ${job.model} model`);
+
+    const record = await TRAINERS[job.model]();
+    job.status = 'completed';
+    job.version = record.version;
+    job.metrics = record.metrics;
+    console.log(`Training job ${job._id} registered ${job.model} model version ${record.version}`);
+  } catch (error) {
+    console.error(`Training job ${job._id} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+}
+
+/**
+ * Start retraining a model in the background
+ * @param {string} name - Model name
+ * @param {string} userId - Admin who requested the job
+ * @returns {Promise<Object>} Queued TrainingJob document
+ */
+async function startTrainingJob(name, userId) {
+  if (!TRAINERS[name]) {
+    throw new Error('Model not found');
+  }
+
+  // A unique index allows one unfinished job per model, even when two requests arrive at once
+  let job;
+  try {
+    job = await TrainingJob.create({ model: name, requestedBy: userId });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new Error(`A training job is already running for the ${name} model`);
+    }
+    throw error;
+  }
+
+  // Respond right away; the job's outcome is saved on the document
+  setImmediate(() => {
+    runJob(job).catch(error => {
+      console.error(`Failed to record outcome of training job ${job._id}:`, error);
+    });
+  });
+
+  return job;
+}
+
+/**
+ * Get a training job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} TrainingJob document
+ */
+async function getTrainingJob(jobId) {
+  const job = await TrainingJob.findById(jobId).populate('requestedBy', 'name email');
+  if (!job) {
+    throw new Error('Training job not found');
+  }
+  return job;
+}
+
+/**
+ * List the most recent training jobs
+ * @param {string} name - Only jobs of this model (optional)
+ * @param {number} limit - Maximum number of jobs
+ * @returns {Promise<Array>} TrainingJob documents, newest first
+ */
+async function listTrainingJobs(name, limit = 20) {
+  const filter = name ? { model: name } : {};
+  return TrainingJob.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('requestedBy', 'name email');
+}
+
+module.exports = {
+  startTrainingJob,
+  getTrainingJob,
+  listTrainingJobs
+};
@@ -14,37 +14,69 @@ try {
 const Task = require('../../models/task');
 const Project = require('../../models/project');
 const User = require('../../models/user');
+const TaskDependency = require('../../models/taskDependency');
+const TaskStatusChange = require('../../models/taskStatusChange');
+const { analyzeDependencyGraph } = require('../../utils/taskGraph');
+const { analyzeTimeInState } = require('../../utils/taskHistory');
 const mongoose = require('mongoose');
 const fs = require('fs');
 const path = require('path');
+const { getVersionPath, saveModelVersion, importLegacyModel, getActiveVersion, onActivate } = require('./modelRegistry');
+const { splitTrainingData, meanAbsoluteError } = require('./modelEvaluation');
+const { buildConfidence, fromSampleSize } = require('./confidence');
+const { recordBottleneckSnapshot } = require('./bottleneckHistory');
+const { getShapleyValues } = require('../../utils/featureAttribution');
 
 // Define model directory for saving/loading models
 const MODEL_DIR = path.join(__dirname, '../../models/ai');
 const WORKFLOW_MODEL_PATH = path.join(MODEL_DIR, 'workflow_model');
 
+// Name of the model in the model registry and the features it is trained on, in order
+const MODEL_NAME = 'workflow';
+const FEATURE_SCHEMA = ['todoRatio', 'inProgressRatio', 'reviewRatio', 'completedRatio', 'teamLoadBalance'];
+
+// Bottleneck scores in the order the model outputs them
+const BOTTLENECK_TYPES = ['resourceBottleneck', 'taskDistribution', 'workflowEfficiency', 'taskDependency', 'priorityAlignment'];
+
+// Features the heuristic scores are computed from
+const HEURISTIC_FEATURES = ['todoRatio', 'inProgressRatio', 'reviewRatio', 'teamLoadBalance', 'highPriorityInProgressRatio'];
+
+// Healthy project that explanations are relative to: evenly loaded team, work spread
+// over the statuses at the ideal ratios and high priority work being worked on
+const REFERENCE_WORKFLOW = {
+  todoRatio: 0.25,
+  inProgressRatio: 0.3,
+  reviewRatio: 0.2,
+  completedRatio: 0.25,
+  teamLoadBalance: 1,
+  highPriorityInProgressRatio: 1
+};
+
 // Ensure the model directory exists
 if (!fs.existsSync(MODEL_DIR)) {
   fs.mkdirSync(MODEL_DIR, { recursive: true });
   console.log(`Created model directory at ${MODEL_DIR}`);
 }
 
-// Model instance
+// Model instance and its registry version
 let workflowModel;
+let workflowModelVersion = null;
 
 // Priority and status encoding maps
 const PRIORITY_MAP = { 'low': 0, 'medium': 0.5, 'high': 1 };
 const STATUS_MAP = { 'todo': 0, 'in-progress': 0.5, 'review': 0.75, 'completed': 1 };
 
+// Days a task should normally spend in progress and in review
+const TARGET_DAYS = { 'in-progress': 5, 'review': 2 };
+
 /**
  * Create and train a workflow optimization model
- * @returns {Promise<tf.LayersModel>} Trained TensorFlow model
+ * @param {Array} trainingData - Workflow records to train on (default: newly generated synthetic data)
+ * @returns {Promise<Object>} Trained TensorFlow model with its training metadata (dataSize, loss, dataSource)
  */
-async function createAndTrainModel() {
+async function createAndTrainModel(trainingData = generateSyntheticTrainingData()) {
   console.log('Creating and training workflow optimization model...');
   
-  // Generate synthetic training data
-  const trainingData = generateSyntheticTrainingData();
-  
   // Prepare training data
   const { xs, ys } = prepareTrainingData(trainingData);
   
@@ -85,7 +117,7 @@ async function createAndTrainModel() {
   const epochs = 100;
   const batchSize = 32;
   
-  await model.fit(xs, ys, {
+  const history = await model.fit(xs, ys, {
     epochs,
     batchSize,
     callbacks: {
@@ -97,8 +129,16 @@ async function createAndTrainModel() {
     }
   });
   
+  xs.dispose();
+  ys.dispose();
+  
   console.log('Model training completed');
-  return model;
+  return {
+    model,
+    dataSize: trainingData.length,
+    loss: history.history.loss[history.history.loss.length - 1],
+    dataSource: 'synthetic'
+  };
 }
 
 /**
@@ -155,8 +195,9 @@ function generateSyntheticTrainingData() {
       workflowEfficiency = Math.random() * 0.4; // Good workflow
     }
     
-    // Task dependency bottleneck (higher = more blocking dependencies)
-    const taskDependencyScore = Math.random(); // Randomize for synthetic data
+    // Task dependency bottleneck is measured on the real dependency graph
+    // (see analyzeDependencyGraph), so the model is not trained to guess it
+    const taskDependencyScore = 0;
     
     // Priority alignment score (higher = more misaligned priorities)
     const priorityAlignmentScore = Math.random(); // Randomize for synthetic data
@@ -224,18 +265,86 @@ function prepareTrainingData(workflows) {
 }
 
 /**
- * Save model to disk
+ * Mean absolute error of the bottleneck scores a model predicts for workflow records it has not seen
+ * @param {tf.LayersModel} model - TensorFlow model
+ * @param {Array} testData - Held-out workflow records
+ * @returns {number} Mean absolute error over all five bottleneck scores
+ */
+function evaluateModel(model, testData) {
+  const { xs, ys } = prepareTrainingData(testData);
+  const prediction = model.predict(xs);
+  const mae = meanAbsoluteError(Array.from(prediction.dataSync()), Array.from(ys.dataSync()));
+  
+  xs.dispose();
+  ys.dispose();
+  prediction.dispose();
+  
+  return mae;
+}
+
+/**
+ * Train a new model version and evaluate it on a held-out set, next to the version being served.
+ * The new version is registered inactive so an admin can compare and promote it.
+ * @returns {Promise<Object>} Registered version record with its evaluation metrics
+ */
+async function retrainModel() {
+  if (!useTensorFlow) {
+    throw new Error('TensorFlow is not available, models cannot be trained');
+  }
+  
+  const { train, test } = splitTrainingData(generateSyntheticTrainingData());
+  console.log(`Retraining workflow model on ${train.length} records, holding out ${test.length}`);
+  
+  const { model, dataSize, loss, dataSource } = await createAndTrainModel(train);
+  const metrics = {
+    testSize: test.length,
+    mae: evaluateModel(model, test),
+    activeVersion: workflowModel ? workflowModelVersion : null,
+    activeVersionMae: workflowModel ? evaluateModel(workflowModel, test) : null
+  };
+  console.log(`New workflow model MAE: ${metrics.mae} (active version: ${metrics.activeVersionMae})`);
+  
+  return saveModel(model, { dataSize, loss, dataSource, metrics }, { activate: false });
+}
+
+/**
+ * Save model as a new version in the model registry
  * @param {tf.LayersModel} model - TensorFlow model to save
- * @returns {Promise<void>}
+ * @param {Object} metadata - Training metadata (dataSize, loss, dataSource)
+ * @param {Object} options - Registry options (activate)
+ * @returns {Promise<Object>} Version record
  */
-async function saveModel(model) {
-  console.log(`Saving workflow optimization model to ${WORKFLOW_MODEL_PATH}...`);
-  await model.save(`file://${WORKFLOW_MODEL_PATH}`);
+async function saveModel(model, metadata = {}, options) {
+  const record = await saveModelVersion(MODEL_NAME, model, { ...metadata, featureSchema: FEATURE_SCHEMA }, options);
   console.log('Model saved successfully');
+  return record;
+}
+
+/**
+ * Load a model version from the registry
+ * @param {Object} record - Version record
+ * @returns {Promise<tf.LayersModel>} TensorFlow model
+ */
+async function loadModelVersion(record) {
+  const model = await tf.loadLayersModel(`file://${getVersionPath(MODEL_NAME, record.version)}/model.json`);
+  workflowModelVersion = record.version;
+  console.log(`Workflow model version ${record.version} loaded successfully`);
+  return model;
+}
+
+/**
+ * Train a new model and serve it
+ * @returns {Promise<tf.LayersModel>} TensorFlow model
+ */
+async function trainAndSaveModel() {
+  const { model, ...metadata } = await createAndTrainModel();
+  const record = await saveModel(model, metadata);
+  workflowModelVersion = record.version;
+  return model;
 }
 
 /**
- * Load model from disk or create a new one if not found
+ * Load the active model version or create a new one if not found
  * @returns {Promise<tf.LayersModel>} TensorFlow model
  */
 async function loadOrCreateModel() {
@@ -246,26 +355,31 @@ async function loadOrCreateModel() {
   }
   
   try {
-    console.log(`Attempting to load model from ${WORKFLOW_MODEL_PATH}...`);
-    if (fs.existsSync(`${WORKFLOW_MODEL_PATH}/model.json`)) {
-      const model = await tf.loadLayersModel(`file://${WORKFLOW_MODEL_PATH}/model.json`);
-      console.log('Workflow optimization model loaded successfully');
-      return model;
+    // A model saved before the registry existed becomes version 1
+    importLegacyModel(MODEL_NAME, WORKFLOW_MODEL_PATH, { featureSchema: FEATURE_SCHEMA });
+    
+    const activeVersion = getActiveVersion(MODEL_NAME);
+    if (activeVersion && JSON.stringify(activeVersion.featureSchema) === JSON.stringify(FEATURE_SCHEMA)) {
+      console.log(`Attempting to load workflow model version ${activeVersion.version}...`);
+      return await loadModelVersion(activeVersion);
     } else {
-      console.log('No existing workflow model found, creating a new one...');
-      const model = await createAndTrainModel();
-      await saveModel(model);
-      return model;
+      console.log('No compatible workflow model found, creating a new one...');
+      return await trainAndSaveModel();
     }
   } catch (error) {
     console.error('Error loading workflow model:', error);
     console.log('Creating a new workflow model instead...');
-    const model = await createAndTrainModel();
-    await saveModel(model);
-    return model;
+    return trainAndSaveModel();
   }
 }
 
+// Serve the version an admin promotes or rolls back to
+onActivate(MODEL_NAME, async record => {
+  if (useTensorFlow) {
+    workflowModel = await loadModelVersion(record);
+  }
+});
+
 // Initialize model on module load
 (async () => {
   try {
@@ -284,6 +398,17 @@ async function loadOrCreateModel() {
  * @returns {tf.Tensor2d} Tensor of project workflow features
  */
 function extractWorkflowFeatures(project, tasks, members) {
+  const features = getWorkflowFeatures(tasks, members);
+  return tf.tensor2d([FEATURE_SCHEMA.map(feature => features[feature])]);
+}
+
+/**
+ * Calculate the workflow features the model is trained on
+ * @param {Array} tasks - Array of tasks for the project
+ * @param {Array} members - Array of team members
+ * @returns {Object} Feature values by name, see FEATURE_SCHEMA
+ */
+function getWorkflowFeatures(tasks, members) {
   // Calculate task distribution by status
   const tasksByStatus = {
     'todo': tasks.filter(t => t.status === 'todo').length,
@@ -322,23 +447,99 @@ function extractWorkflowFeatures(project, tasks, members) {
     teamLoadBalance = maxPossibleStdDev > 0 ? 1 - (stdDev / maxPossibleStdDev) : 0.5;
   }
   
-  return tf.tensor2d([
-    [
-      todoRatio,
-      inProgressRatio,
-      reviewRatio,
-      completedRatio,
-      teamLoadBalance
-    ]
-  ]);
+  return {
+    todoRatio,
+    inProgressRatio,
+    reviewRatio,
+    completedRatio,
+    teamLoadBalance
+  };
+}
+
+/**
+ * Calculate the bottleneck scores that the heuristic derives from project features
+ * (the task dependency score is measured on the dependency graph instead)
+ * @param {Object} features - Feature values by name, see HEURISTIC_FEATURES
+ * @returns {Array<number>} Resource, task distribution, workflow efficiency and priority alignment scores
+ */
+function calculateHeuristicScores(features) {
+  const { todoRatio, inProgressRatio, reviewRatio, teamLoadBalance, highPriorityInProgressRatio } = features;
+  
+  // Resource bottleneck score - higher means more severe bottleneck
+  const resourceBottleneck = 1 - teamLoadBalance;
+  
+  // Task distribution score - higher means worse distribution
+  const maxRatio = Math.max(todoRatio, inProgressRatio, reviewRatio);
+  const taskDistributionScore = maxRatio > 0.5 ? 0.5 + maxRatio * 0.5 : maxRatio;
+  
+  // Workflow efficiency score based on task progression
+  const idealInProgressRatio = 0.3; // 30% of tasks should be in progress in a healthy project
+  const idealReviewRatio = 0.2; // 20% of tasks should be in review in a healthy project
+  const workflowEfficiency = Math.abs(inProgressRatio - idealInProgressRatio) + Math.abs(reviewRatio - idealReviewRatio);
+  
+  // Priority alignment score
+  const priorityAlignmentScore = 1 - highPriorityInProgressRatio;
+  
+  return [resourceBottleneck, taskDistributionScore, workflowEfficiency, priorityAlignmentScore];
+}
+
+/**
+ * Explain bottleneck scores: how much each feature raises or lowers each score compared
+ * with the reference workflow. Scores measured directly (the dependency graph, time spent
+ * in progress and review) are attributed entirely to that measurement.
+ * @param {string} method - Method used for the scores (ml or heuristic)
+ * @param {Object} features - Feature values of the project
+ * @param {Object} measured - Measured scores by bottleneck type, overriding computed ones
+ * @returns {Object} Reference score and feature contributions, largest first, by bottleneck type
+ */
+function explainBottleneckScores(method, features, measured) {
+  let attribution;
+  if (method === 'ml') {
+    attribution = getShapleyValues(rows => {
+      const input = tf.tensor2d(rows.map(row => FEATURE_SCHEMA.map(feature => row[feature])));
+      const prediction = workflowModel.predict(input);
+      const scores = prediction.arraySync();
+      input.dispose();
+      prediction.dispose();
+      return scores;
+    }, features, REFERENCE_WORKFLOW, FEATURE_SCHEMA);
+  } else {
+    attribution = getShapleyValues(rows => rows.map(row => {
+      const [resource, distribution, efficiency, alignment] = calculateHeuristicScores(row);
+      return [resource, distribution, efficiency, 0, alignment];
+    }), features, REFERENCE_WORKFLOW, HEURISTIC_FEATURES);
+  }
+  
+  const round = value => Math.round(value * 100) / 100;
+  const explanation = {};
+  BOTTLENECK_TYPES.forEach((type, index) => {
+    if (measured[type]) {
+      explanation[type] = {
+        referenceScore: 0,
+        contributions: [{ feature: measured[type].feature, value: round(measured[type].score), contribution: round(measured[type].score) }]
+      };
+      return;
+    }
+    
+    explanation[type] = {
+      referenceScore: round(attribution.reference[index]),
+      contributions: Object.entries(attribution.contributions)
+        .map(([feature, values]) => ({ feature, value: round(features[feature]), contribution: round(values[index]) }))
+        .filter(contribution => contribution.contribution !== 0)
+        .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+    };
+  });
+  return explanation;
 }
 
 /**
  * Analyze the current workflow and provide optimization recommendations using TensorFlow
  * @param {string} projectId - Project ID
+ * @param {Object} options - Options
+ * @param {boolean} options.explain - Include the contribution of each feature to each bottleneck score
  * @returns {Promise<Object>} Workflow analysis and recommendations
  */
-async function optimizeWorkflow(projectId) {
+async function optimizeWorkflow(projectId, { explain = false } = {}) {
   console.log(`Optimizing workflow for project ID: ${projectId}`);
   try {
     // Validate MongoDB ObjectId
@@ -361,6 +562,15 @@ async function optimizeWorkflow(projectId) {
     const tasks = await Task.find({ project: projectId });
     console.log(`Found ${tasks.length} tasks`);
     
+    const dependencies = await TaskDependency.find({ project: projectId });
+    const dependencyAnalysis = analyzeDependencyGraph(tasks, dependencies);
+    console.log(`Dependency graph: ${dependencies.length} dependencies, ${dependencyAnalysis.blockedTasks.length} blocked tasks, longest chain ${dependencyAnalysis.longestChain}`);
+    
+    const statusChanges = await TaskStatusChange.find({ project: projectId }).sort({ createdAt: 1 });
+    const timeInState = analyzeTimeInState(tasks, statusChanges);
+    const workflowEfficiencyFromHistory = getWorkflowEfficiencyFromHistory(timeInState);
+    console.log('Average days in status:', timeInState.averageDays);
+    
     const teamMembers = await User.find({
       _id: { $in: [...project.members, project.owner] }
     });
@@ -399,6 +609,7 @@ async function optimizeWorkflow(projectId) {
     });
     
     let bottleneckScores;
+    let features;
     let method = 'ml';
     
     // Make sure model is loaded - use TensorFlow if available
@@ -406,15 +617,24 @@ async function optimizeWorkflow(projectId) {
       console.log('Using TensorFlow prediction model...');
       
       // Extract features
-      const features = extractWorkflowFeatures(project, tasks, teamMembers);
+      features = getWorkflowFeatures(tasks, teamMembers);
+      const input = extractWorkflowFeatures(project, tasks, teamMembers);
       
       // Make prediction
       console.log('Running TensorFlow prediction for workflow optimization...');
-      const prediction = workflowModel.predict(features);
-      bottleneckScores = prediction.dataSync();
+      const prediction = workflowModel.predict(input);
+      bottleneckScores = Array.from(prediction.dataSync());
+      
+      // The model does not see the dependency graph, so use the measured score
+      bottleneckScores[3] = dependencyAnalysis.score;
+      
+      // Prefer time actually spent in progress and review over the model's status-ratio estimate
+      if (workflowEfficiencyFromHistory !== null) {
+        bottleneckScores[2] = workflowEfficiencyFromHistory;
+      }
       
       // Cleanup tensors
-      features.dispose();
+      input.dispose();
       prediction.dispose();
     } else {
       console.log('Using heuristic fallback for workflow optimization...');
@@ -424,7 +644,6 @@ async function optimizeWorkflow(projectId) {
       const todoRatio = tasksByStatus.todo / totalTasks || 0;
       const inProgressRatio = tasksByStatus['in-progress'] / totalTasks || 0;
       const reviewRatio = tasksByStatus.review / totalTasks || 0;
-      const completedRatio = tasksByStatus.completed / totalTasks || 0;
       
       // Calculate team load balance
       const assignedTaskCounts = Object.values(taskAssignments).map(member => member.assignedTasks);
@@ -433,33 +652,22 @@ async function optimizeWorkflow(projectId) {
       const avgTasks = assignedTaskCounts.reduce((sum, count) => sum + count, 0) / teamMembers.length;
       const teamLoadBalance = maxTasks === minTasks ? 1 : 1 - ((maxTasks - avgTasks) / maxTasks);
       
-      // Resource bottleneck score - higher means more severe bottleneck
-      const resourceBottleneck = 1 - teamLoadBalance;
-      
-      // Task distribution score - higher means worse distribution
-      const maxRatio = Math.max(todoRatio, inProgressRatio, reviewRatio);
-      const taskDistributionScore = maxRatio > 0.5 ? 0.5 + maxRatio * 0.5 : maxRatio;
-      
-      // Workflow efficiency score - based on task progression
-      const idealInProgressRatio = 0.3; // 30% of tasks should be in progress in a healthy project
-      const idealReviewRatio = 0.2; // 20% of tasks should be in review in a healthy project
-      const workflowEfficiency = Math.abs(inProgressRatio - idealInProgressRatio) + 
-                                Math.abs(reviewRatio - idealReviewRatio);
-      
-      // Task dependency score - simplified for heuristic approach
-      const taskDependencyScore = 0.5; // Default medium score since we can't easily determine this
-      
-      // Priority alignment score
+      // Share of high priority tasks being worked on (counts as aligned when there are none)
       const highPriorityTasks = tasks.filter(t => t.priority === 'high');
       const highPriorityInProgress = highPriorityTasks.filter(t => t.status === 'in-progress').length;
-      const priorityAlignmentScore = highPriorityTasks.length > 0 ? 
-                                    1 - (highPriorityInProgress / highPriorityTasks.length) : 0;
+      const highPriorityInProgressRatio = highPriorityTasks.length > 0 ? highPriorityInProgress / highPriorityTasks.length : 1;
+      
+      features = { todoRatio, inProgressRatio, reviewRatio, teamLoadBalance, highPriorityInProgressRatio };
+      const [resourceBottleneck, taskDistributionScore, workflowEfficiency, priorityAlignmentScore] =
+        calculateHeuristicScores(features);
       
       bottleneckScores = [
         resourceBottleneck,
         taskDistributionScore,
-        workflowEfficiency,
-        taskDependencyScore,
+        // Measured from status history when there is any, otherwise based on task progression
+        workflowEfficiencyFromHistory !== null ? workflowEfficiencyFromHistory : workflowEfficiency,
+        // Task dependency score - measured on the project's dependency graph
+        dependencyAnalysis.score,
         priorityAlignmentScore
       ];
       
@@ -481,12 +689,12 @@ async function optimizeWorkflow(projectId) {
       workflowEfficiency: {
         score: bottleneckScores[2],
         level: getBottleneckLevel(bottleneckScores[2]),
-        description: getWorkflowEfficiencyDescription(bottleneckScores[2], tasksByStatus)
+        description: getWorkflowEfficiencyDescription(bottleneckScores[2], tasksByStatus, timeInState)
       },
       taskDependency: {
         score: bottleneckScores[3],
         level: getBottleneckLevel(bottleneckScores[3]),
-        description: "Task dependency analysis based on project structure"
+        description: getTaskDependencyDescription(bottleneckScores[3], dependencyAnalysis)
       },
       priorityAlignment: {
         score: bottleneckScores[4],
@@ -495,8 +703,19 @@ async function optimizeWorkflow(projectId) {
       }
     };
     
+    if (explain) {
+      const measured = { taskDependency: { feature: 'dependencyGraph', score: bottleneckScores[3] } };
+      if (workflowEfficiencyFromHistory !== null) {
+        measured.workflowEfficiency = { feature: 'timeInState', score: workflowEfficiencyFromHistory };
+      }
+      const explanation = explainBottleneckScores(method, features, measured);
+      BOTTLENECK_TYPES.forEach(type => {
+        bottleneckAnalysis[type].explanation = explanation[type];
+      });
+    }
+    
     // Generate optimization recommendations
-    const recommendations = generateRecommendations(bottleneckAnalysis, tasks, taskAssignments);
+    const recommendations = generateRecommendations(bottleneckAnalysis, tasks, taskAssignments, dependencyAnalysis, timeInState);
     
     // Generate summary insights
     const insights = generateInsights(bottleneckAnalysis, tasksByStatus, daysRemaining, projectProgress);
@@ -506,18 +725,33 @@ async function optimizeWorkflow(projectId) {
       projectId,
       projectName: project.name,
       analysisDate: new Date().toISOString(),
+      ...getWorkflowConfidence(method, totalTasks),
       method,
+      modelVersion: method === 'ml' ? workflowModelVersion : null,
       metrics: {
         taskDistribution: tasksByStatus,
         progress: projectProgress,
         daysRemaining,
-        teamWorkload: taskAssignments
+        teamWorkload: taskAssignments,
+        dependencies: {
+          total: dependencies.length,
+          blockedTasks: dependencyAnalysis.blockedTasks.length,
+          longestBlockedChain: dependencyAnalysis.longestChain,
+          hubs: dependencyAnalysis.hubs
+        },
+        timeInState: {
+          averageDays: timeInState.averageDays,
+          sampleSize: timeInState.sampleSize,
+          stuckTasks: getStuckTasks(timeInState)
+        }
       },
       bottleneckAnalysis,
       recommendations,
       insights
     };
     
+    // Keep the day's scores to follow the bottlenecks over time
+    await recordBottleneckSnapshot(projectId, result);
     return result;
   } catch (error) {
     console.error('Error in workflow optimization:', error);
@@ -525,6 +759,63 @@ async function optimizeWorkflow(projectId) {
   }
 }
 
+/**
+ * Confidence in a workflow analysis. The scores are ratios measured on the project's tasks,
+ * so confidence grows with the number of tasks; ML scores are also no better than the
+ * served model's held-out error, when it has been evaluated.
+ * @param {string} method - Method used for the bottleneck scores (ml or heuristic)
+ * @param {number} taskCount - Number of tasks in the project
+ * @returns {Object} Confidence fields, see confidence.js
+ */
+function getWorkflowConfidence(method, taskCount) {
+  const confidence = fromSampleSize(taskCount);
+  if (method !== 'ml') {
+    return confidence;
+  }
+  
+  const activeVersion = getActiveVersion(MODEL_NAME);
+  const evaluation = activeVersion && activeVersion.metrics;
+  if (evaluation && typeof evaluation.mae === 'number' && 1 - evaluation.mae < confidence.confidence) {
+    return buildConfidence(1 - evaluation.mae, 'evaluation', evaluation.testSize);
+  }
+  return confidence;
+}
+
+/**
+ * Open tasks that have been in progress or in review for longer than normal
+ * @param {Object} timeInState - Time-in-state analysis of the project
+ * @returns {Array} Stuck tasks, longest first
+ */
+function getStuckTasks(timeInState) {
+  return timeInState.openTasks.filter(task =>
+    TARGET_DAYS[task.status] !== undefined && task.days > TARGET_DAYS[task.status]
+  );
+}
+
+/**
+ * Calculate the workflow efficiency bottleneck score from the time tasks spend in progress and in review
+ * @param {Object} timeInState - Time-in-state analysis of the project
+ * @returns {number|null} Bottleneck score (0-1), or null when no status history has been recorded
+ */
+function getWorkflowEfficiencyFromHistory(timeInState) {
+  const { averageDays, openTasks } = timeInState;
+  const hasFinishedPeriods = averageDays['in-progress'] !== undefined || averageDays.review !== undefined;
+  const activeTasks = openTasks.filter(task => TARGET_DAYS[task.status] !== undefined);
+  
+  if (!hasFinishedPeriods && activeTasks.length === 0) {
+    return null;
+  }
+  
+  // How far past the target tasks usually stay in review and in progress (1 = twice the target or worse)
+  const overTarget = status => averageDays[status] !== undefined
+    ? Math.min(1, Math.max(0, averageDays[status] / TARGET_DAYS[status] - 1))
+    : 0;
+  const stuckShare = activeTasks.length > 0 ? getStuckTasks(timeInState).length / activeTasks.length : 0;
+  
+  const score = overTarget('review') * 0.4 + overTarget('in-progress') * 0.3 + stuckShare * 0.3;
+  return Math.round(score * 100) / 100;
+}
+
 /**
  * Get the bottleneck level category based on score
  * @param {number} score - Bottleneck score (0-1)
@@ -618,9 +909,15 @@ function getTaskDistributionDescription(score, tasksByStatus) {
  * Generate description for workflow efficiency bottleneck
  * @param {number} score - Bottleneck score
  * @param {Object} tasksByStatus - Task counts by status
+ * @param {Object} timeInState - Time-in-state analysis of the project
  * @returns {string} Description of workflow efficiency
  */
-function getWorkflowEfficiencyDescription(score, tasksByStatus) {
+function getWorkflowEfficiencyDescription(score, tasksByStatus, timeInState) {
+  const averageReviewDays = timeInState.averageDays.review;
+  if (score >= 0.3 && averageReviewDays !== undefined && averageReviewDays > TARGET_DAYS.review) {
+    return `Tasks spend ${averageReviewDays} days in review on average (target: ${TARGET_DAYS.review}), creating a bottleneck in the workflow.`;
+  }
+  
   if (score < 0.3) {
     return "Workflow is operating efficiently with good progression of tasks through all stages.";
   } else if (score < 0.6) {
@@ -639,6 +936,30 @@ function getWorkflowEfficiencyDescription(score, tasksByStatus) {
   }
 }
 
+/**
+ * Generate description for task dependency bottleneck
+ * @param {number} score - Bottleneck score
+ * @param {Object} dependencyAnalysis - Analysis of the task dependency graph
+ * @returns {string} Description of task dependency bottleneck
+ */
+function getTaskDependencyDescription(score, dependencyAnalysis) {
+  const { blockedTasks, longestChain, hubs } = dependencyAnalysis;
+  
+  if (blockedTasks.length === 0) {
+    return "No open tasks are blocked by unfinished dependencies.";
+  }
+  
+  if (score < 0.3) {
+    return `${blockedTasks.length} open tasks are waiting on other tasks, but dependencies are not holding up the project.`;
+  } else if (score < 0.6) {
+    return `${blockedTasks.length} open tasks are blocked by unfinished dependencies, with chains up to ${longestChain} tasks long.`;
+  } else if (hubs.length > 0) {
+    return `Significant dependency bottleneck detected. "${hubs[0].title}" is blocking ${hubs[0].blockedTasks} tasks and ${blockedTasks.length} open tasks are blocked in total.`;
+  } else {
+    return `Significant dependency bottleneck detected. ${blockedTasks.length} open tasks are blocked, with chains up to ${longestChain} tasks long.`;
+  }
+}
+
 /**
  * Generate description for priority alignment issues
  * @param {number} score - Bottleneck score
@@ -672,9 +993,11 @@ function getPriorityAlignmentDescription(score, tasks) {
  * @param {Object} bottleneckAnalysis - Analysis of project bottlenecks
  * @param {Array} tasks - Project tasks
  * @param {Object} taskAssignments - Task assignments by team member
+ * @param {Object} dependencyAnalysis - Analysis of the task dependency graph
+ * @param {Object} timeInState - Time-in-state analysis of the project
  * @returns {Array} List of optimization recommendations
  */
-function generateRecommendations(bottleneckAnalysis, tasks, taskAssignments) {
+function generateRecommendations(bottleneckAnalysis, tasks, taskAssignments, dependencyAnalysis, timeInState) {
   const recommendations = [];
   
   // Resource bottleneck recommendations
@@ -754,6 +1077,36 @@ function generateRecommendations(bottleneckAnalysis, tasks, taskAssignments) {
         action: 'limit_wip'
       });
     }
+    
+    const stuckInReview = getStuckTasks(timeInState).filter(task => task.status === 'review');
+    if (stuckInReview.length > 0) {
+      recommendations.push({
+        type: 'process',
+        priority: bottleneckAnalysis.workflowEfficiency.level,
+        description: `Review the ${stuckInReview.length} tasks waiting in review for more than ${TARGET_DAYS.review} days, starting with "${stuckInReview[0].title}" (${stuckInReview[0].days} days)`,
+        action: 'speed_up_reviews'
+      });
+    }
+  }
+  
+  // Task dependency recommendations
+  if (bottleneckAnalysis.taskDependency.level === 'high' || bottleneckAnalysis.taskDependency.level === 'medium') {
+    if (dependencyAnalysis.hubs.length > 0) {
+      const hub = dependencyAnalysis.hubs[0];
+      recommendations.push({
+        type: 'dependency',
+        priority: bottleneckAnalysis.taskDependency.level,
+        description: `Prioritize "${hub.title}", which is blocking ${hub.blockedTasks} other tasks`,
+        action: 'unblock_dependencies'
+      });
+    } else {
+      recommendations.push({
+        type: 'dependency',
+        priority: bottleneckAnalysis.taskDependency.level,
+        description: `Break up the dependency chain of ${dependencyAnalysis.longestChain} tasks so more work can proceed in parallel`,
+        action: 'parallelize_work'
+      });
+    }
   }
   
   // Priority alignment recommendations
@@ -854,5 +1207,6 @@ module.exports = {
   optimizeWorkflow,
   // Export for testing/training
   createAndTrainModel,
+  retrainModel,
   saveModel
 }; 
\ No newline at end of file
@@ -27,6 +27,91 @@ const options = {
           description: 'Enter JWT token in the format: Bearer {token}'
         }
       },
+      parameters: {
+        PageParam: {
+          in: 'query',
+          name: 'page',
+          schema: {
+            type: 'integer',
+            minimum: 1,
+            default: 1,
+          },
+          description: 'Page number',
+        },
+        LimitParam: {
+          in: 'query',
+          name: 'limit',
+          schema: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 100,
+            default: 20,
+          },
+          description: 'Number of items per page',
+        },
+        SearchParam: {
+          in: 'query',
+          name: 'search',
+          schema: {
+            type: 'string',
+            maxLength: 100,
+          },
+          description: 'Case-insensitive free-text search',
+        },
+        TaskSortParam: {
+          in: 'query',
+          name: 'sort',
+          schema: {
+            type: 'string',
+            example: '-dueDate,title',
+          },
+          description: 'Comma separated sort fields (title, status, dueDate, createdAt, updatedAt), prefix with - for descending',
+        },
+        TaskStatusParam: {
+          in: 'query',
+          name: 'status',
+          schema: {
+            type: 'string',
+            example: 'todo,in-progress',
+          },
+          description: 'Comma separated task statuses (todo, in-progress, review, completed)',
+        },
+        TaskPriorityParam: {
+          in: 'query',
+          name: 'priority',
+          schema: {
+            type: 'string',
+            example: 'high',
+          },
+          description: 'Comma separated task priorities (low, medium, high)',
+        },
+        AssignedToParam: {
+          in: 'query',
+          name: 'assignedTo',
+          schema: {
+            type: 'string',
+          },
+          description: 'Only tasks assigned to this user ID',
+        },
+        DueFromParam: {
+          in: 'query',
+          name: 'dueFrom',
+          schema: {
+            type: 'string',
+            format: 'date',
+          },
+          description: 'Only tasks due on or after this date',
+        },
+        DueToParam: {
+          in: 'query',
+          name: 'dueTo',
+          schema: {
+            type: 'string',
+            format: 'date',
+          },
+          description: 'Only tasks due on or before this date',
+        },
+      },
       schemas: {
         Project: {
           type: 'object',
@@ -117,6 +202,67 @@ const options = {
             },
           },
         },
+        PaginatedResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true,
+            },
+            count: {
+              type: 'integer',
+              description: 'Number of items in this page',
+            },
+            total: {
+              type: 'integer',
+              description: 'Total number of matching items',
+            },
+            page: {
+              type: 'integer',
+              description: 'Current page number',
+            },
+            pages: {
+              type: 'integer',
+              description: 'Total number of pages',
+            },
+          },
+        },
+        ProjectList: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/PaginatedResponse',
+            },
+            {
+              type: 'object',
+              properties: {
+                data: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/Project',
+                  },
+                },
+              },
+            },
+          ],
+        },
+        TaskList: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/PaginatedResponse',
+            },
+            {
+              type: 'object',
+              properties: {
+                data: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/Task',
+                  },
+                },
+              },
+            },
+          ],
+        },
         User: {
           type: 'object',
           required: ['name', 'email', 'password'],
@@ -177,9 +323,73 @@ const options = {
             },
           },
         },
+        ConfidenceBasis: {
+          type: 'object',
+          description: 'What a confidence score was computed from',
+          properties: {
+            source: {
+              type: 'string',
+              enum: ['history', 'prior', 'model-probability', 'keyword-evidence', 'sample-size', 'evaluation', 'owner'],
+              description: 'history: past predictions compared with actual outcomes; prior: no history yet; model-probability: the model output probability; keyword-evidence: keyword matches; sample-size: number of items measured; evaluation: held-out model error; owner: set by the project owner',
+            },
+            sampleSize: {
+              type: 'integer',
+              nullable: true,
+              description: 'Number of observations behind the score',
+            },
+          },
+        },
+        AssigneeCandidate: {
+          type: 'object',
+          properties: {
+            userId: {
+              type: 'string',
+            },
+            name: {
+              type: 'string',
+            },
+            role: {
+              type: 'string',
+              enum: ['owner', 'manager', 'contributor'],
+              description: 'Project role',
+            },
+            score: {
+              type: 'number',
+              description: 'Fit for the task (0-1) from open workload, track record on similar tasks and due date conflicts',
+            },
+            openTasks: {
+              type: 'integer',
+              description: 'Open tasks assigned to the member across all projects',
+            },
+            estimatedRemainingHours: {
+              type: 'integer',
+              description: 'Predicted work left on the open tasks, in hours',
+            },
+            similarTaskCompletionRate: {
+              type: 'number',
+              nullable: true,
+              description: 'Share of similar tasks assigned to the member that were completed (null when there are none)',
+            },
+            dueDateConflicts: {
+              type: 'integer',
+              description: 'Open tasks due within 3 days of the suggested due date',
+            },
+            reasons: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              description: 'Plain language reasons behind the score',
+            },
+          },
+        },
         TaskSuggestion: {
           type: 'object',
           properties: {
+            suggestionId: {
+              type: 'string',
+              description: 'ID to accept the suggestion by with POST /api/ai/tasks/suggest/{projectId}/accept',
+            },
             title: {
               type: 'string',
               description: 'Suggested task title',
@@ -198,10 +408,23 @@ const options = {
               enum: ['todo'],
               description: 'Initial task status (always todo)',
             },
+            category: {
+              type: 'string',
+              description: 'Template category (setup, planning, testing, ...)',
+            },
+            phase: {
+              type: 'string',
+              enum: ['setup', 'planning', 'implementation', 'testing', 'deployment', 'closure'],
+              description: 'Project phase of the task; suggestions are returned in phase order',
+            },
+            estimatedDays: {
+              type: 'number',
+              description: 'Predicted duration of the task',
+            },
             dueDate: {
               type: 'string',
               format: 'date',
-              description: 'AI-calculated due date',
+              description: 'End of the task phase within the project, or later if the team cannot finish it by then given its open work and size',
             },
             project: {
               type: 'string',
@@ -209,20 +432,178 @@ const options = {
             },
             assignedTo: {
               type: 'string',
-              description: 'AI-recommended team member for the task',
+              description: 'Best placed team member for the task (the first of assigneeCandidates)',
+            },
+            assigneeCandidates: {
+              type: 'array',
+              description: 'Team members who could take the task, best first. Viewers are not candidates',
+              items: {
+                $ref: '#/components/schemas/AssigneeCandidate',
+              },
             },
             createdBy: {
               type: 'string',
               description: 'Project owner ID',
             },
             confidence: {
-              type: 'string',
-              description: 'Confidence score for the suggestion (0-100)',
+              type: 'number',
+              description: 'Confidence in the predicted project category the suggestion is based on (0-1)',
+            },
+            confidenceBasis: {
+              $ref: '#/components/schemas/ConfidenceBasis',
             },
             method: {
               type: 'string',
-              enum: ['ml', 'heuristic'],
-              description: 'Method used for suggestion (ml = TensorFlow ML, heuristic = rule-based fallback)',
+              enum: ['ml', 'heuristic', 'owner'],
+              description: 'How the project category was determined (ml = TensorFlow text classifier, heuristic = word votes, owner = set by the project owner)',
+            },
+            modelVersion: {
+              type: 'integer',
+              nullable: true,
+              description: 'Registry version of the model that made the prediction (null for heuristic results)',
+            },
+          },
+        },
+        ProjectCategory: {
+          type: 'object',
+          properties: {
+            projectId: {
+              type: 'string',
+              description: 'Project ID',
+            },
+            category: {
+              type: 'string',
+              nullable: true,
+              description: 'Category set by the project owner (null when not set)',
+            },
+            predicted: {
+              type: 'object',
+              description: 'Category guessed from the project name, description and task titles',
+              properties: {
+                category: {
+                  type: 'string',
+                  description: 'Guessed category',
+                },
+                method: {
+                  type: 'string',
+                  enum: ['ml', 'heuristic'],
+                  description: 'ml = TensorFlow text classifier, heuristic = word votes',
+                },
+                modelVersion: {
+                  type: 'integer',
+                  nullable: true,
+                  description: 'Registry version of the model that made the prediction (null for heuristic results)',
+                },
+                confidence: {
+                  type: 'number',
+                  description: 'Confidence in the guessed category (0-1)',
+                },
+                confidenceBasis: {
+                  $ref: '#/components/schemas/ConfidenceBasis',
+                },
+              },
+            },
+            categories: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              description: 'Project categories with task templates',
+            },
+          },
+        },
+        TaskTemplateInput: {
+          type: 'object',
+          required: ['projectCategory', 'title', 'category'],
+          properties: {
+            projectCategory: {
+              type: 'string',
+              description: 'Project category the template is suggested for, e.g. development or data-science',
+            },
+            title: {
+              type: 'string',
+              maxLength: 100,
+              description: 'Title of the suggested task',
+            },
+            description: {
+              type: 'string',
+              description: 'Description of the suggested task; a generated one is used when empty',
+            },
+            category: {
+              type: 'string',
+              description: 'Kind of work, e.g. setup, planning or testing',
+            },
+            phase: {
+              type: 'string',
+              enum: ['setup', 'planning', 'implementation', 'testing', 'deployment', 'closure'],
+              description: 'Project phase the task is planned in; defaults to the usual phase of its category',
+            },
+            order: {
+              type: 'integer',
+              default: 0,
+              description: 'Position among the templates of the project category; lower comes first',
+            },
+            priority: {
+              type: 'string',
+              enum: ['low', 'medium', 'high'],
+              default: 'medium',
+              description: 'Default priority of the suggested task',
+            },
+            estimatedDays: {
+              type: 'number',
+              minimum: 0.5,
+              description: 'Estimated effort in days; the predicted duration is used when not set',
+            },
+          },
+        },
+        TaskTemplate: {
+          allOf: [
+            {
+              $ref: '#/components/schemas/TaskTemplateInput',
+            },
+            {
+              type: 'object',
+              properties: {
+                _id: {
+                  type: 'string',
+                  description: 'Task template ID',
+                },
+                createdBy: {
+                  type: 'string',
+                  description: 'User ID of the admin who added the template',
+                },
+              },
+            },
+          ],
+        },
+        SuggestionFeedback: {
+          type: 'object',
+          properties: {
+            suggestionId: {
+              type: 'string',
+              description: 'Suggestion ID',
+            },
+            title: {
+              type: 'string',
+              description: 'Suggested task title',
+            },
+            category: {
+              type: 'string',
+              description: 'Template category of the suggestion',
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'accepted', 'dismissed', 'not-relevant'],
+              description: 'Team response to the suggestion',
+            },
+            respondedBy: {
+              type: 'string',
+              description: 'User ID of the team member who gave the feedback',
+            },
+            respondedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the feedback was given',
             },
           },
         },
@@ -256,69 +637,413 @@ const options = {
             },
             confidence: {
               type: 'number',
-              description: 'Confidence score (0-1)',
+              description: 'Share of past predictions by the same method whose actual duration fell inside the predicted range (0-1)',
+            },
+            confidenceBasis: {
+              $ref: '#/components/schemas/ConfidenceBasis',
             },
             method: {
               type: 'string',
               enum: ['ml', 'heuristic'],
               description: 'Method used for prediction (ml = TensorFlow ML, heuristic = rule-based fallback)',
             },
+            modelVersion: {
+              type: 'integer',
+              nullable: true,
+              description: 'Registry version of the model that made the prediction (null for heuristic results)',
+            },
+            subtasks: {
+              type: 'array',
+              description: 'Only for a task with open subtasks: their estimates, which add up to predictedDays',
+              items: {
+                $ref: '#/components/schemas/SubtaskEstimate',
+              },
+            },
+            explanation: {
+              type: 'object',
+              description: 'Only with explain=true. Feature contributions add up to the difference between the reference estimate and the estimate of the task itself, which is predictedDays unless it has open subtasks',
+              properties: {
+                reference: {
+                  type: 'object',
+                  description: 'Reference task (medium priority, todo, average complexity and assignee experience) and its estimate',
+                  properties: {
+                    priority: {
+                      type: 'string',
+                    },
+                    status: {
+                      type: 'string',
+                    },
+                    complexity: {
+                      type: 'number',
+                    },
+                    assigneeExperience: {
+                      type: 'number',
+                    },
+                    predictedDays: {
+                      type: 'number',
+                    },
+                  },
+                },
+                contributions: {
+                  type: 'array',
+                  description: 'Features that changed the estimate, largest effect first',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      feature: {
+                        type: 'string',
+                        enum: ['priority', 'status', 'complexity', 'assigneeExperience'],
+                      },
+                      value: {
+                        description: 'Value of the feature for this task',
+                      },
+                      days: {
+                        type: 'number',
+                        description: 'Days the feature adds to (or removes from, when negative) the reference estimate',
+                      },
+                    },
+                  },
+                },
+              },
+            },
           },
         },
-        WorkflowOptimization: {
+        SubtaskEstimate: {
           type: 'object',
           properties: {
-            projectId: {
+            taskId: {
               type: 'string',
-              description: 'Project ID',
+              description: 'Subtask ID',
             },
-            projectName: {
+            taskTitle: {
               type: 'string',
-              description: 'Project name',
+              description: 'Subtask title',
             },
-            metrics: {
-              type: 'object',
-              description: 'Key project metrics',
+            status: {
+              type: 'string',
+              description: 'Subtask status',
             },
-            recommendations: {
+            predictedDays: {
+              type: 'number',
+              description: 'Predicted days to complete; for a subtask with open subtasks of its own, their predicted days added up',
+            },
+          },
+        },
+        TaskBreakdown: {
+          type: 'object',
+          properties: {
+            taskId: {
+              type: 'string',
+              description: 'Task ID',
+            },
+            taskTitle: {
+              type: 'string',
+              description: 'Task title',
+            },
+            projectCategory: {
+              type: 'string',
+              description: 'Category of the project whose templates were used (set by the owner or predicted)',
+            },
+            subtasks: {
               type: 'array',
+              description: 'Proposed subtasks: checklist items first, then templates in phase order',
               items: {
                 type: 'object',
                 properties: {
-                  type: {
-                    type: 'string',
-                    description: 'Recommendation type',
-                  },
                   title: {
                     type: 'string',
-                    description: 'Recommendation title',
                   },
                   description: {
                     type: 'string',
-                    description: 'Detailed description',
-                  },
-                  details: {
-                    type: 'object',
-                    description: 'Additional details for the recommendation',
                   },
                   priority: {
                     type: 'string',
                     enum: ['low', 'medium', 'high'],
-                    description: 'Recommendation priority',
+                  },
+                  category: {
+                    type: 'string',
+                    nullable: true,
+                    description: 'Template category (null for checklist items)',
+                  },
+                  phase: {
+                    type: 'string',
+                    nullable: true,
+                    enum: ['setup', 'planning', 'implementation', 'testing', 'deployment', 'closure'],
+                    description: 'Project phase (null for checklist items)',
+                  },
+                  estimatedDays: {
+                    type: 'number',
+                    description: 'Estimated effort of the template, or the predicted duration of the subtask',
+                  },
+                  source: {
+                    type: 'string',
+                    enum: ['description', 'template', 'generic'],
+                    description: 'Where the subtask comes from (description = checklist item, template = project category template, generic = plan/implement/test/review step)',
                   },
                 },
               },
-              description: 'List of workflow optimization recommendations',
             },
-            generatedAt: {
+            existingSubtasks: {
+              type: 'array',
+              description: 'Open subtasks the task already has',
+              items: {
+                $ref: '#/components/schemas/SubtaskEstimate',
+              },
+            },
+            predictedDays: {
+              type: 'number',
+              description: 'Estimates of the proposed and existing open subtasks added up',
+            },
+            estimatedCompletionDate: {
               type: 'string',
-              format: 'date-time',
-              description: 'Timestamp when analysis was generated',
+              format: 'date',
+              description: 'Estimated completion date',
+            },
+            confidence: {
+              type: 'number',
+              description: 'Share of past predictions by the same method whose actual duration fell inside the predicted range (0-1)',
+            },
+            confidenceBasis: {
+              $ref: '#/components/schemas/ConfidenceBasis',
             },
             method: {
               type: 'string',
               enum: ['ml', 'heuristic'],
-              description: 'Method used for optimization (ml = TensorFlow ML, heuristic = rule-based fallback)',
+              description: 'Method used for the subtask estimates (ml = TensorFlow ML, heuristic = rule-based fallback)',
+            },
+            modelVersion: {
+              type: 'integer',
+              nullable: true,
+              description: 'Registry version of the model that made the estimates (null for heuristic results)',
+            },
+          },
+        },
+        BottleneckExplanation: {
+          type: 'object',
+          description: 'Only with explain=true. Feature contributions add up to the difference between the score and the reference score',
+          properties: {
+            referenceScore: {
+              type: 'number',
+              description: 'Score of a healthy reference workflow (even team load, ideal status ratios)',
+            },
+            contributions: {
+              type: 'array',
+              description: 'Features that changed the score, largest effect first. dependencyGraph and timeInState are direct measurements',
+              items: {
+                type: 'object',
+                properties: {
+                  feature: {
+                    type: 'string',
+                    enum: [
+                      'todoRatio',
+                      'inProgressRatio',
+                      'reviewRatio',
+                      'completedRatio',
+                      'teamLoadBalance',
+                      'highPriorityInProgressRatio',
+                      'dependencyGraph',
+                      'timeInState',
+                    ],
+                  },
+                  value: {
+                    type: 'number',
+                    description: 'Value of the feature for this project',
+                  },
+                  contribution: {
+                    type: 'number',
+                    description: 'Amount the feature raises (or lowers, when negative) the score',
+                  },
+                },
+              },
+            },
+          },
+        },
+        WorkflowOptimization: {
+          type: 'object',
+          properties: {
+            projectId: {
+              type: 'string',
+              description: 'Project ID',
+            },
+            projectName: {
+              type: 'string',
+              description: 'Project name',
+            },
+            metrics: {
+              type: 'object',
+              description: 'Key project metrics',
+            },
+            bottleneckAnalysis: {
+              type: 'object',
+              description: 'Bottleneck scores (0-1, higher is worse) by type: resourceBottleneck, taskDistribution, workflowEfficiency, taskDependency, priorityAlignment',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  score: {
+                    type: 'number',
+                  },
+                  level: {
+                    type: 'string',
+                    enum: ['low', 'medium', 'high'],
+                  },
+                  description: {
+                    type: 'string',
+                  },
+                  explanation: {
+                    $ref: '#/components/schemas/BottleneckExplanation',
+                  },
+                },
+              },
+            },
+            recommendations: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  type: {
+                    type: 'string',
+                    description: 'Recommendation type',
+                  },
+                  title: {
+                    type: 'string',
+                    description: 'Recommendation title',
+                  },
+                  description: {
+                    type: 'string',
+                    description: 'Detailed description',
+                  },
+                  details: {
+                    type: 'object',
+                    description: 'Additional details for the recommendation',
+                  },
+                  priority: {
+                    type: 'string',
+                    enum: ['low', 'medium', 'high'],
+                    description: 'Recommendation priority',
+                  },
+                },
+              },
+              description: 'List of workflow optimization recommendations',
+            },
+            generatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Timestamp when analysis was generated',
+            },
+            confidence: {
+              type: 'number',
+              description: 'Confidence in the bottleneck scores (0-1), based on the number of tasks they were measured on and the held-out error of the model',
+            },
+            confidenceBasis: {
+              $ref: '#/components/schemas/ConfidenceBasis',
+            },
+            method: {
+              type: 'string',
+              enum: ['ml', 'heuristic'],
+              description: 'Method used for optimization (ml = TensorFlow ML, heuristic = rule-based fallback)',
+            },
+            modelVersion: {
+              type: 'integer',
+              nullable: true,
+              description: 'Registry version of the model that made the prediction (null for heuristic results)',
+            },
+          },
+        },
+        BottleneckHistory: {
+          type: 'object',
+          properties: {
+            projectId: {
+              type: 'string',
+              description: 'Project ID',
+            },
+            from: {
+              type: 'string',
+              format: 'date',
+              description: 'First day of the range',
+            },
+            to: {
+              type: 'string',
+              format: 'date',
+              description: 'Last day of the range',
+            },
+            snapshots: {
+              type: 'array',
+              description: 'Daily snapshots, oldest first',
+              items: {
+                type: 'object',
+                properties: {
+                  date: {
+                    type: 'string',
+                    format: 'date',
+                  },
+                  scores: {
+                    type: 'object',
+                    description: 'Bottleneck scores (0-1) of the last workflow analysis of the day',
+                    properties: {
+                      resourceBottleneck: {
+                        type: 'number',
+                      },
+                      taskDistribution: {
+                        type: 'number',
+                      },
+                      workflowEfficiency: {
+                        type: 'number',
+                      },
+                      taskDependency: {
+                        type: 'number',
+                      },
+                      priorityAlignment: {
+                        type: 'number',
+                      },
+                    },
+                  },
+                  method: {
+                    type: 'string',
+                    enum: ['ml', 'heuristic'],
+                  },
+                  modelVersion: {
+                    type: 'integer',
+                    nullable: true,
+                  },
+                  taskCount: {
+                    type: 'integer',
+                    description: 'Tasks in the project that day',
+                  },
+                  recommendations: {
+                    type: 'array',
+                    description: 'Actions recommended that day (redistribute_tasks, start_tasks, ...)',
+                    items: {
+                      type: 'string',
+                    },
+                  },
+                },
+              },
+            },
+            changes: {
+              type: 'object',
+              description: 'Change of each score from the first to the last snapshot; negative when the bottleneck went down, null with fewer than two snapshots',
+              properties: {
+                resourceBottleneck: {
+                  type: 'number',
+                  nullable: true,
+                },
+                taskDistribution: {
+                  type: 'number',
+                  nullable: true,
+                },
+                workflowEfficiency: {
+                  type: 'number',
+                  nullable: true,
+                },
+                taskDependency: {
+                  type: 'number',
+                  nullable: true,
+                },
+                priorityAlignment: {
+                  type: 'number',
+                  nullable: true,
+                },
+              },
             },
           },
         },
@@ -346,17 +1071,561 @@ const options = {
               },
               confidence: {
                 type: 'number',
-                description: 'Confidence score (0-1)',
+                description: 'Share of past predictions by the same method whose actual duration fell inside the predicted range (0-1)',
+              },
+              confidenceBasis: {
+                $ref: '#/components/schemas/ConfidenceBasis',
               },
               method: {
                 type: 'string',
                 enum: ['ml', 'heuristic'],
                 description: 'Method used for prediction (ml = TensorFlow ML, heuristic = rule-based fallback)',
               },
+              modelVersion: {
+                type: 'integer',
+                nullable: true,
+                description: 'Registry version of the model that made the prediction (null for heuristic results)',
+              },
             },
           },
           description: 'Timeline predictions for all tasks in a project',
         },
+        CriticalPathTimeline: {
+          type: 'object',
+          properties: {
+            projectId: {
+              type: 'string',
+              description: 'Project ID',
+            },
+            projectName: {
+              type: 'string',
+              description: 'Project name',
+            },
+            startDate: {
+              type: 'string',
+              format: 'date',
+              description: 'Date the schedule starts from (today)',
+            },
+            projectedEndDate: {
+              type: 'string',
+              format: 'date',
+              description: 'Date the last open task is projected to finish',
+            },
+            plannedEndDate: {
+              type: 'string',
+              format: 'date',
+              nullable: true,
+              description: 'Project end date',
+            },
+            varianceDays: {
+              type: 'integer',
+              nullable: true,
+              description: 'Days the projected end is after (positive) or before (negative) the planned end',
+            },
+            onSchedule: {
+              type: 'boolean',
+              nullable: true,
+              description: 'Whether the projected end is on or before the planned end',
+            },
+            totalDays: {
+              type: 'number',
+              description: 'Projected days until all open tasks are finished',
+            },
+            criticalPath: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  taskId: {
+                    type: 'string',
+                  },
+                  taskTitle: {
+                    type: 'string',
+                  },
+                },
+              },
+              description: 'Chain of tasks without slack that determines the projected end date',
+            },
+            tasks: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  taskId: {
+                    type: 'string',
+                    description: 'Task ID',
+                  },
+                  taskTitle: {
+                    type: 'string',
+                    description: 'Task title',
+                  },
+                  status: {
+                    type: 'string',
+                    description: 'Current task status',
+                  },
+                  assignedTo: {
+                    type: 'string',
+                    description: 'User ID of person assigned to the task',
+                  },
+                  predictedDays: {
+                    type: 'number',
+                    description: 'Predicted days to complete',
+                  },
+                  earliestStart: {
+                    type: 'string',
+                    format: 'date',
+                  },
+                  earliestFinish: {
+                    type: 'string',
+                    format: 'date',
+                  },
+                  latestStart: {
+                    type: 'string',
+                    format: 'date',
+                  },
+                  latestFinish: {
+                    type: 'string',
+                    format: 'date',
+                  },
+                  slackDays: {
+                    type: 'number',
+                    description: 'Days the task can slip without delaying the project',
+                  },
+                  critical: {
+                    type: 'boolean',
+                    description: 'Whether the task is on the critical path (no slack)',
+                  },
+                  confidence: {
+                    type: 'number',
+                    description: 'Share of past predictions by the same method whose actual duration fell inside the predicted range (0-1)',
+                  },
+                  confidenceBasis: {
+                    $ref: '#/components/schemas/ConfidenceBasis',
+                  },
+                  method: {
+                    type: 'string',
+                    enum: ['ml', 'heuristic'],
+                  },
+                  modelVersion: {
+                    type: 'integer',
+                    nullable: true,
+                    description: 'Registry version of the model that made the prediction (null for heuristic results)',
+                  },
+                },
+              },
+              description: 'Open tasks in order of earliest start',
+            },
+            confidence: {
+              type: 'number',
+              description: 'Share of past predictions by the method used whose actual duration fell inside the predicted range (0-1)',
+            },
+            confidenceBasis: {
+              $ref: '#/components/schemas/ConfidenceBasis',
+            },
+            method: {
+              type: 'string',
+              enum: ['ml', 'heuristic'],
+              description: 'Method used for duration predictions',
+            },
+            modelVersion: {
+              type: 'integer',
+              nullable: true,
+              description: 'Registry version of the model that made the prediction (null for heuristic results)',
+            },
+          },
+        },
+        DeliveryForecast: {
+          type: 'object',
+          properties: {
+            projectId: {
+              type: 'string',
+              description: 'Project ID',
+            },
+            projectName: {
+              type: 'string',
+              description: 'Project name',
+            },
+            iterations: {
+              type: 'integer',
+              description: 'Number of simulation runs made',
+            },
+            requestedIterations: {
+              type: 'integer',
+              description: 'Number of simulation runs requested',
+            },
+            converged: {
+              type: 'boolean',
+              description: 'Whether the runs stopped early because the P50/P80/P95 values had settled',
+            },
+            openTasks: {
+              type: 'integer',
+              description: 'Number of tasks still to be completed',
+            },
+            plannedEndDate: {
+              type: 'string',
+              format: 'date',
+              nullable: true,
+              description: 'Project end date',
+            },
+            probabilityOnTime: {
+              type: 'number',
+              nullable: true,
+              description: 'Share of runs finishing on or before the project end date (0-1)',
+            },
+            meanDays: {
+              type: 'number',
+              description: 'Average days until all open tasks are finished',
+            },
+            p50: {
+              type: 'object',
+              properties: {
+                days: {
+                  type: 'number',
+                  description: 'Days from today',
+                },
+                date: {
+                  type: 'string',
+                  format: 'date',
+                },
+              },
+              description: 'Completion reached in 50% of runs',
+            },
+            p80: {
+              type: 'object',
+              properties: {
+                days: {
+                  type: 'number',
+                  description: 'Days from today',
+                },
+                date: {
+                  type: 'string',
+                  format: 'date',
+                },
+              },
+              description: 'Completion reached in 80% of runs',
+            },
+            p95: {
+              type: 'object',
+              properties: {
+                days: {
+                  type: 'number',
+                  description: 'Days from today',
+                },
+                date: {
+                  type: 'string',
+                  format: 'date',
+                },
+              },
+              description: 'Completion reached in 95% of runs',
+            },
+            distribution: {
+              type: 'string',
+              enum: ['historical', 'model'],
+              description: 'Source of the task duration spread',
+            },
+            historySize: {
+              type: 'integer',
+              description: 'Number of completed tasks the historical spread is based on',
+            },
+            method: {
+              type: 'string',
+              enum: ['ml', 'heuristic'],
+              description: 'Method used for duration predictions',
+            },
+            modelVersion: {
+              type: 'integer',
+              nullable: true,
+              description: 'Registry version of the model that made the prediction (null for heuristic results)',
+            },
+            generatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Timestamp when the forecast was generated',
+            },
+          },
+        },
+        ModelVersion: {
+          type: 'object',
+          properties: {
+            version: {
+              type: 'integer',
+              description: 'Version number',
+            },
+            trainedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the version was trained',
+            },
+            dataSize: {
+              type: 'integer',
+              nullable: true,
+              description: 'Number of training records',
+            },
+            dataSource: {
+              type: 'string',
+              enum: ['history', 'synthetic', 'unknown'],
+              description: 'Whether the model was trained on real history or synthetic data',
+            },
+            loss: {
+              type: 'number',
+              nullable: true,
+              description: 'Training loss after the last epoch',
+            },
+            featureSchema: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              description: 'Input features of the model, in order',
+            },
+            categories: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              description: 'Project categories the suggestion model can predict, in output order (suggestion model only)',
+            },
+            metrics: {
+              $ref: '#/components/schemas/ModelMetrics',
+            },
+          },
+        },
+        ModelMetrics: {
+          type: 'object',
+          description: 'Evaluation on a held-out set the new version was not trained on',
+          properties: {
+            testSize: {
+              type: 'integer',
+              description: 'Number of held-out records',
+            },
+            mae: {
+              type: 'number',
+              description: 'Mean absolute error (duration in days, workflow in bottleneck score)',
+            },
+            accuracy: {
+              type: 'number',
+              description: 'Share of held-out projects whose category was predicted correctly (suggestion)',
+            },
+            activeVersion: {
+              type: 'integer',
+              nullable: true,
+              description: 'Version that was being served when the new version was evaluated',
+            },
+            activeVersionMae: {
+              type: 'number',
+              nullable: true,
+              description: 'Mean absolute error of the active version on the same held-out set',
+            },
+            activeVersionAccuracy: {
+              type: 'number',
+              nullable: true,
+              description: 'Accuracy of the active version on the same held-out set',
+            },
+          },
+        },
+        TrainingJob: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Job ID',
+            },
+            model: {
+              type: 'string',
+              enum: ['duration', 'suggestion', 'workflow'],
+              description: 'Model being trained',
+            },
+            status: {
+              type: 'string',
+              enum: ['queued', 'running', 'completed', 'failed'],
+              description: 'Job status',
+            },
+            requestedBy: {
+              type: 'string',
+              description: 'Admin who started the job',
+            },
+            startedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            finishedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            version: {
+              type: 'integer',
+              description: 'Version registered by the job (inactive until promoted)',
+            },
+            metrics: {
+              $ref: '#/components/schemas/ModelMetrics',
+            },
+            error: {
+              type: 'string',
+              description: 'Why the job failed',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        PredictionErrors: {
+          type: 'object',
+          description: 'Distribution of prediction errors in days (actual minus predicted)',
+          properties: {
+            count: {
+              type: 'integer',
+              description: 'Number of reconciled predictions',
+            },
+            meanError: {
+              type: 'number',
+              description: 'Average error; positive when tasks take longer than predicted',
+            },
+            meanAbsoluteError: {
+              type: 'number',
+            },
+            medianAbsoluteError: {
+              type: 'number',
+            },
+            p90AbsoluteError: {
+              type: 'number',
+              description: '90% of predictions were off by at most this many days',
+            },
+            maxAbsoluteError: {
+              type: 'number',
+            },
+            withinOneDay: {
+              type: 'number',
+              description: 'Share of predictions off by one day or less (0-1)',
+            },
+          },
+        },
+        PredictionAccuracy: {
+          type: 'object',
+          properties: {
+            days: {
+              type: 'integer',
+              description: 'Number of last days the report covers',
+            },
+            since: {
+              type: 'string',
+              format: 'date',
+              description: 'First day the report covers',
+            },
+            reconciledCount: {
+              type: 'integer',
+              description: 'Predictions for tasks completed since then',
+            },
+            pendingCount: {
+              type: 'integer',
+              description: 'Predictions for tasks that are not completed yet',
+            },
+            overall: {
+              nullable: true,
+              allOf: [
+                {
+                  $ref: '#/components/schemas/PredictionErrors',
+                },
+              ],
+            },
+            byMethod: {
+              type: 'array',
+              items: {
+                allOf: [
+                  {
+                    type: 'object',
+                    properties: {
+                      method: {
+                        type: 'string',
+                        enum: ['ml', 'heuristic'],
+                      },
+                    },
+                  },
+                  {
+                    $ref: '#/components/schemas/PredictionErrors',
+                  },
+                ],
+              },
+            },
+            byProject: {
+              type: 'array',
+              items: {
+                allOf: [
+                  {
+                    type: 'object',
+                    properties: {
+                      projectId: {
+                        type: 'string',
+                      },
+                      projectName: {
+                        type: 'string',
+                      },
+                    },
+                  },
+                  {
+                    $ref: '#/components/schemas/PredictionErrors',
+                  },
+                ],
+              },
+            },
+            byAssignee: {
+              type: 'array',
+              items: {
+                allOf: [
+                  {
+                    type: 'object',
+                    properties: {
+                      assigneeId: {
+                        type: 'string',
+                        nullable: true,
+                        description: 'Null for unassigned tasks',
+                      },
+                      assigneeName: {
+                        type: 'string',
+                        nullable: true,
+                      },
+                    },
+                  },
+                  {
+                    $ref: '#/components/schemas/PredictionErrors',
+                  },
+                ],
+              },
+            },
+            generatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        RegisteredModel: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              enum: ['duration', 'suggestion', 'workflow'],
+              description: 'Model name',
+            },
+            activeVersion: {
+              type: 'integer',
+              nullable: true,
+              description: 'Version being served',
+            },
+            history: {
+              type: 'array',
+              items: {
+                type: 'integer',
+              },
+              description: 'Versions in the order they were activated, used for rollback',
+            },
+            versions: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/ModelVersion',
+              },
+            },
+          },
+        },
         Error: {
           type: 'object',
           properties: {
@@ -0,0 +1,43 @@
+const { DUPLICATE_THRESHOLD, findDuplicateTasks } = require('../utils/taskDuplicates');
+
+const tasks = titles => titles.map(title => ({ title }));
+
+describe('findDuplicateTasks', () => {
+  it('finds tasks with similar titles, most similar first', () => {
+    const duplicates = findDuplicateTasks(
+      'Set up CI pipeline',
+      tasks(['Write unit tests', 'Setup CI/CD pipeline', 'Set up the CI pipeline'])
+    );
+
+    expect(duplicates).toEqual([
+      { task: { title: 'Set up the CI pipeline' }, similarity: 1 },
+      { task: { title: 'Setup CI/CD pipeline' }, similarity: 0.86 }
+    ]);
+  });
+
+  it(`leaves out titles below the ${DUPLICATE_THRESHOLD} threshold`, () => {
+    // Similarity 0.67
+    expect(findDuplicateTasks('Write unit tests', tasks(['Write integration tests']))).toEqual([]);
+  });
+
+  it('uses the given threshold', () => {
+    const candidates = tasks(['Write integration tests', 'Write unit tests']);
+
+    expect(findDuplicateTasks('Write unit tests', candidates, 0.6)).toEqual([
+      { task: { title: 'Write unit tests' }, similarity: 1 },
+      { task: { title: 'Write integration tests' }, similarity: 0.67 }
+    ]);
+    // The threshold itself counts as a duplicate
+    expect(findDuplicateTasks('Write unit tests', candidates, 1)).toHaveLength(1);
+  });
+
+  it('matches equal titles made of stop words only', () => {
+    expect(findDuplicateTasks('The task', tasks([' the TASK ', 'A project']))).toEqual([
+      { task: { title: ' the TASK ' }, similarity: 1 }
+    ]);
+  });
+
+  it('returns nothing when there are no tasks', () => {
+    expect(findDuplicateTasks('Set up CI pipeline', [])).toEqual([]);
+  });
+});
@@ -0,0 +1,222 @@
+const {
+  buildDependencyMap,
+  findDependencyPath,
+  findDependencyCycle,
+  findSubtaskCycle,
+  analyzeDependencyGraph,
+  scheduleTasks
+} = require('../utils/taskGraph');
+
+// TaskDependency documents: task depends on dependsOn
+const dependency = (task, dependsOn) => ({ task, dependsOn });
+const subtask = (parent, task) => ({ parent, task });
+
+describe('buildDependencyMap', () => {
+  it('lists the tasks each task depends on', () => {
+    const map = buildDependencyMap([dependency('b', 'a'), dependency('c', 'a'), dependency('c', 'b')]);
+
+    expect(map.get('b')).toEqual(['a']);
+    expect(map.get('c')).toEqual(['a', 'b']);
+    expect(map.has('a')).toBe(false);
+  });
+
+  it('uses string IDs for ObjectId-like values', () => {
+    const id = value => ({ toString: () => value });
+    const map = buildDependencyMap([dependency(id('b'), id('a'))]);
+
+    expect(map.get('b')).toEqual(['a']);
+  });
+});
+
+describe('findDependencyPath', () => {
+  const map = buildDependencyMap([dependency('c', 'b'), dependency('b', 'a'), dependency('d', 'a')]);
+
+  it('returns the chain from one task to another', () => {
+    expect(findDependencyPath(map, 'c', 'a')).toEqual(['c', 'b', 'a']);
+  });
+
+  it('returns null when there is no chain', () => {
+    expect(findDependencyPath(map, 'a', 'c')).toBeNull();
+    expect(findDependencyPath(map, 'c', 'd')).toBeNull();
+  });
+});
+
+describe('findDependencyCycle', () => {
+  const dependencies = [dependency('b', 'a'), dependency('c', 'b')];
+
+  it('finds the cycle a new dependency would close', () => {
+    // a depending on c closes a -> c -> b -> a
+    expect(findDependencyCycle(dependencies, 'a', 'c')).toEqual(['a', 'c', 'b', 'a']);
+  });
+
+  it('finds a task depending on itself', () => {
+    expect(findDependencyCycle(dependencies, 'a', 'a')).toEqual(['a', 'a']);
+  });
+
+  it('finds a task depending on a task that depends on it', () => {
+    expect(findDependencyCycle(dependencies, 'a', 'b')).toEqual(['a', 'b', 'a']);
+  });
+
+  it('returns null when the dependency keeps the graph acyclic', () => {
+    expect(findDependencyCycle(dependencies, 'c', 'a')).toBeNull();
+    expect(findDependencyCycle(dependencies, 'd', 'c')).toBeNull();
+    expect(findDependencyCycle([], 'a', 'b')).toBeNull();
+  });
+});
+
+describe('findSubtaskCycle', () => {
+  // a is the parent of b, b the parent of c
+  const subtasks = [subtask('a', 'b'), subtask('b', 'c')];
+
+  it('finds a task becoming a subtask of its own subtask', () => {
+    expect(findSubtaskCycle(subtasks, 'c', 'a')).toEqual(['a', 'c', 'b', 'a']);
+  });
+
+  it('finds a task becoming its own subtask', () => {
+    expect(findSubtaskCycle(subtasks, 'a', 'a')).toEqual(['a', 'a']);
+  });
+
+  it('returns null for a task outside the parent chain', () => {
+    expect(findSubtaskCycle(subtasks, 'c', 'd')).toBeNull();
+    expect(findSubtaskCycle(subtasks, 'a', 'c')).toBeNull();
+  });
+});
+
+describe('analyzeDependencyGraph', () => {
+  const task = (id, status = 'todo') => ({ _id: id, title: `Task ${id}`, status });
+
+  it('reports blocked tasks, the longest chain and blocking hubs among open tasks', () => {
+    const tasks = [task('a'), task('b'), task('c'), task('d'), task('e', 'completed')];
+    const dependencies = [
+      dependency('b', 'a'),
+      dependency('c', 'a'),
+      dependency('d', 'c'),
+      // Completed tasks no longer block anything
+      dependency('d', 'e')
+    ];
+
+    const analysis = analyzeDependencyGraph(tasks, dependencies);
+
+    expect(analysis.openTasks).toBe(4);
+    expect(analysis.blockedTasks.sort()).toEqual(['b', 'c', 'd']);
+    expect(analysis.longestChain).toBe(3);
+    expect(analysis.hubs).toEqual([{ taskId: 'a', title: 'Task a', status: 'todo', blockedTasks: 2 }]);
+    // 3/4 blocked, chain of 3, hub blocking 2
+    expect(analysis.score).toBe(Math.round((0.75 * 0.5 + 0.4 * 0.3 + 0.4 * 0.2) * 100) / 100);
+  });
+
+  it('scores a project without dependencies as 0', () => {
+    const analysis = analyzeDependencyGraph([task('a'), task('b')], []);
+
+    expect(analysis).toEqual({ openTasks: 2, blockedTasks: [], longestChain: 0, hubs: [], score: 0 });
+  });
+
+  it('does not loop on cyclic data', () => {
+    const analysis = analyzeDependencyGraph([task('a'), task('b')], [dependency('a', 'b'), dependency('b', 'a')]);
+
+    expect(analysis.blockedTasks.sort()).toEqual(['a', 'b']);
+    expect(analysis.longestChain).toBe(2);
+  });
+});
+
+describe('scheduleTasks', () => {
+  const item = (id, duration, fields = {}) => ({ id, duration, assignee: null, priority: 'medium', ...fields });
+  const starts = ({ schedule }) => Object.fromEntries([...schedule].map(([id, entry]) => [id, entry.earliestStart]));
+
+  it('starts tasks once their dependencies finish and follows the chain as critical path', () => {
+    const result = scheduleTasks(
+      [item('c', 1), item('b', 3), item('a', 2)],
+      [dependency('b', 'a'), dependency('c', 'b')]
+    );
+
+    expect(starts(result)).toEqual({ a: 0, b: 2, c: 5 });
+    expect(result.totalDuration).toBe(6);
+    expect(result.criticalPath).toEqual(['a', 'b', 'c']);
+    expect(result.schedule.get('b')).toMatchObject({
+      earliestFinish: 5,
+      latestStart: 2,
+      latestFinish: 5,
+      slack: 0,
+      critical: true
+    });
+  });
+
+  it('gives slack to tasks off the longest branch', () => {
+    const result = scheduleTasks(
+      [item('a', 2), item('b', 5), item('c', 1)],
+      [dependency('c', 'a'), dependency('c', 'b')]
+    );
+
+    expect(starts(result)).toEqual({ a: 0, b: 0, c: 5 });
+    expect(result.schedule.get('a')).toMatchObject({
+      latestStart: 3,
+      latestFinish: 5,
+      slack: 3,
+      critical: false
+    });
+    expect(result.criticalPath).toEqual(['b', 'c']);
+  });
+
+  it('lets each assignee work on one task at a time, by priority, then due date, then input order', () => {
+    const result = scheduleTasks(
+      [
+        item('low', 1, { assignee: 'alice', priority: 'low' }),
+        item('later', 1, { assignee: 'alice', dueDate: '2024-02-01' }),
+        item('sooner', 1, { assignee: 'alice', dueDate: '2024-01-01' }),
+        item('high', 1, { assignee: 'alice', priority: 'high' }),
+        item('other', 1, { assignee: 'bob', priority: 'low' })
+      ],
+      []
+    );
+
+    expect(starts(result)).toEqual({ high: 0, sooner: 1, later: 2, low: 3, other: 0 });
+    expect(result.totalDuration).toBe(4);
+    // The assignee's previous task leads to the next one on the critical path
+    expect(result.criticalPath).toEqual(['high', 'sooner', 'later', 'low']);
+    expect(result.schedule.get('other')).toMatchObject({ slack: 3, critical: false });
+  });
+
+  it('runs unassigned tasks in parallel', () => {
+    const result = scheduleTasks([item('a', 2), item('b', 2), item('c', 2)], []);
+
+    expect(starts(result)).toEqual({ a: 0, b: 0, c: 0 });
+    expect(result.totalDuration).toBe(2);
+  });
+
+  it('keeps an assignee busy with ready work while another task waits on its dependencies', () => {
+    const result = scheduleTasks(
+      [
+        item('x', 4, { assignee: 'bob' }),
+        item('a', 1, { assignee: 'alice', priority: 'high' }),
+        item('b', 2, { assignee: 'alice', priority: 'low' })
+      ],
+      [dependency('a', 'x')]
+    );
+
+    expect(starts(result)).toEqual({ x: 0, b: 0, a: 4 });
+    expect(result.schedule.get('b')).toMatchObject({ latestStart: 2, slack: 2, critical: false });
+    expect(result.criticalPath).toEqual(['x', 'a']);
+  });
+
+  it('ignores dependencies on tasks that are not scheduled', () => {
+    const result = scheduleTasks([item('a', 1)], [dependency('a', 'done')]);
+
+    expect(starts(result)).toEqual({ a: 0 });
+    expect(result.criticalPath).toEqual(['a']);
+  });
+
+  it('returns an empty schedule for no tasks', () => {
+    const result = scheduleTasks([], []);
+
+    expect(result.schedule.size).toBe(0);
+    expect(result.criticalPath).toEqual([]);
+    expect(result.totalDuration).toBe(0);
+  });
+
+  it('throws when the dependencies contain a cycle', () => {
+    expect(() => scheduleTasks(
+      [item('a', 1), item('b', 1), item('c', 1)],
+      [dependency('a', 'b'), dependency('b', 'a')]
+    )).toThrow('Task dependencies contain a cycle');
+  });
+});
@@ -0,0 +1,155 @@
+const {
+  groupChangesByTask,
+  getStatusPeriods,
+  getTimeInState,
+  getDaysToCompletion,
+  getCompletedAt,
+  analyzeTimeInState
+} = require('../utils/taskHistory');
+
+const START = new Date('2024-01-01T00:00:00Z');
+const day = days => new Date(START.getTime() + days * 24 * 60 * 60 * 1000);
+
+// TaskStatusChange documents
+const change = (task, from, to, days) => ({ task, from, to, createdAt: day(days) });
+
+// Created, worked on, reviewed and completed after 6 days
+const completedTask = { _id: 'done', title: 'Done task', status: 'completed', createdAt: day(0) };
+const completedChanges = [
+  change('done', null, 'todo', 0),
+  change('done', 'todo', 'in-progress', 2),
+  change('done', 'in-progress', 'review', 5),
+  change('done', 'review', 'completed', 6)
+];
+
+describe('groupChangesByTask', () => {
+  it('groups changes by task, keeping their order', () => {
+    const changes = [
+      change('a', null, 'todo', 0),
+      change('b', null, 'todo', 1),
+      change('a', 'todo', 'in-progress', 2)
+    ];
+
+    const grouped = groupChangesByTask(changes);
+
+    expect([...grouped.keys()]).toEqual(['a', 'b']);
+    expect(grouped.get('a')).toEqual([changes[0], changes[2]]);
+  });
+});
+
+describe('getStatusPeriods', () => {
+  it('splits the life of a task at each status change', () => {
+    const periods = getStatusPeriods(completedTask, completedChanges, day(10));
+
+    expect(periods.map(({ status, days, current }) => ({ status, days, current }))).toEqual([
+      { status: 'todo', days: 2, current: false },
+      { status: 'in-progress', days: 3, current: false },
+      { status: 'review', days: 1, current: false },
+      { status: 'completed', days: 4, current: true }
+    ]);
+  });
+
+  it('assumes tasks without an initial entry were in the first previous status since creation', () => {
+    const task = { _id: 'old', status: 'in-progress', createdAt: day(0) };
+
+    const periods = getStatusPeriods(task, [change('old', 'todo', 'in-progress', 3)], day(4));
+
+    expect(periods.map(({ status, days }) => ({ status, days }))).toEqual([
+      { status: 'todo', days: 3 },
+      { status: 'in-progress', days: 1 }
+    ]);
+  });
+
+  it('keeps tasks without history in their current status', () => {
+    const task = { _id: 'new', status: 'review', createdAt: day(1) };
+
+    const periods = getStatusPeriods(task, [], day(3));
+
+    expect(periods).toHaveLength(1);
+    expect(periods[0]).toMatchObject({ status: 'review', days: 2, current: true });
+  });
+});
+
+describe('getTimeInState', () => {
+  it('adds up the days of every period in each status', () => {
+    const reopenedChanges = [
+      ...completedChanges,
+      change('done', 'completed', 'in-progress', 7),
+      change('done', 'in-progress', 'review', 8.5)
+    ];
+
+    const periods = getStatusPeriods(completedTask, reopenedChanges, day(9));
+
+    expect(getTimeInState(periods)).toEqual({ todo: 2, 'in-progress': 4.5, review: 1.5, completed: 1 });
+  });
+
+  it('rounds to 2 decimals', () => {
+    const periods = getStatusPeriods(completedTask, [change('done', null, 'todo', 0)], day(1 / 3));
+
+    expect(getTimeInState(periods)).toEqual({ todo: 0.33 });
+  });
+});
+
+describe('getDaysToCompletion', () => {
+  it('measures days to completion from the first time the task entered each open status', () => {
+    const periods = getStatusPeriods(completedTask, completedChanges, day(10));
+
+    expect(getDaysToCompletion(periods)).toEqual({ todo: 6, 'in-progress': 4, review: 1 });
+  });
+
+  it('counts from the first time a reopened task entered a status', () => {
+    const changes = [
+      ...completedChanges,
+      change('done', 'completed', 'in-progress', 7),
+      change('done', 'in-progress', 'completed', 9)
+    ];
+
+    const periods = getStatusPeriods(completedTask, changes, day(10));
+
+    expect(getDaysToCompletion(periods)).toEqual({ todo: 9, 'in-progress': 7, review: 4 });
+  });
+
+  it('returns null for tasks that are not completed', () => {
+    const periods = getStatusPeriods(completedTask, completedChanges.slice(0, 3), day(10));
+
+    expect(getDaysToCompletion(periods)).toBeNull();
+  });
+});
+
+describe('getCompletedAt', () => {
+  it('returns when the last change completed the task', () => {
+    expect(getCompletedAt(completedChanges)).toEqual(day(6));
+  });
+
+  it('returns null when the task is not completed or has no history', () => {
+    expect(getCompletedAt([...completedChanges, change('done', 'completed', 'in-progress', 7)])).toBeNull();
+    expect(getCompletedAt([])).toBeNull();
+  });
+});
+
+describe('analyzeTimeInState', () => {
+  it('averages finished periods and lists open tasks by how long they have been in their status', () => {
+    const tasks = [
+      completedTask,
+      { _id: 'open', title: 'Open task', status: 'in-progress', createdAt: day(0) },
+      { _id: 'waiting', title: 'Waiting task', status: 'todo', createdAt: day(8) },
+      // Without history nothing is measured about a task
+      { _id: 'legacy', title: 'Legacy task', status: 'review', createdAt: day(0) }
+    ];
+    const changes = [
+      ...completedChanges,
+      change('open', null, 'todo', 0),
+      change('open', 'todo', 'in-progress', 4),
+      change('waiting', null, 'todo', 8)
+    ];
+
+    const analysis = analyzeTimeInState(tasks, changes, day(10));
+
+    expect(analysis.averageDays).toEqual({ todo: 3, 'in-progress': 3, review: 1 });
+    expect(analysis.sampleSize).toEqual({ todo: 2, 'in-progress': 1, review: 1 });
+    expect(analysis.openTasks).toEqual([
+      { taskId: 'open', title: 'Open task', status: 'in-progress', days: 6 },
+      { taskId: 'waiting', title: 'Waiting task', status: 'todo', days: 2 }
+    ]);
+  });
+});
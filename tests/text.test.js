@@ -0,0 +1,94 @@
+const {
+  tokenize,
+  getWordOverlap,
+  getTextSimilarity,
+  fitTfIdf,
+  toTfIdfVector
+} = require('../utils/text');
+
+describe('tokenize', () => {
+  it('splits text into lowercase word stems without stop words', () => {
+    expect(tokenize('Testing the new tests for Deployments, and a CI/CD pipeline!')).toEqual([
+      'test',
+      'test',
+      'deploy',
+      'ci',
+      'cd',
+      'pipelin'
+    ]);
+  });
+
+  it('does not cut words below 3 letters', () => {
+    // Without "ed", "used" would be left with 2
+    expect(tokenize('uses used')).toEqual(['use', 'used']);
+  });
+
+  it('returns no words for empty or missing text', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(undefined)).toEqual([]);
+    expect(tokenize('the task')).toEqual([]);
+  });
+});
+
+describe('getWordOverlap', () => {
+  it('matches forms of the same words', () => {
+    expect(getWordOverlap('write tests', 'writing test')).toBe(1);
+  });
+
+  it('returns the share of shared words', () => {
+    // ci and pipelin shared out of set, up, setup, ci, cd, pipelin
+    expect(getWordOverlap('Set up CI pipeline', 'Setup CI/CD pipeline')).toBeCloseTo(1 / 3);
+  });
+
+  it('returns 0 when either text has no words', () => {
+    expect(getWordOverlap('the task', 'the task')).toBe(0);
+    expect(getWordOverlap('Write tests', '')).toBe(0);
+  });
+});
+
+describe('getTextSimilarity', () => {
+  it('treats words written apart or together alike', () => {
+    // setup, ci and pipelin shared; cd only in the second title
+    expect(getTextSimilarity('Set up CI pipeline', 'Setup CI/CD pipeline')).toBeCloseTo(6 / 7);
+    expect(getTextSimilarity('Setup CI/CD pipeline', 'Set up CI pipeline')).toBeCloseTo(6 / 7);
+  });
+
+  it('scores identical and unrelated titles as 1 and 0', () => {
+    expect(getTextSimilarity('Design login page', 'design the login pages')).toBe(1);
+    expect(getTextSimilarity('Design login page', 'Fix payment bug')).toBe(0);
+  });
+
+  it('scores partly shared titles in between', () => {
+    expect(getTextSimilarity('Write unit tests', 'Write integration tests')).toBeCloseTo(2 / 3);
+  });
+
+  it('returns 0 when either text has no words', () => {
+    expect(getTextSimilarity('the task', 'a project')).toBe(0);
+  });
+});
+
+describe('TF-IDF', () => {
+  const vectorizer = fitTfIdf([
+    ['a', 'b'],
+    ['a', 'c']
+  ]);
+
+  it('weights terms by how rare they are among the documents', () => {
+    expect(vectorizer.terms).toEqual(['a', 'b', 'c']);
+    expect(vectorizer.idf[0]).toBe(1);
+    expect(vectorizer.idf[1]).toBeCloseTo(Math.log(3 / 2) + 1);
+    expect(vectorizer.idf[2]).toBe(vectorizer.idf[1]);
+  });
+
+  it('builds unit length vectors, ignoring terms outside the vocabulary', () => {
+    const vector = toTfIdfVector(['a', 'b', 'unknown'], vectorizer);
+
+    expect(vector[2]).toBe(0);
+    expect(vector[1] / vector[0]).toBeCloseTo(vectorizer.idf[1]);
+    expect(Math.hypot(...vector)).toBeCloseTo(1);
+  });
+
+  it('returns a zero vector when no term is known', () => {
+    expect(toTfIdfVector(['unknown'], vectorizer)).toEqual([0, 0, 0]);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Number of ways to order n items
+ * @param {number} n - Number of items
+ * @returns {number} n!
+ */
+function factorial(n) {
+  let result = 1;
+  for (let i = 2; i <= n; i++) {
+    result *= i;
+  }
+  return result;
+}
+
+/**
+ * Attribute a prediction to its input features with exact Shapley values: each feature's
+ * contribution is its average effect on the output when it is switched from the reference
+ * value to the actual value, over every combination of the other features. Contributions
+ * add up to the difference between the prediction and the reference prediction.
+ * The predictor is run on 2^n inputs, so this is meant for a handful of features.
+ * @param {Function} predict - Maps an array of feature objects to an array of outputs (a number or an array of numbers each)
+ * @param {Object} input - Feature values to explain
+ * @param {Object} reference - Reference feature values to compare against
+ * @param {Array<string>} features - Features to attribute
+ * @returns {Object} Reference output, actual output and the contributions of each feature (one per output)
+ */
+function getShapleyValues(predict, input, reference, features) {
+  const n = features.length;
+  const coalitionCount = 2 ** n;
+
+  // One row per combination of features taken from the input; bit i stands for features[i]
+  const rows = [];
+  for (let mask = 0; mask < coalitionCount; mask++) {
+    const row = { ...reference };
+    features.forEach((feature, i) => {
+      if (mask & (1 << i)) {
+        row[feature] = input[feature];
+      }
+    });
+    rows.push(row);
+  }
+  const outputs = predict(rows).map(output => (Array.isArray(output) ? output : [output]));
+  const outputCount = outputs[0].length;
+
+  const contributions = {};
+  features.forEach((feature, i) => {
+    const bit = 1 << i;
+    const values = new Array(outputCount).fill(0);
+    for (let mask = 0; mask < coalitionCount; mask++) {
+      if (mask & bit) continue;
+      let size = 0;
+      for (let rest = mask; rest; rest >>= 1) {
+        size += rest & 1;
+      }
+      const weight = (factorial(size) * factorial(n - size - 1)) / factorial(n);
+      for (let k = 0; k < outputCount; k++) {
+        values[k] += weight * (outputs[mask | bit][k] - outputs[mask][k]);
+      }
+    }
+    contributions[feature] = values;
+  });
+
+  return {
+    reference: outputs[0],
+    prediction: outputs[coalitionCount - 1],
+    contributions
+  };
+}
+
+module.exports = {
+  getShapleyValues
+};
@@ -0,0 +1,172 @@
+// Default and maximum number of items returned by list endpoints
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Escape a string so it can be used literally inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a comma separated query value into its trimmed items
+ * @param {string} value - Comma separated value (e.g. "todo,in-progress")
+ * @returns {Array<string>} List of values
+ */
+function splitList(value) {
+  return String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read page and limit query parameters
+ * @param {Object} query - Request query
+ * @returns {Object} Page number, page size and number of documents to skip
+ */
+function getPagination(query) {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit) || DEFAULT_PAGE_SIZE));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+/**
+ * Convert a sort query parameter into a mongoose sort object
+ * @param {string} sort - Comma separated fields, prefixed with '-' for descending order (e.g. "-dueDate,title")
+ * @param {Object} defaultSort - Sort used when no sort parameter is given
+ * @returns {Object} Mongoose sort object
+ */
+function getSort(sort, defaultSort) {
+  const result = sort
+    ? splitList(sort).reduce((fields, field) => {
+        if (field.startsWith('-')) {
+          fields[field.slice(1)] = -1;
+        } else {
+          fields[field] = 1;
+        }
+        return fields;
+      }, {})
+    : { ...defaultSort };
+
+  // Break ties on _id so pages stay stable between requests
+  if (!result._id) {
+    result._id = 1;
+  }
+  return result;
+}
+
+/**
+ * Build a case-insensitive free-text search condition
+ * @param {string} search - Text to look for
+ * @param {Array<string>} fields - Document fields to search in
+ * @returns {Object|null} Mongo condition or null when there is nothing to search for
+ */
+function getSearchCondition(search, fields) {
+  if (!search) {
+    return null;
+  }
+
+  const pattern = new RegExp(escapeRegex(search), 'i');
+  return { $or: fields.map(field => ({ [field]: pattern })) };
+}
+
+/**
+ * Build filter conditions for project list endpoints
+ * @param {Object} query - Request query (status, search)
+ * @returns {Array<Object>} Mongo conditions
+ */
+function getProjectConditions(query) {
+  const conditions = [];
+
+  if (query.status) {
+    conditions.push({ status: { $in: splitList(query.status) } });
+  }
+
+  const searchCondition = getSearchCondition(query.search, ['name', 'description']);
+  if (searchCondition) {
+    conditions.push(searchCondition);
+  }
+
+  return conditions;
+}
+
+/**
+ * Build filter conditions for task list endpoints
+ * @param {Object} query - Request query (status, priority, assignedTo, dueFrom, dueTo, search)
+ * @returns {Array<Object>} Mongo conditions
+ */
+function getTaskConditions(query) {
+  const conditions = [];
+
+  if (query.status) {
+    conditions.push({ status: { $in: splitList(query.status) } });
+  }
+
+  if (query.priority) {
+    conditions.push({ priority: { $in: splitList(query.priority) } });
+  }
+
+  if (query.assignedTo) {
+    conditions.push({ assignedTo: query.assignedTo });
+  }
+
+  if (query.dueFrom || query.dueTo) {
+    const dueDate = {};
+    if (query.dueFrom) {
+      dueDate.$gte = new Date(query.dueFrom);
+    }
+    if (query.dueTo) {
+      dueDate.$lte = new Date(query.dueTo);
+    }
+    conditions.push({ dueDate });
+  }
+
+  const searchCondition = getSearchCondition(query.search, ['title', 'description']);
+  if (searchCondition) {
+    conditions.push(searchCondition);
+  }
+
+  return conditions;
+}
+
+/**
+ * Run a paginated, sorted query and build the list response body
+ * @param {mongoose.Model} Model - Model to query
+ * @param {Array<Object>} conditions - Mongo conditions that must all match
+ * @param {Object} query - Request query (page, limit, sort)
+ * @param {Object} defaultSort - Sort used when no sort parameter is given
+ * @returns {Promise<Object>} Response body with data and pagination details
+ */
+async function paginate(Model, conditions, query, defaultSort) {
+  const filter = conditions.length > 0 ? { $and: conditions } : {};
+  const { page, limit, skip } = getPagination(query);
+
+  const [data, total] = await Promise.all([
+    Model.find(filter).sort(getSort(query.sort, defaultSort)).skip(skip).limit(limit),
+    Model.countDocuments(filter)
+  ]);
+
+  return {
+    success: true,
+    count: data.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  splitList,
+  getPagination,
+  getSort,
+  getProjectConditions,
+  getTaskConditions,
+  paginate
+};
@@ -0,0 +1,28 @@
+const { getTextSimilarity } = require('./text');
+
+// Title similarity from which two tasks are taken to be the same work
+const DUPLICATE_THRESHOLD = 0.7;
+
+/**
+ * Find tasks whose title is close to a given title
+ * @param {string} title - Title to check
+ * @param {Array} tasks - Tasks to check against (title)
+ * @param {number} threshold - Lowest similarity that counts as a duplicate (0-1)
+ * @returns {Array<Object>} Duplicates ({ task, similarity }), most similar first
+ */
+function findDuplicateTasks(title, tasks, threshold = DUPLICATE_THRESHOLD) {
+  return tasks
+    .map(task => ({
+      task,
+      // Titles made of stop words only have no words to compare, but are still duplicates when equal
+      similarity: title.trim().toLowerCase() === task.title.trim().toLowerCase() ? 1 : getTextSimilarity(title, task.title)
+    }))
+    .filter(match => match.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .map(match => ({ ...match, similarity: Math.round(match.similarity * 100) / 100 }));
+}
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  findDuplicateTasks
+};
@@ -0,0 +1,377 @@
+/**
+ * Build a map of task ID -> IDs of the tasks it depends on
+ * @param {Array} dependencies - TaskDependency documents (task, dependsOn)
+ * @returns {Map<string, Array<string>>} Dependency map
+ */
+function buildDependencyMap(dependencies) {
+  const dependencyMap = new Map();
+  dependencies.forEach(dependency => {
+    const taskId = dependency.task.toString();
+    if (!dependencyMap.has(taskId)) {
+      dependencyMap.set(taskId, []);
+    }
+    dependencyMap.get(taskId).push(dependency.dependsOn.toString());
+  });
+  return dependencyMap;
+}
+
+/**
+ * Find a chain of dependencies leading from one task to another
+ * @param {Map<string, Array<string>>} dependencyMap - Task ID -> IDs of tasks it depends on
+ * @param {string} fromId - Task to start from
+ * @param {string} toId - Task to look for
+ * @returns {Array<string>|null} Task IDs along the chain (fromId ... toId), or null if there is none
+ */
+function findDependencyPath(dependencyMap, fromId, toId) {
+  const previous = new Map([[fromId, null]]);
+  const queue = [fromId];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === toId) {
+      const path = [];
+      for (let node = current; node !== null; node = previous.get(node)) {
+        path.unshift(node);
+      }
+      return path;
+    }
+
+    (dependencyMap.get(current) || []).forEach(next => {
+      if (!previous.has(next)) {
+        previous.set(next, current);
+        queue.push(next);
+      }
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Check whether making a task depend on another would create a cycle
+ * @param {Array} dependencies - Existing TaskDependency documents of the project
+ * @param {string} taskId - Task that would get the new dependency
+ * @param {string} dependsOnId - Task it would depend on
+ * @returns {Array<string>|null} The cycle (taskId ... taskId) that would be created, or null
+ */
+function findDependencyCycle(dependencies, taskId, dependsOnId) {
+  const path = findDependencyPath(buildDependencyMap(dependencies), dependsOnId, taskId);
+  return path ? [taskId, ...path] : null;
+}
+
+/**
+ * Check whether making a task a subtask of another would create a cycle,
+ * i.e. whether the task is the other task or one of its parents
+ * @param {Array} subtasks - Existing Subtask documents of the project (parent, task)
+ * @param {string} parentId - Task that would get the new subtask
+ * @param {string} taskId - Task that would become its subtask
+ * @returns {Array<string>|null} The cycle (taskId, parentId ... taskId) that would be created, or null
+ */
+function findSubtaskCycle(subtasks, parentId, taskId) {
+  // Each task leads to its parent
+  const parentMap = new Map(subtasks.map(subtask => [subtask.task.toString(), [subtask.parent.toString()]]));
+  const path = findDependencyPath(parentMap, parentId, taskId);
+  return path ? [taskId, ...path] : null;
+}
+
+/**
+ * Analyze the dependency graph of a project's open (not completed) tasks
+ * @param {Array} tasks - Project tasks
+ * @param {Array} dependencies - TaskDependency documents of the project
+ * @returns {Object} Blocked tasks, longest blocked chain, blocking hubs and a 0-1 bottleneck score
+ */
+function analyzeDependencyGraph(tasks, dependencies) {
+  const openTasks = new Map(
+    tasks.filter(task => task.status !== 'completed').map(task => [task._id.toString(), task])
+  );
+
+  // Only dependencies between open tasks still block work
+  const openDependencies = dependencies.filter(dependency =>
+    openTasks.has(dependency.task.toString()) && openTasks.has(dependency.dependsOn.toString())
+  );
+  const dependencyMap = buildDependencyMap(openDependencies);
+
+  const blockedTasks = [...dependencyMap.keys()];
+
+  // Count how many open tasks each open task is directly blocking
+  const blockingCounts = {};
+  openDependencies.forEach(dependency => {
+    const blockerId = dependency.dependsOn.toString();
+    blockingCounts[blockerId] = (blockingCounts[blockerId] || 0) + 1;
+  });
+
+  // Longest chain of open tasks waiting on each other (number of tasks in the chain)
+  const chainLengths = new Map();
+  const getChainLength = (taskId, visiting = new Set()) => {
+    if (chainLengths.has(taskId)) return chainLengths.get(taskId);
+    if (visiting.has(taskId)) return 0; // Guard against cycles in inconsistent data
+    visiting.add(taskId);
+    const length = 1 + Math.max(0, ...(dependencyMap.get(taskId) || []).map(id => getChainLength(id, visiting)));
+    visiting.delete(taskId);
+    chainLengths.set(taskId, length);
+    return length;
+  };
+  const longestChain = blockedTasks.length > 0 ? Math.max(...blockedTasks.map(id => getChainLength(id))) : 0;
+
+  // Hubs are open tasks that hold up several other tasks at once
+  const hubs = Object.entries(blockingCounts)
+    .filter(([, count]) => count >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .map(([taskId, count]) => ({
+      taskId,
+      title: openTasks.get(taskId).title,
+      status: openTasks.get(taskId).status,
+      blockedTasks: count
+    }));
+
+  // Score: share of open work that is blocked, how deep the chains go and how concentrated the blockers are
+  const blockedRatio = openTasks.size > 0 ? blockedTasks.length / openTasks.size : 0;
+  const chainFactor = longestChain > 1 ? Math.min(1, (longestChain - 1) / 5) : 0;
+  const hubFactor = hubs.length > 0 ? Math.min(1, hubs[0].blockedTasks / 5) : 0;
+  const score = blockedRatio * 0.5 + chainFactor * 0.3 + hubFactor * 0.2;
+
+  return {
+    openTasks: openTasks.size,
+    blockedTasks,
+    longestChain,
+    hubs,
+    score: Math.round(score * 100) / 100
+  };
+}
+
+// Priority order used to break ties when several tasks could start at the same time
+const PRIORITY_RANK = { 'high': 0, 'medium': 1, 'low': 2 };
+
+// Tolerance (in days) under which a task is considered to have no slack
+const SLACK_EPSILON = 0.01;
+
+/**
+ * Create a binary min-heap
+ * @param {Function} compare - Comparator; negative when its first argument comes first
+ * @returns {Object} Heap with size, peek, push and pop
+ */
+function createHeap(compare) {
+  const values = [];
+
+  const swap = (i, j) => {
+    [values[i], values[j]] = [values[j], values[i]];
+  };
+
+  return {
+    size: () => values.length,
+    peek: () => values[0],
+    push(value) {
+      values.push(value);
+      let index = values.length - 1;
+      while (index > 0) {
+        const parent = (index - 1) >> 1;
+        if (compare(values[index], values[parent]) >= 0) break;
+        swap(index, parent);
+        index = parent;
+      }
+    },
+    pop() {
+      const top = values[0];
+      const last = values.pop();
+      if (values.length > 0) {
+        values[0] = last;
+        let index = 0;
+        for (;;) {
+          const left = index * 2 + 1;
+          const right = left + 1;
+          let smallest = index;
+          if (left < values.length && compare(values[left], values[smallest]) < 0) smallest = left;
+          if (right < values.length && compare(values[right], values[smallest]) < 0) smallest = right;
+          if (smallest === index) break;
+          swap(index, smallest);
+          index = smallest;
+        }
+      }
+      return top;
+    }
+  };
+}
+
+/**
+ * Schedule tasks respecting their dependencies and each assignee working on one task at a time,
+ * then compute earliest/latest start and finish, slack and the critical path (critical path method).
+ * Times are expressed in days from the schedule start.
+ * @param {Array<Object>} items - Tasks to schedule: { id, duration, assignee, priority, dueDate }
+ * @param {Array} dependencies - TaskDependency documents; dependencies on tasks not in items are ignored
+ * @returns {Object} Schedule entries by task ID, the critical path (task IDs in order) and the total duration
+ */
+function scheduleTasks(items, dependencies) {
+  const itemsById = new Map(items.map(item => [item.id, item]));
+  const predecessors = new Map(items.map(item => [item.id, new Set()]));
+  const successors = new Map(items.map(item => [item.id, new Set()]));
+
+  dependencies.forEach(dependency => {
+    const taskId = dependency.task.toString();
+    const dependsOnId = dependency.dependsOn.toString();
+    if (itemsById.has(taskId) && itemsById.has(dependsOnId)) {
+      predecessors.get(taskId).add(dependsOnId);
+      successors.get(dependsOnId).add(taskId);
+    }
+  });
+
+  // Forward pass: serial schedule generation. Among tasks whose dependencies are scheduled,
+  // pick the one that can start first (then by priority, due date and input order) and give it to its assignee.
+  const schedule = new Map();
+  const resourcePredecessor = new Map();
+
+  // Tie-breaking order of each task, and when its dependencies let it start once they are all scheduled
+  const candidates = new Map(items.map((item, index) => [item.id, {
+    item,
+    index,
+    rank: PRIORITY_RANK[item.priority] ?? 1,
+    due: new Date(item.dueDate || 0).getTime(),
+    readyAt: 0,
+    waitingOn: predecessors.get(item.id).size
+  }]));
+  const compareTies = (a, b) => a.rank - b.rank || a.due - b.due || a.index - b.index;
+  const compareReady = (a, b) => a.readyAt - b.readyAt || compareTies(a, b);
+
+  // Ready tasks are queued per assignee (unassigned tasks share a queue that is always free).
+  // Tasks the assignee is free for all start when the assignee is free and are ordered by the
+  // tie-breakers; the others start when their dependencies finish.
+  const queues = new Map();
+  const getQueue = assignee => {
+    if (!queues.has(assignee)) {
+      queues.set(assignee, {
+        assignee,
+        availableAt: 0,
+        lastTask: null,
+        available: createHeap(compareTies),
+        waiting: createHeap(compareReady),
+        version: 0
+      });
+    }
+    return queues.get(assignee);
+  };
+  const releaseWaiting = queue => {
+    while (queue.waiting.size() > 0 && queue.waiting.peek().readyAt <= queue.availableAt) {
+      queue.available.push(queue.waiting.pop());
+    }
+  };
+  const nextOf = queue => (queue.available.size() > 0
+    ? { candidate: queue.available.peek(), start: queue.availableAt }
+    : { candidate: queue.waiting.peek(), start: queue.waiting.peek().readyAt });
+
+  // The next task of each queue; entries of a queue that changed since are skipped
+  const upcoming = createHeap((a, b) => a.start - b.start || compareTies(a.candidate, b.candidate));
+  const refresh = queue => {
+    queue.version++;
+    if (queue.available.size() + queue.waiting.size() > 0) {
+      upcoming.push({ ...nextOf(queue), queue, version: queue.version });
+    }
+  };
+  const enqueue = candidate => {
+    const queue = getQueue(candidate.item.assignee || null);
+    if (candidate.readyAt <= queue.availableAt) {
+      queue.available.push(candidate);
+    } else {
+      queue.waiting.push(candidate);
+    }
+    return queue;
+  };
+
+  const changed = new Set();
+  candidates.forEach(candidate => {
+    if (candidate.waitingOn === 0) {
+      changed.add(enqueue(candidate));
+    }
+  });
+  changed.forEach(refresh);
+
+  while (upcoming.size() > 0) {
+    const { queue, version } = upcoming.pop();
+    if (version !== queue.version) continue;
+
+    const { candidate, start } = nextOf(queue);
+    (queue.available.size() > 0 ? queue.available : queue.waiting).pop();
+    const { item } = candidate;
+    const finish = start + item.duration;
+    schedule.set(item.id, {
+      earliestStart: start,
+      earliestFinish: finish
+    });
+
+    changed.clear();
+    changed.add(queue);
+    if (queue.assignee) {
+      // The assignee's previous task has to finish before this one starts
+      if (queue.lastTask) {
+        resourcePredecessor.set(item.id, queue.lastTask);
+      }
+      queue.lastTask = item.id;
+      queue.availableAt = finish;
+      releaseWaiting(queue);
+    }
+
+    successors.get(item.id).forEach(successorId => {
+      const successor = candidates.get(successorId);
+      successor.readyAt = Math.max(successor.readyAt, finish);
+      successor.waitingOn--;
+      if (successor.waitingOn === 0) {
+        changed.add(enqueue(successor));
+      }
+    });
+    changed.forEach(refresh);
+  }
+
+  if (schedule.size < items.length) {
+    throw new Error('Task dependencies contain a cycle');
+  }
+
+  const totalDuration = Math.max(0, ...[...schedule.values()].map(entry => entry.earliestFinish));
+
+  // Successors in the schedule: dependent tasks and the assignee's next task
+  const scheduleSuccessors = new Map(items.map(item => [item.id, new Set(successors.get(item.id))]));
+  resourcePredecessor.forEach((previousId, taskId) => {
+    scheduleSuccessors.get(previousId).add(taskId);
+  });
+
+  // Backward pass in reverse order of earliest start
+  const byStartDescending = [...items].sort((a, b) =>
+    schedule.get(b.id).earliestStart - schedule.get(a.id).earliestStart
+  );
+  byStartDescending.forEach(item => {
+    const entry = schedule.get(item.id);
+    const successorStarts = [...scheduleSuccessors.get(item.id)].map(id => schedule.get(id).latestStart);
+    entry.latestFinish = successorStarts.length > 0 ? Math.min(...successorStarts) : totalDuration;
+    entry.latestStart = entry.latestFinish - item.duration;
+    entry.slack = Math.max(0, entry.latestStart - entry.earliestStart);
+    entry.critical = entry.slack < SLACK_EPSILON;
+  });
+
+  // Walk back from the task that finishes last through critical predecessors
+  const criticalPath = [];
+  let current = items
+    .filter(item => schedule.get(item.id).critical)
+    .sort((a, b) => schedule.get(b.id).earliestFinish - schedule.get(a.id).earliestFinish)[0];
+
+  while (current) {
+    criticalPath.unshift(current.id);
+    const start = schedule.get(current.id).earliestStart;
+    const candidates = [...predecessors.get(current.id), resourcePredecessor.get(current.id)].filter(Boolean);
+    const previousId = candidates.find(id =>
+      schedule.get(id).critical && Math.abs(schedule.get(id).earliestFinish - start) < SLACK_EPSILON
+    );
+    current = previousId ? itemsById.get(previousId) : null;
+  }
+
+  return {
+    schedule,
+    criticalPath,
+    totalDuration
+  };
+}
+
+module.exports = {
+  buildDependencyMap,
+  findDependencyPath,
+  findDependencyCycle,
+  findSubtaskCycle,
+  analyzeDependencyGraph,
+  scheduleTasks
+};
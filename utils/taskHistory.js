@@ -0,0 +1,158 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses a task passes through before it is completed
+const OPEN_STATUSES = ['todo', 'in-progress', 'review'];
+
+/**
+ * Group status changes by the task they belong to
+ * @param {Array} changes - TaskStatusChange documents, oldest first
+ * @returns {Map<string, Array>} Changes by task ID, oldest first
+ */
+function groupChangesByTask(changes) {
+  const changesByTask = new Map();
+  changes.forEach(change => {
+    const taskId = change.task.toString();
+    if (!changesByTask.has(taskId)) {
+      changesByTask.set(taskId, []);
+    }
+    changesByTask.get(taskId).push(change);
+  });
+  return changesByTask;
+}
+
+/**
+ * Split a task's life into the periods it spent in each status
+ * @param {Object} task - Task (status, createdAt)
+ * @param {Array} changes - TaskStatusChange documents of the task, oldest first
+ * @param {Date} now - End of the current period
+ * @returns {Array<Object>} Periods: { status, start, end, days, current }
+ */
+function getStatusPeriods(task, changes, now = new Date()) {
+  const periods = [];
+
+  // Tasks created before history was recorded have no initial entry: they are assumed
+  // to have been in the first recorded previous status (or their current one) since creation
+  let status = changes.length > 0 ? changes[0].from || changes[0].to : task.status;
+  let start = task.createdAt || (changes.length > 0 ? changes[0].createdAt : now);
+
+  changes.forEach(change => {
+    if (change.from) {
+      periods.push({ status, start, end: change.createdAt, current: false });
+    }
+    status = change.to;
+    start = change.createdAt;
+  });
+  periods.push({ status, start, end: now, current: true });
+
+  return periods.map(period => ({
+    ...period,
+    days: Math.max(0, (period.end - period.start) / DAY_MS)
+  }));
+}
+
+/**
+ * Total days a task spent in each status
+ * @param {Array<Object>} periods - Periods from getStatusPeriods
+ * @returns {Object} Days by status, rounded to 2 decimals
+ */
+function getTimeInState(periods) {
+  const timeInState = {};
+  periods.forEach(period => {
+    timeInState[period.status] = (timeInState[period.status] || 0) + period.days;
+  });
+  Object.keys(timeInState).forEach(status => {
+    timeInState[status] = Math.round(timeInState[status] * 100) / 100;
+  });
+  return timeInState;
+}
+
+/**
+ * Days it took a completed task to be finished from the first time it entered each open status
+ * @param {Array<Object>} periods - Periods from getStatusPeriods
+ * @returns {Object|null} Days to completion by status, or null if the task is not completed
+ */
+function getDaysToCompletion(periods) {
+  const last = periods[periods.length - 1];
+  if (!last || last.status !== 'completed') {
+    return null;
+  }
+
+  const daysToCompletion = {};
+  OPEN_STATUSES.forEach(status => {
+    const firstPeriod = periods.find(period => period.status === status);
+    if (firstPeriod) {
+      daysToCompletion[status] = Math.max(0, (last.start - firstPeriod.start) / DAY_MS);
+    }
+  });
+  return daysToCompletion;
+}
+
+/**
+ * When a task was completed according to its status history
+ * @param {Array} changes - TaskStatusChange documents of the task, oldest first
+ * @returns {Date|null} Time of the last change, if it completed the task; otherwise null
+ */
+function getCompletedAt(changes) {
+  const last = changes[changes.length - 1];
+  return last && last.to === 'completed' ? last.createdAt : null;
+}
+
+/**
+ * Measure how long the tasks of a project stay in each open status
+ * @param {Array} tasks - Project tasks
+ * @param {Array} changes - TaskStatusChange documents of the project, oldest first
+ * @param {Date} now - Time of the analysis
+ * @returns {Object} Average days per finished status period, sample sizes and open tasks with how long they have been in their status
+ */
+function analyzeTimeInState(tasks, changes, now = new Date()) {
+  const changesByTask = groupChangesByTask(changes);
+
+  const totals = {};
+  const sampleSize = {};
+  const openTasks = [];
+
+  tasks.forEach(task => {
+    const taskChanges = changesByTask.get(task._id.toString()) || [];
+    // Without history there is nothing measured about this task
+    if (taskChanges.length === 0) {
+      return;
+    }
+
+    getStatusPeriods(task, taskChanges, now).forEach(period => {
+      if (!OPEN_STATUSES.includes(period.status)) {
+        return;
+      }
+      if (period.current) {
+        openTasks.push({
+          taskId: task._id,
+          title: task.title,
+          status: period.status,
+          days: Math.round(period.days * 100) / 100
+        });
+      } else {
+        totals[period.status] = (totals[period.status] || 0) + period.days;
+        sampleSize[period.status] = (sampleSize[period.status] || 0) + 1;
+      }
+    });
+  });
+
+  const averageDays = {};
+  Object.keys(totals).forEach(status => {
+    averageDays[status] = Math.round((totals[status] / sampleSize[status]) * 100) / 100;
+  });
+
+  return {
+    averageDays,
+    sampleSize,
+    openTasks: openTasks.sort((a, b) => b.days - a.days)
+  };
+}
+
+module.exports = {
+  groupChangesByTask,
+  getStatusPeriods,
+  getTimeInState,
+  getDaysToCompletion,
+  getCompletedAt,
+  analyzeTimeInState
+};
@@ -0,0 +1,130 @@
+// Words too common in task and project text to say anything about the work
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it', 'of',
+  'on', 'or', 'our', 'the', 'this', 'to', 'we', 'with', 'will', 'all', 'new', 'task', 'tasks', 'project'
+]);
+
+// Endings removed so that forms of the same word (test, tests, testing) match; the first one found is removed
+const SUFFIXES = ['ings', 'ing', 'ments', 'ment', 'ions', 'ion', 'ers', 'er', 'ies', 'es', 'ed', 's', 'e'];
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Reduce a word to its stem
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  const suffix = SUFFIXES.find(ending => word.endsWith(ending) && word.length - ending.length >= MIN_STEM_LENGTH);
+  return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+/**
+ * Split text into lowercase word stems, without stop words
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Word stems in order of appearance
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Jaccard similarity of the word stems of two texts
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity (0-1); 0 when either text has no words
+ */
+function getWordOverlap(a, b) {
+  const wordsA = new Set(tokenize(a));
+  const wordsB = new Set(tokenize(b));
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Join neighbouring words that the other text writes as one word, so "set up" matches "setup"
+ * @param {Array<string>} tokens - Word stems of one text
+ * @param {Set<string>} otherWords - Word stems of the other text
+ * @returns {Array<string>} Word stems with compounds joined
+ */
+function joinCompounds(tokens, otherWords) {
+  const joined = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (i + 1 < tokens.length && otherWords.has(tokens[i] + tokens[i + 1])) {
+      joined.push(tokens[i] + tokens[i + 1]);
+      i++;
+    } else {
+      joined.push(tokens[i]);
+    }
+  }
+  return joined;
+}
+
+/**
+ * Similarity of two short texts such as task titles: the Dice coefficient of their word stems,
+ * after joining words one text writes apart and the other together
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity (0-1); 0 when either text has no words
+ */
+function getTextSimilarity(a, b) {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  const wordsA = new Set(joinCompounds(tokensA, new Set(tokensB)));
+  const wordsB = new Set(joinCompounds(tokensB, wordsA));
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+/**
+ * Learn the vocabulary of a set of documents and how rare each term is among them
+ * @param {Array<Array<string>>} documents - Tokenized documents
+ * @returns {Object} Sorted terms and the inverse document frequency (idf) of each term
+ */
+function fitTfIdf(documents) {
+  const documentFrequency = new Map();
+  documents.forEach(tokens => {
+    new Set(tokens).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  const terms = [...documentFrequency.keys()].sort();
+  const idf = terms.map(term => Math.log((1 + documents.length) / (1 + documentFrequency.get(term))) + 1);
+  return { terms, idf };
+}
+
+/**
+ * TF-IDF vector of a document, scaled to unit length. Terms outside the vocabulary are ignored.
+ * @param {Array<string>} tokens - Tokenized document
+ * @param {Object} vectorizer - Vocabulary from fitTfIdf (terms, idf)
+ * @returns {Array<number>} Weight of each vocabulary term
+ */
+function toTfIdfVector(tokens, { terms, idf }) {
+  const termIndex = new Map(terms.map((term, index) => [term, index]));
+  const vector = new Array(terms.length).fill(0);
+  tokens.forEach(token => {
+    const index = termIndex.get(token);
+    if (index !== undefined) {
+      vector[index] += idf[index];
+    }
+  });
+
+  const length = Math.sqrt(vector.reduce((sum, weight) => sum + weight * weight, 0));
+  return length > 0 ? vector.map(weight => weight / length) : vector;
+}
+
+module.exports = {
+  tokenize,
+  getWordOverlap,
+  getTextSimilarity,
+  fitTfIdf,
+  toTfIdfVector
+};